@@ -372,12 +372,6 @@ class PhysicsDemo {
         } else {
             this.world.configureDenseScene(false);
         }
-        
-        // Warn if approaching limit
-        const perfInfo = this.world.getPerformanceInfo();
-        if (count > perfInfo.maxObjects * 0.8) {
-            console.warn(`Approaching object limit (${count}/${perfInfo.maxObjects}). Performance may degrade.`);
-        }
     }
 
     animate(currentTime = 0) {
@@ -1,10 +1,64 @@
-export { Vector3D, Quaternion } from './math/index.js';
-export { RigidBody } from './physics/RigidBody.js';
-export { PhysicsWorld } from './physics/PhysicsWorld.js';
+export { Vector3D, Quaternion, Matrix3 } from './math/index.js';
+export { RigidBody, InertiaSource, RigidBodyEvents } from './physics/RigidBody.js';
+export {
+  PhysicsWorld,
+  PhysicsWorldEvents,
+  TriggerEvent,
+  JointBreakEvent,
+  RaycastOptions
+} from './physics/PhysicsWorld.js';
+export { EventEmitter, EventListener } from './physics/EventEmitter.js';
 export { 
   Collision, 
+  CollisionEvent,
+  ContactPoint,
   Collider, 
   AABB, 
   BoxCollider, 
-  SphereCollider 
+  SphereCollider,
+  CapsuleCollider,
+  ConvexCollider,
+  RayIntersection,
+  RaycastHit,
+  ShapeCastHit,
+  ClosestPointHit,
+  reduceContacts
 } from './physics/Collision.js';
+export { ConvexHullCollider, HullFace } from './physics/ConvexHullCollider.js';
+export { MeshCollider } from './physics/MeshCollider.js';
+export { HeightfieldCollider } from './physics/HeightfieldCollider.js';
+export { CompoundCollider, CompoundChild } from './physics/CompoundCollider.js';
+export { ContactManifold, ManifoldPoint } from './physics/ContactManifold.js';
+export { Joint, JointRow } from './physics/Joint.js';
+export { DistanceJoint } from './physics/DistanceJoint.js';
+export { BallSocketJoint } from './physics/BallSocketJoint.js';
+export { HingeJoint } from './physics/HingeJoint.js';
+export { SliderJoint } from './physics/SliderJoint.js';
+export { FixedJoint } from './physics/FixedJoint.js';
+export { Spring } from './physics/Spring.js';
+export { CharacterController, CharacterCollisionFlags } from './physics/CharacterController.js';
+export { RaycastVehicle, Wheel, WheelOptions, WheelTransform } from './physics/RaycastVehicle.js';
+export { BVH } from './physics/BVH.js';
+export {
+  WorldData,
+  RigidBodyData,
+  ColliderData,
+  ColliderShapeData,
+  ContactData,
+  Vector3Data,
+  QuaternionData,
+  WORLD_DATA_VERSION
+} from './physics/Serialization.js';
+export { WorldSnapshot } from './physics/WorldState.js';
+export { StateHistory } from './physics/StateHistory.js';
+export { BroadPhase, DynamicAABBTree } from './physics/BroadPhase.js';
+export { 
+  SupportShape, 
+  ClosestPoints, 
+  PenetrationInfo, 
+  ConvexContact, 
+  gjkDistance, 
+  gjkIntersect, 
+  epaPenetration, 
+  convexContact 
+} from './physics/GJK.js';
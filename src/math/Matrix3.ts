@@ -0,0 +1,146 @@
+import { Vector3D } from './Vector3D.js';
+import { Quaternion } from './Quaternion.js';
+
+/**
+ * Matrix3 class for 3x3 matrices (row-major), used for rotations and inertia tensors
+ */
+export class Matrix3 {
+  public elements: number[];
+
+  constructor(elements: number[] = [1, 0, 0, 0, 1, 0, 0, 0, 1]) {
+    this.elements = elements.slice(0, 9);
+  }
+
+  /**
+   * Multiply a vector by this matrix
+   */
+  multiplyVector(v: Vector3D): Vector3D {
+    const m = this.elements;
+    return new Vector3D(
+      m[0] * v.x + m[1] * v.y + m[2] * v.z,
+      m[3] * v.x + m[4] * v.y + m[5] * v.z,
+      m[6] * v.x + m[7] * v.y + m[8] * v.z
+    );
+  }
+
+  /**
+   * Multiply this matrix by another matrix
+   */
+  multiply(other: Matrix3): Matrix3 {
+    const a = this.elements;
+    const b = other.elements;
+    const result: number[] = [];
+    for (let row = 0; row < 3; row++) {
+      for (let col = 0; col < 3; col++) {
+        result.push(
+          a[row * 3] * b[col] +
+          a[row * 3 + 1] * b[3 + col] +
+          a[row * 3 + 2] * b[6 + col]
+        );
+      }
+    }
+    return new Matrix3(result);
+  }
+
+  /**
+   * Add another matrix to this matrix
+   */
+  add(other: Matrix3): Matrix3 {
+    return new Matrix3(this.elements.map((value, i) => value + other.elements[i]));
+  }
+
+  /**
+   * Multiply every element by a scalar
+   */
+  scale(scalar: number): Matrix3 {
+    return new Matrix3(this.elements.map(value => value * scalar));
+  }
+
+  /**
+   * Get the transpose of this matrix
+   */
+  transpose(): Matrix3 {
+    const m = this.elements;
+    return new Matrix3([
+      m[0], m[3], m[6],
+      m[1], m[4], m[7],
+      m[2], m[5], m[8]
+    ]);
+  }
+
+  /**
+   * Calculate the determinant of this matrix
+   */
+  determinant(): number {
+    const m = this.elements;
+    return (
+      m[0] * (m[4] * m[8] - m[5] * m[7]) -
+      m[1] * (m[3] * m[8] - m[5] * m[6]) +
+      m[2] * (m[3] * m[7] - m[4] * m[6])
+    );
+  }
+
+  /**
+   * Get the inverse of this matrix (zero matrix if singular)
+   */
+  inverse(): Matrix3 {
+    const m = this.elements;
+    const det = this.determinant();
+    if (Math.abs(det) < 1e-12) return Matrix3.zero();
+
+    const invDet = 1 / det;
+    return new Matrix3([
+      (m[4] * m[8] - m[5] * m[7]) * invDet,
+      (m[2] * m[7] - m[1] * m[8]) * invDet,
+      (m[1] * m[5] - m[2] * m[4]) * invDet,
+      (m[5] * m[6] - m[3] * m[8]) * invDet,
+      (m[0] * m[8] - m[2] * m[6]) * invDet,
+      (m[2] * m[3] - m[0] * m[5]) * invDet,
+      (m[3] * m[7] - m[4] * m[6]) * invDet,
+      (m[1] * m[6] - m[0] * m[7]) * invDet,
+      (m[0] * m[4] - m[1] * m[3]) * invDet
+    ]);
+  }
+
+  /**
+   * Get the diagonal of this matrix as a vector
+   */
+  getDiagonal(): Vector3D {
+    return new Vector3D(this.elements[0], this.elements[4], this.elements[8]);
+  }
+
+  /**
+   * Clone this matrix
+   */
+  clone(): Matrix3 {
+    return new Matrix3(this.elements);
+  }
+
+  /**
+   * Identity matrix
+   */
+  static identity(): Matrix3 {
+    return new Matrix3([1, 0, 0, 0, 1, 0, 0, 0, 1]);
+  }
+
+  /**
+   * Zero matrix
+   */
+  static zero(): Matrix3 {
+    return new Matrix3([0, 0, 0, 0, 0, 0, 0, 0, 0]);
+  }
+
+  /**
+   * Create a diagonal matrix from a vector
+   */
+  static diagonal(v: Vector3D): Matrix3 {
+    return new Matrix3([v.x, 0, 0, 0, v.y, 0, 0, 0, v.z]);
+  }
+
+  /**
+   * Create a rotation matrix from a quaternion
+   */
+  static fromQuaternion(q: Quaternion): Matrix3 {
+    return new Matrix3(q.toMatrix3());
+  }
+}
@@ -1,2 +1,3 @@
 export { Vector3D } from './Vector3D.js';
 export { Quaternion } from './Quaternion.js';
+export { Matrix3 } from './Matrix3.js';
@@ -0,0 +1,144 @@
+import { Vector3D } from '../math/index.js';
+import { AABB } from './Collision.js';
+
+interface BVHNode {
+  bounds: AABB;
+  left: BVHNode | null;
+  right: BVHNode | null;
+  items: number[]; // Only filled for leaves
+}
+
+const MAX_LEAF_ITEMS = 4;
+
+/**
+ * Static bounding volume hierarchy over a fixed set of boxes (e.g. mesh triangles).
+ * Items are referred to by their index in the array given to the constructor.
+ */
+export class BVH {
+  private root: BVHNode | null;
+  private itemBounds: AABB[];
+
+  constructor(itemBounds: AABB[]) {
+    this.itemBounds = itemBounds;
+    const indices = itemBounds.map((_, i) => i);
+    this.root = indices.length > 0 ? this.build(indices) : null;
+  }
+
+  /**
+   * Get the bounds of everything in the tree
+   */
+  getBounds(): AABB | null {
+    return this.root ? this.root.bounds : null;
+  }
+
+  /**
+   * Call back with every item whose bounds intersect the query box
+   */
+  query(bounds: AABB, callback: (index: number) => void): void {
+    if (!this.root) return;
+
+    const stack: BVHNode[] = [this.root];
+    while (stack.length > 0) {
+      const node = stack.pop() as BVHNode;
+      if (!node.bounds.intersects(bounds)) continue;
+
+      if (node.left && node.right) {
+        stack.push(node.left, node.right);
+      } else {
+        for (const index of node.items) {
+          if (this.itemBounds[index].intersects(bounds)) {
+            callback(index);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Walk the items a ray can hit, nearest nodes first. The callback returns the hit
+   * distance for an item (or null), which shrinks the search range.
+   * @returns the nearest hit distance, or null
+   */
+  raycast(
+    origin: Vector3D,
+    direction: Vector3D,
+    maxDistance: number,
+    callback: (index: number, maxDistance: number) => number | null
+  ): number | null {
+    if (!this.root) return null;
+
+    let closest = maxDistance;
+    let hit = false;
+    const stack: BVHNode[] = [this.root];
+
+    while (stack.length > 0) {
+      const node = stack.pop() as BVHNode;
+      const entry = rayBoxEntry(origin, direction, node.bounds);
+      if (entry === null || entry > closest) continue;
+
+      if (node.left && node.right) {
+        const leftEntry = rayBoxEntry(origin, direction, node.left.bounds) ?? Infinity;
+        const rightEntry = rayBoxEntry(origin, direction, node.right.bounds) ?? Infinity;
+        // Push the farther child first so the nearer one is visited first
+        if (leftEntry < rightEntry) {
+          stack.push(node.right, node.left);
+        } else {
+          stack.push(node.left, node.right);
+        }
+      } else {
+        for (const index of node.items) {
+          const distance = callback(index, closest);
+          if (distance !== null && distance <= closest) {
+            closest = distance;
+            hit = true;
+          }
+        }
+      }
+    }
+
+    return hit ? closest : null;
+  }
+
+  private build(indices: number[]): BVHNode {
+    const bounds = this.combine(indices);
+
+    if (indices.length <= MAX_LEAF_ITEMS) {
+      return { bounds, left: null, right: null, items: indices };
+    }
+
+    // Split at the median centroid along the longest axis
+    const size = bounds.getSize();
+    const axis: 'x' | 'y' | 'z' = size.x >= size.y && size.x >= size.z ? 'x' : (size.y >= size.z ? 'y' : 'z');
+    const centroid = (index: number): number => this.itemBounds[index].getCenter()[axis];
+    const sorted = indices.slice().sort((a, b) => centroid(a) - centroid(b));
+    const middle = sorted.length >> 1;
+
+    return {
+      bounds,
+      left: this.build(sorted.slice(0, middle)),
+      right: this.build(sorted.slice(middle)),
+      items: []
+    };
+  }
+
+  private combine(indices: number[]): AABB {
+    const first = this.itemBounds[indices[0]];
+    const min = first.min.clone();
+    const max = first.max.clone();
+    for (const index of indices) {
+      const box = this.itemBounds[index];
+      min.set(Math.min(min.x, box.min.x), Math.min(min.y, box.min.y), Math.min(min.z, box.min.z));
+      max.set(Math.max(max.x, box.max.x), Math.max(max.y, box.max.y), Math.max(max.z, box.max.z));
+    }
+    return new AABB(min, max);
+  }
+}
+
+/**
+ * Distance along the ray at which it enters the box (0 if it starts inside), or null on a miss
+ */
+function rayBoxEntry(origin: Vector3D, direction: Vector3D, box: AABB): number | null {
+  if (box.containsPoint(origin)) return 0;
+  const hit = box.raycast(origin, direction);
+  return hit ? hit.distance : null;
+}
@@ -0,0 +1,30 @@
+import { Vector3D } from '../math/index.js';
+import { RigidBody } from './RigidBody.js';
+import { Joint, LINEAR_SLOP } from './Joint.js';
+
+/**
+ * Pins two bodies together at one point and lets them rotate freely around it
+ * (shoulders and hips of a ragdoll, chain links).
+ */
+export class BallSocketJoint extends Joint {
+  /**
+   * @param anchor Pivot in world space
+   */
+  constructor(bodyA: RigidBody, bodyB: RigidBody, anchor: Vector3D) {
+    super(bodyA, bodyB, anchor);
+  }
+
+  prepare(deltaTime: number): void {
+    this.prepareAnchors(deltaTime);
+    this.preparePoint();
+    this.rows = [];
+  }
+
+  solveVelocity(): void {
+    this.solvePoint();
+  }
+
+  solvePosition(): boolean {
+    return this.correctPoint() <= LINEAR_SLOP;
+  }
+}
@@ -0,0 +1,364 @@
+import { Vector3D } from '../math/index.js';
+import { Collider, AABB } from './Collision.js';
+
+/**
+ * Broad phase interface: keeps track of collider bounds and finds the pairs that may
+ * touch, so the narrow phase only runs on nearby colliders
+ */
+export interface BroadPhase {
+  add(collider: Collider): void;
+  remove(collider: Collider): void;
+
+  /**
+   * Refresh the bounds of colliders that moved since the last update
+   */
+  update(): void;
+
+  /**
+   * Pairs whose bounds overlap. Pairs of two static bodies are left out.
+   */
+  getPairs(): [Collider, Collider][];
+
+  /**
+   * Call back with every collider whose bounds intersect the box
+   */
+  query(bounds: AABB, callback: (collider: Collider) => void): void;
+
+  /**
+   * Walk the colliders a ray can hit. The callback returns the hit distance for a
+   * collider (or null), which shrinks the search range.
+   */
+  raycast(
+    origin: Vector3D,
+    direction: Vector3D,
+    maxDistance: number,
+    callback: (collider: Collider, maxDistance: number) => number | null
+  ): void;
+
+  clear(): void;
+}
+
+interface TreeNode {
+  bounds: AABB; // Fat bounds for leaves, union of the children otherwise
+  parent: TreeNode | null;
+  left: TreeNode | null;
+  right: TreeNode | null;
+  height: number; // 0 for leaves
+  collider: Collider | null; // Only set for leaves
+  id: number; // Insertion order of the collider, used to order pairs
+}
+
+/**
+ * Dynamic AABB tree broad phase. Each collider is stored with a "fat" AABB grown by a
+ * margin, so bodies that move a little don't touch the tree at all; a leaf is only
+ * reinserted once the collider leaves its fat bounds. The tree is kept balanced with
+ * tree rotations as leaves come and go.
+ */
+export class DynamicAABBTree implements BroadPhase {
+  public margin: number;
+
+  private root: TreeNode | null;
+  private leaves: Map<Collider, TreeNode>;
+  private nextId: number;
+
+  constructor(margin: number = 0.1) {
+    this.margin = margin;
+    this.root = null;
+    this.leaves = new Map();
+    this.nextId = 0;
+  }
+
+  add(collider: Collider): void {
+    if (this.leaves.has(collider)) return;
+
+    const leaf: TreeNode = {
+      bounds: collider.getAABB().expand(this.margin),
+      parent: null,
+      left: null,
+      right: null,
+      height: 0,
+      collider,
+      id: this.nextId++
+    };
+    this.leaves.set(collider, leaf);
+    this.insertLeaf(leaf);
+  }
+
+  remove(collider: Collider): void {
+    const leaf = this.leaves.get(collider);
+    if (!leaf) return;
+
+    this.leaves.delete(collider);
+    this.removeLeaf(leaf);
+  }
+
+  update(): void {
+    for (const [collider, leaf] of this.leaves) {
+      if (collider.rigidbody.isSleeping) continue;
+
+      const bounds = collider.getAABB();
+      if (contains(leaf.bounds, bounds)) continue;
+
+      this.removeLeaf(leaf);
+      leaf.bounds = bounds.expand(this.margin);
+      this.insertLeaf(leaf);
+    }
+  }
+
+  getPairs(): [Collider, Collider][] {
+    const pairs: [TreeNode, TreeNode][] = [];
+
+    for (const [collider, leaf] of this.leaves) {
+      // Static colliders never start a query; they are found from the moving side
+      if (collider.rigidbody.isStatic) continue;
+
+      this.queryNodes(leaf.bounds, other => {
+        if (other === leaf) return;
+        const otherCollider = other.collider as Collider;
+        if (otherCollider.rigidbody.isStatic) {
+          pairs.push(other.id < leaf.id ? [other, leaf] : [leaf, other]);
+        } else if (other.id > leaf.id) {
+          // Both sides query each other; only keep the pair once
+          pairs.push([leaf, other]);
+        }
+      });
+    }
+
+    // The order the tree is walked in depends on its shape, which depends on how the
+    // leaves were inserted and moved; sort so the solver sees the pairs in a fixed order
+    pairs.sort((a, b) => a[0].id - b[0].id || a[1].id - b[1].id);
+    return pairs.map(([a, b]) => [a.collider as Collider, b.collider as Collider]);
+  }
+
+  query(bounds: AABB, callback: (collider: Collider) => void): void {
+    this.queryNodes(bounds, leaf => callback(leaf.collider as Collider));
+  }
+
+  raycast(
+    origin: Vector3D,
+    direction: Vector3D,
+    maxDistance: number,
+    callback: (collider: Collider, maxDistance: number) => number | null
+  ): void {
+    if (!this.root) return;
+
+    let closest = maxDistance;
+    const stack: TreeNode[] = [this.root];
+
+    while (stack.length > 0) {
+      const node = stack.pop() as TreeNode;
+      const entry = rayBoxEntry(origin, direction, node.bounds);
+      if (entry === null || entry > closest) continue;
+
+      if (node.left && node.right) {
+        const leftEntry = rayBoxEntry(origin, direction, node.left.bounds) ?? Infinity;
+        const rightEntry = rayBoxEntry(origin, direction, node.right.bounds) ?? Infinity;
+        // Push the farther child first so the nearer one is visited first
+        if (leftEntry < rightEntry) {
+          stack.push(node.right, node.left);
+        } else {
+          stack.push(node.left, node.right);
+        }
+      } else {
+        const distance = callback(node.collider as Collider, closest);
+        if (distance !== null && distance < closest) {
+          closest = distance;
+        }
+      }
+    }
+  }
+
+  clear(): void {
+    this.root = null;
+    this.leaves.clear();
+  }
+
+  /**
+   * Get the height of the tree (0 for a single leaf, -1 when empty)
+   */
+  getHeight(): number {
+    return this.root ? this.root.height : -1;
+  }
+
+  private queryNodes(bounds: AABB, callback: (leaf: TreeNode) => void): void {
+    if (!this.root) return;
+
+    const stack: TreeNode[] = [this.root];
+    while (stack.length > 0) {
+      const node = stack.pop() as TreeNode;
+      if (!node.bounds.intersects(bounds)) continue;
+
+      if (node.left && node.right) {
+        stack.push(node.left, node.right);
+      } else {
+        callback(node);
+      }
+    }
+  }
+
+  private insertLeaf(leaf: TreeNode): void {
+    if (!this.root) {
+      this.root = leaf;
+      leaf.parent = null;
+      return;
+    }
+
+    // Descend towards the sibling that grows the total surface area the least
+    let sibling = this.root;
+    while (sibling.left && sibling.right) {
+      const area = surfaceArea(sibling.bounds);
+      const combinedArea = surfaceArea(sibling.bounds.union(leaf.bounds));
+
+      // Cost of pairing the leaf with this node, and the inherited cost of going deeper
+      const cost = 2 * combinedArea;
+      const inheritance = 2 * (combinedArea - area);
+
+      const childCost = (child: TreeNode): number => {
+        const grown = surfaceArea(child.bounds.union(leaf.bounds));
+        return child.left ? grown - surfaceArea(child.bounds) + inheritance : grown + inheritance;
+      };
+      const costLeft = childCost(sibling.left);
+      const costRight = childCost(sibling.right);
+
+      if (cost < costLeft && cost < costRight) break;
+      sibling = costLeft < costRight ? sibling.left : sibling.right;
+    }
+
+    const oldParent = sibling.parent;
+    const parent: TreeNode = {
+      bounds: sibling.bounds.union(leaf.bounds),
+      parent: oldParent,
+      left: sibling,
+      right: leaf,
+      height: sibling.height + 1,
+      collider: null,
+      id: -1
+    };
+    sibling.parent = parent;
+    leaf.parent = parent;
+
+    if (oldParent) {
+      if (oldParent.left === sibling) {
+        oldParent.left = parent;
+      } else {
+        oldParent.right = parent;
+      }
+    } else {
+      this.root = parent;
+    }
+
+    this.refit(parent);
+  }
+
+  private removeLeaf(leaf: TreeNode): void {
+    if (leaf === this.root) {
+      this.root = null;
+      return;
+    }
+
+    const parent = leaf.parent as TreeNode;
+    const grandParent = parent.parent;
+    const sibling = (parent.left === leaf ? parent.right : parent.left) as TreeNode;
+
+    if (grandParent) {
+      if (grandParent.left === parent) {
+        grandParent.left = sibling;
+      } else {
+        grandParent.right = sibling;
+      }
+      sibling.parent = grandParent;
+      this.refit(grandParent);
+    } else {
+      this.root = sibling;
+      sibling.parent = null;
+    }
+
+    leaf.parent = null;
+  }
+
+  /**
+   * Walk up from a node, rebalancing and recomputing bounds and heights
+   */
+  private refit(node: TreeNode | null): void {
+    while (node) {
+      node = this.balance(node);
+      const left = node.left as TreeNode;
+      const right = node.right as TreeNode;
+      node.height = 1 + Math.max(left.height, right.height);
+      node.bounds = left.bounds.union(right.bounds);
+      node = node.parent;
+    }
+  }
+
+  /**
+   * Rotate the taller child of an unbalanced node up one level
+   * @returns the node now at this position in the tree
+   */
+  private balance(a: TreeNode): TreeNode {
+    const b = a.left as TreeNode;
+    const c = a.right as TreeNode;
+    const difference = c.height - b.height;
+
+    if (difference > 1) return this.rotateUp(a, c, 'right');
+    if (difference < -1) return this.rotateUp(a, b, 'left');
+    return a;
+  }
+
+  private rotateUp(a: TreeNode, child: TreeNode, side: 'left' | 'right'): TreeNode {
+    const f = child.left as TreeNode;
+    const g = child.right as TreeNode;
+
+    // The child takes a's place
+    child.parent = a.parent;
+    a.parent = child;
+    if (child.parent) {
+      if (child.parent.left === a) {
+        child.parent.left = child;
+      } else {
+        child.parent.right = child;
+      }
+    } else {
+      this.root = child;
+    }
+
+    // a keeps the shorter grandchild, the taller one stays under the child
+    const taller = f.height > g.height ? f : g;
+    const shorter = taller === f ? g : f;
+    child.left = a;
+    child.right = taller;
+    if (side === 'right') {
+      a.right = shorter;
+    } else {
+      a.left = shorter;
+    }
+    shorter.parent = a;
+
+    const left = a.left as TreeNode;
+    const right = a.right as TreeNode;
+    a.bounds = left.bounds.union(right.bounds);
+    a.height = 1 + Math.max(left.height, right.height);
+    child.bounds = a.bounds.union(taller.bounds);
+    child.height = 1 + Math.max(a.height, taller.height);
+
+    return child;
+  }
+}
+
+function contains(outer: AABB, inner: AABB): boolean {
+  return outer.min.x <= inner.min.x && outer.min.y <= inner.min.y && outer.min.z <= inner.min.z &&
+    outer.max.x >= inner.max.x && outer.max.y >= inner.max.y && outer.max.z >= inner.max.z;
+}
+
+function surfaceArea(bounds: AABB): number {
+  const size = bounds.getSize();
+  return 2 * (size.x * size.y + size.y * size.z + size.z * size.x);
+}
+
+/**
+ * Distance along the ray at which it enters the box (0 if it starts inside), or null on a miss
+ */
+function rayBoxEntry(origin: Vector3D, direction: Vector3D, box: AABB): number | null {
+  if (box.containsPoint(origin)) return 0;
+  const hit = box.raycast(origin, direction);
+  return hit ? hit.distance : null;
+}
@@ -0,0 +1,386 @@
+import { Vector3D, Quaternion } from '../math/index.js';
+import { RigidBody } from './RigidBody.js';
+import { Collider, CapsuleCollider } from './Collision.js';
+import { PhysicsWorld } from './PhysicsWorld.js';
+
+const MAX_RESOLVE_ITERATIONS = 4; // Depenetration passes after each sub-step
+const MIN_MOVE = 1e-6;
+
+/**
+ * What the character ran into during a move
+ */
+export interface CharacterCollisionFlags {
+  sides: boolean; // Walls and slopes too steep to walk on
+  above: boolean; // Ceilings
+  below: boolean; // Walkable ground
+}
+
+/**
+ * Contact between the character and another collider
+ */
+interface CharacterContact {
+  collider: Collider;
+  point: Vector3D;
+  normal: Vector3D; // Points out of the other collider, towards the character
+  depth: number;
+}
+
+/**
+ * Everything a slide records besides the new position
+ */
+interface SlideState extends CharacterCollisionFlags {
+  ground: CharacterContact | null; // Last walkable contact
+  velocity: Vector3D; // Intended velocity, for pushing
+  deltaTime: number; // 0 while probing, which doesn't push
+  pushed: Set<RigidBody>;
+}
+
+/**
+ * Capsule character moved directly by the game rather than by forces. The capsule sits
+ * on a kinematic body; move() slides it along whatever it runs into, walks up slopes up
+ * to maxSlopeAngle, climbs steps up to stepHeight, pushes dynamic bodies and rides along
+ * with the body it stands on.
+ *
+ * The controller doesn't apply gravity itself: add it to the displacement passed to
+ * move(), which also makes jumping a matter of moving up.
+ */
+export class CharacterController {
+  public world: PhysicsWorld;
+  public rigidbody: RigidBody;
+  public collider: CapsuleCollider;
+  public up: Vector3D; // Opposite of the world's gravity when created
+  public stepHeight: number;
+  public maxSlopeAngle: number; // Radians
+  public skinWidth: number; // Distance below the capsule that still counts as standing
+  public pushForce: number; // Largest force used to push dynamic bodies
+  public isGrounded: boolean;
+  public groundNormal: Vector3D; // Up while airborne
+  public groundBody: RigidBody | null;
+  public velocity: Vector3D; // Displacement of the last move() divided by its time
+
+  private platformPoint: Vector3D | null; // Position in the ground body's frame after the last move
+
+  /**
+   * Create the character's body and capsule and add them to the world
+   * @param position Center of the capsule
+   * @param height Total height of the capsule, caps included
+   */
+  constructor(world: PhysicsWorld, position: Vector3D, radius: number = 0.4, height: number = 1.8) {
+    if (height < radius * 2) {
+      throw new Error('Character height must be at least twice its radius');
+    }
+
+    this.world = world;
+    this.up = world.gravity.magnitudeSquared() > 0 ? world.gravity.normalize().multiply(-1) : new Vector3D(0, 1, 0);
+    this.stepHeight = 0.3;
+    this.maxSlopeAngle = Math.PI / 4;
+    this.skinWidth = 0.02;
+    this.pushForce = 500;
+    this.isGrounded = false;
+    this.groundNormal = this.up.clone();
+    this.groundBody = null;
+    this.velocity = Vector3D.zero();
+    this.platformPoint = null;
+
+    this.rigidbody = new RigidBody(70, position);
+    this.rigidbody.makeKinematic();
+    this.rigidbody.rotation = alignY(this.up);
+    this.collider = new CapsuleCollider(this.rigidbody, radius, height / 2 - radius);
+    world.addCollider(this.collider);
+  }
+
+  /**
+   * Get the center of the capsule
+   */
+  getPosition(): Vector3D {
+    return this.rigidbody.position.clone();
+  }
+
+  /**
+   * Teleport the character, without colliding on the way
+   */
+  setPosition(position: Vector3D): void {
+    this.rigidbody.setPosition(position);
+    this.isGrounded = false;
+    this.groundBody = null;
+    this.platformPoint = null;
+  }
+
+  /**
+   * Move the character by a displacement, sliding along anything in the way
+   * @param deltaTime Time the displacement covers, used for the velocity and pushing
+   */
+  move(displacement: Vector3D, deltaTime: number): CharacterCollisionFlags {
+    const start = this.rigidbody.position;
+    const state: SlideState = {
+      sides: false,
+      above: false,
+      below: false,
+      ground: null,
+      velocity: deltaTime > 0 ? displacement.divide(deltaTime) : Vector3D.zero(),
+      deltaTime: Math.max(deltaTime, 0),
+      pushed: new Set()
+    };
+
+    this.world.getBroadPhase().update();
+    this.followPlatform();
+
+    const rise = displacement.dot(this.up);
+    const vertical = this.up.multiply(rise);
+    const horizontal = displacement.subtract(vertical);
+    const wasGrounded = this.isGrounded;
+
+    if (horizontal.magnitudeSquared() > MIN_MOVE * MIN_MOVE) {
+      const before = this.rigidbody.position;
+      this.slide(horizontal, state);
+      if (wasGrounded && state.sides && this.stepHeight > 0) {
+        this.stepUp(before, horizontal);
+      }
+    }
+
+    if (Math.abs(rise) > MIN_MOVE) {
+      this.slide(vertical, state);
+    }
+
+    // Walking down slopes and stairs: stick to the ground unless moving up
+    this.updateGround(state, wasGrounded && rise <= 0);
+
+    this.velocity = deltaTime > 0 ? this.rigidbody.position.subtract(start).divide(deltaTime) : Vector3D.zero();
+    return { sides: state.sides, above: state.above, below: state.below };
+  }
+
+  /**
+   * Whether a surface with this normal can be walked on
+   */
+  isWalkable(normal: Vector3D): boolean {
+    return normal.dot(this.up) >= Math.cos(this.maxSlopeAngle) - 1e-6;
+  }
+
+  /**
+   * Move in small steps, pushing out of anything the capsule ends up overlapping and
+   * removing the blocked part of the remaining motion
+   */
+  private slide(displacement: Vector3D, state: SlideState): void {
+    const steps = Math.max(1, Math.ceil(displacement.magnitude() / (this.collider.radius * 0.5)));
+    let step = displacement.divide(steps);
+
+    for (let i = 0; i < steps && step.magnitudeSquared() > MIN_MOVE * MIN_MOVE; i++) {
+      this.translate(step);
+
+      for (let iteration = 0; iteration < MAX_RESOLVE_ITERATIONS; iteration++) {
+        const contacts = this.findContacts();
+        if (contacts.length === 0) break;
+
+        for (const contact of contacts) {
+          step = this.resolve(contact, step, state);
+        }
+      }
+    }
+  }
+
+  /**
+   * Push out of one contact and clip the step against it
+   */
+  private resolve(contact: CharacterContact, step: Vector3D, state: SlideState): Vector3D {
+    const { normal, depth } = contact;
+    const upness = normal.dot(this.up);
+
+    if (this.isWalkable(normal) || this.isOnLedge(contact)) {
+      // Ground: push straight up so standing on a slope doesn't slide down it,
+      // and walking into one climbs it at full speed
+      state.below = true;
+      state.ground = contact;
+      this.translate(this.up.multiply(depth / upness));
+      const into = step.dot(normal);
+      return into < 0 ? step.subtract(this.up.multiply(into / upness)) : step;
+    }
+
+    let pushOut = normal;
+    if (upness < -0.5) {
+      state.above = true;
+    } else {
+      state.sides = true;
+      this.push(contact, state);
+
+      // Too steep to stand on: treat it as a wall so pushing into it can't climb it
+      const flat = normal.subtract(this.up.multiply(upness));
+      if (upness > 0 && flat.magnitudeSquared() > 1e-12) {
+        pushOut = flat.normalize();
+      }
+    }
+
+    this.translate(pushOut.multiply(depth / pushOut.dot(normal)));
+    const into = step.dot(pushOut);
+    return into < 0 ? step.subtract(pushOut.multiply(into)) : step;
+  }
+
+  /**
+   * A contact on the rounded bottom against the edge of a walkable surface (a stair
+   * nosing, a box corner). The normal comes from the capsule's curve there, so look at
+   * the surface just under the contact point instead.
+   */
+  private isOnLedge(contact: CharacterContact): boolean {
+    const upness = contact.normal.dot(this.up);
+    if (upness <= 0) return false;
+
+    // Only below the center of the bottom cap, and no higher than a step
+    const footCenter = this.rigidbody.position.subtract(this.up.multiply(this.collider.halfHeight));
+    const height = contact.point.subtract(footCenter).dot(this.up) + this.collider.radius;
+    if (height > Math.min(this.collider.radius, this.stepHeight)) return false;
+
+    const inward = this.up.multiply(upness).subtract(contact.normal).normalize();
+    const origin = contact.point.add(inward.multiply(this.skinWidth)).add(this.up.multiply(this.skinWidth));
+    const hit = contact.collider.raycast(origin, this.up.multiply(-1), this.skinWidth * 3);
+    return hit !== null && this.isWalkable(hit.normal);
+  }
+
+  /**
+   * Try to get past an obstacle by going over it: up by stepHeight, across, then back
+   * down onto walkable ground. Keeps the result only if it got further.
+   */
+  private stepUp(before: Vector3D, horizontal: Vector3D): void {
+    const blocked = this.rigidbody.position;
+    const direction = horizontal.normalize();
+    const progress = blocked.subtract(before).dot(direction);
+
+    const trial = this.createProbe();
+    this.rigidbody.position = before;
+    this.slide(this.up.multiply(this.stepHeight), trial);
+    const raised = this.rigidbody.position.subtract(before).dot(this.up);
+    this.slide(horizontal, trial);
+
+    const landing = this.createProbe();
+    this.slide(this.up.multiply(-raised - this.skinWidth), landing);
+
+    const steppedProgress = this.rigidbody.position.subtract(before).dot(direction);
+    if (!landing.below || steppedProgress <= progress + MIN_MOVE) {
+      this.rigidbody.position = blocked;
+    }
+  }
+
+  /**
+   * Look for ground just below the character, or up to stepHeight below when snapping,
+   * and update the grounded state
+   */
+  private updateGround(state: SlideState, snap: boolean): void {
+    let probe = this.probeGround(this.skinWidth);
+    if (!probe.below && snap) {
+      probe = this.probeGround(this.stepHeight);
+    }
+
+    const ground = probe.below ? probe.ground : state.below ? state.ground : null;
+    this.isGrounded = ground !== null;
+    this.groundNormal = ground ? ground.normal : this.up.clone();
+    this.groundBody = ground ? ground.collider.rigidbody : null;
+    state.below = state.below || this.isGrounded;
+
+    this.platformPoint = this.groundBody && !this.groundBody.isStatic
+      ? this.groundBody.rotation.conjugate().rotateVector(this.rigidbody.position.subtract(this.groundBody.position))
+      : null;
+  }
+
+  /**
+   * Drop by up to a distance onto walkable ground. The character stays where it landed
+   * only if it found ground straight below; otherwise it is put back.
+   */
+  private probeGround(distance: number): SlideState {
+    const start = this.rigidbody.position;
+    const probe = this.createProbe();
+    this.slide(this.up.multiply(-distance), probe);
+
+    const moved = this.rigidbody.position.subtract(start);
+    const sideways = moved.subtract(this.up.multiply(moved.dot(this.up)));
+    if (!probe.below || sideways.magnitude() > this.skinWidth) {
+      this.rigidbody.position = start;
+      probe.below = false;
+    }
+    return probe;
+  }
+
+  /**
+   * Carry the character along with the body it stood on after the last move
+   */
+  private followPlatform(): void {
+    if (!this.groundBody || !this.platformPoint) return;
+
+    const target = this.groundBody.position.add(this.groundBody.rotation.rotateVector(this.platformPoint));
+    const delta = target.subtract(this.rigidbody.position);
+    if (delta.magnitudeSquared() > MIN_MOVE * MIN_MOVE) {
+      this.slide(delta, this.createProbe());
+    }
+  }
+
+  /**
+   * Shove a dynamic body the character walks into towards the intended speed
+   */
+  private push(contact: CharacterContact, state: SlideState): void {
+    const body = contact.collider.rigidbody;
+    if (state.deltaTime === 0 || body.isStatic || body.isKinematic || state.pushed.has(body)) return;
+
+    const along = contact.normal.multiply(-1);
+    const flat = along.subtract(this.up.multiply(along.dot(this.up)));
+    if (flat.magnitudeSquared() < 1e-12) return;
+
+    const direction = flat.normalize();
+    const neededSpeed = state.velocity.dot(direction) - body.getVelocityAtPoint(contact.point).dot(direction);
+    if (neededSpeed <= 0) return;
+
+    const impulse = Math.min(neededSpeed * body.mass, this.pushForce * state.deltaTime);
+    body.applyImpulse(direction.multiply(impulse), contact.point);
+    state.pushed.add(body);
+  }
+
+  /**
+   * Colliders the capsule currently overlaps, skipping triggers and filtered pairs
+   */
+  private findContacts(): CharacterContact[] {
+    const contacts: CharacterContact[] = [];
+
+    this.world.getBroadPhase().query(this.collider.getAABB(), other => {
+      if (other.rigidbody === this.rigidbody || other.isTrigger || !this.world.shouldCollide(this.collider, other)) {
+        return;
+      }
+
+      const collision = this.collider.checkCollision(other);
+      if (collision && collision.penetrationDepth > MIN_MOVE) {
+        contacts.push({
+          collider: other,
+          point: collision.contactPoint,
+          normal: collision.contactNormal.multiply(-1),
+          depth: collision.penetrationDepth
+        });
+      }
+    });
+
+    return contacts;
+  }
+
+  private createProbe(): SlideState {
+    return {
+      sides: false,
+      above: false,
+      below: false,
+      ground: null,
+      velocity: Vector3D.zero(),
+      deltaTime: 0,
+      pushed: new Set()
+    };
+  }
+
+  private translate(delta: Vector3D): void {
+    this.rigidbody.setPosition(this.rigidbody.position.add(delta));
+  }
+}
+
+/**
+ * Rotation that turns the Y axis (the capsule's axis) onto a direction
+ */
+function alignY(direction: Vector3D): Quaternion {
+  const y = new Vector3D(0, 1, 0);
+  const axis = y.cross(direction);
+  const cos = y.dot(direction);
+  if (axis.magnitudeSquared() < 1e-12) {
+    return cos > 0 ? Quaternion.identity() : Quaternion.fromAxisAngle(new Vector3D(1, 0, 0), Math.PI);
+  }
+  return Quaternion.fromAxisAngle(axis.normalize(), Math.acos(Math.max(-1, Math.min(1, cos))));
+}
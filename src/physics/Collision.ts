@@ -1,5 +1,10 @@
-import { Vector3D } from '../math/index.js';
+import { Vector3D, Quaternion, Matrix3 } from '../math/index.js';
 import { RigidBody } from './RigidBody.js';
+import { SupportShape, ClosestPoints, convexContact, gjkDistance } from './GJK.js';
+
+// Face contact points up to this far apart are still reported, so a face resting
+// on another keeps all its corners when one of them lifts slightly
+export const SPECULATIVE_DISTANCE = 0.02;
 
 /**
  * Represents a collision between two rigid bodies
@@ -10,22 +15,190 @@ export interface Collision {
   contactPoint: Vector3D;
   contactNormal: Vector3D;
   penetrationDepth: number;
+  colliderA?: Collider; // The shapes that touched (children for compound colliders)
+  colliderB?: Collider;
+  contacts?: ContactPoint[]; // Every contact point when the shapes touch over an area (up to 4)
+}
+
+/**
+ * Collision lifecycle event, emitted by PhysicsWorld and by both bodies involved
+ */
+export interface CollisionEvent {
+  bodyA: RigidBody;
+  bodyB: RigidBody;
+  colliderA?: Collider;
+  colliderB?: Collider;
+  contacts: ContactPoint[];
+  normal: Vector3D; // From A towards B
+  impulse: number; // Total normal impulse the contact applied during the step
+  relativeSpeed: number; // Closing speed along the normal before the contact was solved
+}
+
+/**
+ * A single point of a contact area. All points of a collision share its normal.
+ */
+export interface ContactPoint {
+  point: Vector3D;
+  depth: number;
+}
+
+/**
+ * Result of intersecting a ray with a single collider
+ */
+export interface RayIntersection {
+  distance: number;
+  normal: Vector3D;
+}
+
+/**
+ * Result of a world raycast
+ */
+export interface RaycastHit {
+  body: RigidBody;
+  collider: Collider;
+  point: Vector3D;
+  normal: Vector3D; // Surface normal at the hit point, facing the ray
+  distance: number;
+}
+
+/**
+ * Result of a world shape cast. The point is where the shapes touch, the normal faces
+ * the swept shape and the distance is how far the shape moves before touching.
+ */
+export interface ShapeCastHit extends RaycastHit {
+  fraction: number; // Time of impact as a fraction of the cast distance
+}
+
+/**
+ * Result of a world closest-point query
+ */
+export interface ClosestPointHit {
+  body: RigidBody;
+  collider: Collider;
+  point: Vector3D; // Nearest point on the collider (the query point itself when inside)
+  distance: number;
 }
 
 /**
  * Base collider class
  */
 export abstract class Collider {
+  public id: number; // Stable identifier, assigned by the world when the collider is added (-1 until then)
   public rigidbody: RigidBody;
-  public isTrigger: boolean;
+  public isTrigger: boolean; // Only reports overlaps (trigger events), with no physical response
+  public localPosition: Vector3D; // Offset from the body's position, in body space
+  public localRotation: Quaternion; // Orientation relative to the body
+  public collisionCategory: number; // Bits of the layers this collider belongs to
+  public collisionMask: number; // Bits of the layers it collides with
+  public collisionGroup: number; // Equal positive groups always collide, equal negative groups never do
 
   constructor(rigidbody: RigidBody) {
+    this.id = -1;
     this.rigidbody = rigidbody;
     this.isTrigger = false;
+    this.collisionCategory = 0x0001;
+    this.collisionMask = 0xFFFFFFFF;
+    this.collisionGroup = 0;
+    this.localPosition = Vector3D.zero();
+    this.localRotation = Quaternion.identity();
+  }
+
+  /**
+   * Get the world-space position of this shape's local origin
+   */
+  getPosition(): Vector3D {
+    return this.rigidbody.position.add(this.rigidbody.rotation.rotateVector(this.localPosition));
+  }
+
+  /**
+   * Get the world-space orientation of this shape
+   */
+  getRotation(): Quaternion {
+    return this.rigidbody.rotation.multiply(this.localRotation);
+  }
+
+  /**
+   * Whether the layer settings let this collider touch another. A shared non-zero group
+   * decides on its own; otherwise each category must be in the other's mask.
+   */
+  canCollideWith(other: Collider): boolean {
+    if (this.collisionGroup !== 0 && this.collisionGroup === other.collisionGroup) {
+      return this.collisionGroup > 0;
+    }
+    return (this.collisionCategory & other.collisionMask) !== 0 &&
+      (other.collisionCategory & this.collisionMask) !== 0;
+  }
+
+  /**
+   * Whether a world query with a mask and group may return this collider, by the same rule
+   * as canCollideWith(). Queries have no category, so only this collider's category is checked.
+   */
+  passesQueryFilter(mask: number, group: number = 0): boolean {
+    if (group !== 0 && group === this.collisionGroup) {
+      return group > 0;
+    }
+    return (this.collisionCategory & mask) !== 0;
   }
 
   abstract getAABB(): AABB;
+
+  /**
+   * Narrow phase test against another collider. The contact normal points from this
+   * collider's body towards the other's. Non-convex colliders must handle every
+   * ConvexCollider themselves, since convex shapes hand unknown pairs back to them.
+   */
   abstract checkCollision(other: Collider): Collision | null;
+
+  /**
+   * Local inertia tensor of this shape for a given mass
+   */
+  abstract computeInertiaTensor(mass: number): Matrix3;
+
+  /**
+   * Radius of a sphere that fits inside the shape. Moving less than this can't carry the
+   * shape past anything, which sets the sample spacing of continuous collision detection.
+   * Defaults to a quarter of the smallest AABB extent; shapes override it with the exact value.
+   */
+  getInnerRadius(): number {
+    const size = this.getAABB().getSize();
+    return Math.min(size.x, size.y, size.z) * 0.25;
+  }
+
+  /**
+   * Intersect a ray with this collider (direction must be normalized).
+   * Defaults to the collider's AABB; shapes override this with an exact test.
+   * Solid shapes are not hit by rays that start inside them.
+   * @param ignoreBackfaces - Skip surface triangles (meshes, heightfields) hit from behind
+   */
+  raycast(
+    origin: Vector3D,
+    direction: Vector3D,
+    maxDistance: number = Infinity,
+    ignoreBackfaces: boolean = false
+  ): RayIntersection | null {
+    const bounds = this.getAABB();
+    if (bounds.containsPoint(origin)) {
+      return null;
+    }
+    return bounds.raycast(origin, direction, maxDistance);
+  }
+
+  /**
+   * Closest point of this collider to a world-space point (the point itself when it is
+   * inside). Defaults to the collider's AABB; shapes override this with an exact test.
+   */
+  closestPoint(point: Vector3D): Vector3D {
+    return this.getAABB().closestPoint(point);
+  }
+
+  /**
+   * Closest points between this collider and another, with distance 0 when they touch.
+   * Like checkCollision, convex shapes hand unknown pairs to the other collider, so
+   * non-convex colliders should handle every ConvexCollider. Defaults to no test (null).
+   */
+  distanceTo(other: Collider): ClosestPoints | null {
+    return null;
+  }
 }
 
 /**
@@ -79,6 +252,38 @@ export class AABB {
     return this.max.subtract(this.min);
   }
 
+  /**
+   * Get the smallest AABB containing this one and another
+   */
+  union(other: AABB): AABB {
+    return new AABB(
+      new Vector3D(Math.min(this.min.x, other.min.x), Math.min(this.min.y, other.min.y), Math.min(this.min.z, other.min.z)),
+      new Vector3D(Math.max(this.max.x, other.max.x), Math.max(this.max.y, other.max.y), Math.max(this.max.z, other.max.z))
+    );
+  }
+
+  /**
+   * Get the point of this AABB nearest to a point
+   */
+  closestPoint(point: Vector3D): Vector3D {
+    return new Vector3D(
+      Math.max(this.min.x, Math.min(point.x, this.max.x)),
+      Math.max(this.min.y, Math.min(point.y, this.max.y)),
+      Math.max(this.min.z, Math.min(point.z, this.max.z))
+    );
+  }
+
+  /**
+   * Get the gap between this AABB and another (0 when they overlap)
+   */
+  distanceTo(other: AABB): number {
+    return new Vector3D(
+      Math.max(other.min.x - this.max.x, this.min.x - other.max.x, 0),
+      Math.max(other.min.y - this.max.y, this.min.y - other.max.y, 0),
+      Math.max(other.min.z - this.max.z, this.min.z - other.max.z, 0)
+    ).magnitude();
+  }
+
   /**
    * Expand the AABB by a given amount
    */
@@ -86,24 +291,251 @@ export class AABB {
     const expansion = new Vector3D(amount, amount, amount);
     return new AABB(this.min.subtract(expansion), this.max.add(expansion));
   }
+
+  /**
+   * Intersect a ray with this AABB using the slab method (direction must be normalized)
+   */
+  raycast(origin: Vector3D, direction: Vector3D, maxDistance: number = Infinity): RayIntersection | null {
+    const origins = origin.toArray();
+    const directions = direction.toArray();
+    const mins = this.min.toArray();
+    const maxs = this.max.toArray();
+
+    let tmin = -Infinity;
+    let tmax = Infinity;
+    let enterAxis = 0;
+    let exitAxis = 0;
+
+    for (let axis = 0; axis < 3; axis++) {
+      const invDir = 1 / directions[axis];
+      const t1 = (mins[axis] - origins[axis]) * invDir;
+      const t2 = (maxs[axis] - origins[axis]) * invDir;
+      const near = Math.min(t1, t2);
+      const far = Math.max(t1, t2);
+
+      if (near > tmin) {
+        tmin = near;
+        enterAxis = axis;
+      }
+      if (far < tmax) {
+        tmax = far;
+        exitAxis = axis;
+      }
+    }
+
+    if (tmax < 0 || tmin > tmax) {
+      return null;
+    }
+
+    const distance = tmin > 0 ? tmin : tmax;
+    if (distance > maxDistance) {
+      return null;
+    }
+
+    const axis = tmin > 0 ? enterAxis : exitAxis;
+    const normalComponents: [number, number, number] = [0, 0, 0];
+    normalComponents[axis] = directions[axis] > 0 ? -1 : 1;
+    return { distance, normal: new Vector3D(...normalComponents) };
+  }
 }
 
 /**
- * Box collider
+ * Base class for convex shapes. A convex shape only needs a support mapping to
+ * collide with every other convex shape through the generic GJK/EPA path.
  */
-export class BoxCollider extends Collider {
+export abstract class ConvexCollider extends Collider implements SupportShape {
+  /**
+   * Furthest point of the shape in a world-space direction
+   */
+  abstract support(direction: Vector3D): Vector3D;
+
+  /**
+   * Support mapping of the shape's core, which is rounded by getMargin().
+   * Spheres and capsules shrink to a point and a segment here, which keeps
+   * GJK exact for curved surfaces.
+   */
+  supportCore(direction: Vector3D): Vector3D {
+    return this.support(direction);
+  }
+
+  /**
+   * Radius added around the core shape
+   */
+  getMargin(): number {
+    return 0;
+  }
+
+  /**
+   * Corners of the flat face whose normal is closest to a world-space direction, in
+   * order around it. Shapes without flat faces return none and get single-point contacts.
+   */
+  getSupportFace(direction: Vector3D): Vector3D[] {
+    return [];
+  }
+
+  checkCollision(other: Collider): Collision | null {
+    if (other instanceof ConvexCollider) {
+      return this.checkConvexCollision(other);
+    }
+    // Non-convex colliders (meshes, terrain...) know how to collide with convex shapes
+    return flipCollision(other.checkCollision(this));
+  }
+
+  /**
+   * Exact closest point through GJK against the core, rounded by the margin
+   */
+  closestPoint(point: Vector3D): Vector3D {
+    const closest = roundedDistance(gjkDistance({ support: () => point }, this.getCore()), 0, this.getMargin());
+    return closest.distance > 0 ? closest.pointB : point;
+  }
+
+  distanceTo(other: Collider): ClosestPoints | null {
+    if (other instanceof ConvexCollider) {
+      return roundedDistance(gjkDistance(this.getCore(), other.getCore()), this.getMargin(), other.getMargin());
+    }
+    return flipClosestPoints(other.distanceTo(this));
+  }
+
+  /**
+   * The core shape as a SupportShape for GJK
+   */
+  getCore(): SupportShape {
+    return { support: direction => this.supportCore(direction) };
+  }
+
+  /**
+   * Generic convex vs convex test: GJK distance between the cores, falling back
+   * to EPA on the full shapes once the cores overlap
+   */
+  checkConvexCollision(other: ConvexCollider): Collision | null {
+    const contact = convexContact(
+      { support: direction => this.supportCore(direction) },
+      this.getMargin(),
+      { support: direction => other.supportCore(direction) },
+      other.getMargin()
+    );
+
+    if (!contact) {
+      return null;
+    }
+
+    return {
+      bodyA: this.rigidbody,
+      bodyB: other.rigidbody,
+      contactPoint: contact.point,
+      contactNormal: contact.normal,
+      penetrationDepth: contact.depth
+    };
+  }
+}
+
+/**
+ * Box collider (oriented by the rigid body's rotation)
+ */
+export class BoxCollider extends ConvexCollider {
   public size: Vector3D;
 
   constructor(rigidbody: RigidBody, size: Vector3D) {
     super(rigidbody);
     this.size = size.clone();
+    this.rigidbody.setInertiaSource(this);
+  }
+
+  computeInertiaTensor(mass: number): Matrix3 {
+    const x2 = this.size.x * this.size.x;
+    const y2 = this.size.y * this.size.y;
+    const z2 = this.size.z * this.size.z;
+    return Matrix3.diagonal(new Vector3D(y2 + z2, x2 + z2, x2 + y2).multiply(mass / 12));
+  }
+
+  /**
+   * Get half of the box size along each local axis
+   */
+  getHalfExtents(): Vector3D {
+    return this.size.multiply(0.5);
+  }
+
+  getInnerRadius(): number {
+    return Math.min(this.size.x, this.size.y, this.size.z) * 0.5;
+  }
+
+  /**
+   * Slab test in the box's local frame
+   */
+  raycast(origin: Vector3D, direction: Vector3D, maxDistance: number = Infinity): RayIntersection | null {
+    const rotation = this.getRotation();
+    const inverse = rotation.conjugate();
+    const localOrigin = inverse.rotateVector(origin.subtract(this.getPosition()));
+    const halfExtents = this.getHalfExtents();
+    const bounds = new AABB(halfExtents.multiply(-1), halfExtents);
+    if (bounds.containsPoint(localOrigin)) {
+      return null;
+    }
+
+    const hit = bounds.raycast(localOrigin, inverse.rotateVector(direction), maxDistance);
+    return hit && { distance: hit.distance, normal: rotation.rotateVector(hit.normal) };
+  }
+
+  /**
+   * Get the box's local X, Y and Z axes in world space
+   */
+  getAxes(): [Vector3D, Vector3D, Vector3D] {
+    const m = this.getRotation().toMatrix3();
+    return [
+      new Vector3D(m[0], m[3], m[6]),
+      new Vector3D(m[1], m[4], m[7]),
+      new Vector3D(m[2], m[5], m[8])
+    ];
+  }
+
+  /**
+   * Get the eight corners of the box in world space
+   */
+  getVertices(): Vector3D[] {
+    const center = this.getPosition();
+    const axes = this.getAxes();
+    const h = this.getHalfExtents();
+    const vertices: Vector3D[] = [];
+
+    for (const sx of [-1, 1]) {
+      for (const sy of [-1, 1]) {
+        for (const sz of [-1, 1]) {
+          vertices.push(center
+            .add(axes[0].multiply(sx * h.x))
+            .add(axes[1].multiply(sy * h.y))
+            .add(axes[2].multiply(sz * h.z)));
+        }
+      }
+    }
+
+    return vertices;
+  }
+
+  /**
+   * Half the length of the box's projection onto an axis
+   */
+  projectRadius(axis: Vector3D): number {
+    const axes = this.getAxes();
+    const h = this.getHalfExtents();
+    return (
+      Math.abs(axis.dot(axes[0])) * h.x +
+      Math.abs(axis.dot(axes[1])) * h.y +
+      Math.abs(axis.dot(axes[2])) * h.z
+    );
   }
 
   getAABB(): AABB {
-    const halfSize = this.size.multiply(0.5);
+    // Project the rotated half extents onto the world axes
+    const m = this.getRotation().toMatrix3();
+    const h = this.getHalfExtents();
+    const extent = new Vector3D(
+      Math.abs(m[0]) * h.x + Math.abs(m[1]) * h.y + Math.abs(m[2]) * h.z,
+      Math.abs(m[3]) * h.x + Math.abs(m[4]) * h.y + Math.abs(m[5]) * h.z,
+      Math.abs(m[6]) * h.x + Math.abs(m[7]) * h.y + Math.abs(m[8]) * h.z
+    );
     return new AABB(
-      this.rigidbody.position.subtract(halfSize),
-      this.rigidbody.position.add(halfSize)
+      this.getPosition().subtract(extent),
+      this.getPosition().add(extent)
     );
   }
 
@@ -112,81 +544,312 @@ export class BoxCollider extends Collider {
       return this.checkBoxCollision(other);
     } else if (other instanceof SphereCollider) {
       return this.checkSphereCollision(other);
+    } else if (other instanceof CapsuleCollider) {
+      return flipCollision(other.checkBoxCollision(this));
     }
-    return null;
+    return super.checkCollision(other);
+  }
+
+  support(direction: Vector3D): Vector3D {
+    const axes = this.getAxes();
+    const h = this.getHalfExtents().toArray();
+    let point = this.getPosition();
+    for (let i = 0; i < 3; i++) {
+      const sign = axes[i].dot(direction) >= 0 ? 1 : -1;
+      point = point.add(axes[i].multiply(sign * h[i]));
+    }
+    return point;
   }
 
+  /**
+   * Oriented box vs oriented box using the separating axis theorem.
+   * Tests the 3 face axes of each box and the 9 edge-edge cross products.
+   */
   checkBoxCollision(other: BoxCollider): Collision | null {
-    const aabb1 = this.getAABB();
-    const aabb2 = other.getAABB();
+    const axesA = this.getAxes();
+    const axesB = other.getAxes();
+    const direction = other.getPosition().subtract(this.getPosition());
 
-    if (!aabb1.intersects(aabb2)) {
-      return null;
-    }
+    let minOverlap = Infinity;
+    let normal: Vector3D | null = null;
+    let bestType: 'faceA' | 'faceB' | 'edge' = 'faceA';
+    let bestEdgeA = 0;
+    let bestEdgeB = 0;
 
-    // Calculate overlap
-    const overlap = new Vector3D(
-      Math.min(aabb1.max.x, aabb2.max.x) - Math.max(aabb1.min.x, aabb2.min.x),
-      Math.min(aabb1.max.y, aabb2.max.y) - Math.max(aabb1.min.y, aabb2.min.y),
-      Math.min(aabb1.max.z, aabb2.max.z) - Math.max(aabb1.min.z, aabb2.min.z)
-    );
+    const testAxis = (axis: Vector3D, type: 'faceA' | 'faceB' | 'edge', edgeA: number, edgeB: number): boolean => {
+      const overlap = this.projectRadius(axis) + other.projectRadius(axis) - Math.abs(direction.dot(axis));
+      if (overlap < 0) {
+        return false;
+      }
+
+      // Bias towards face axes so resting contacts don't flip to edge normals, and towards
+      // A's faces so the reference face doesn't flip between two equal boxes
+      const biasedOverlap = type === 'edge' ? overlap * 1.05 + 1e-4 : type === 'faceB' ? overlap * 1.02 + 1e-3 : overlap;
+      if (biasedOverlap < minOverlap) {
+        minOverlap = biasedOverlap;
+        normal = axis.dot(direction) < 0 ? axis.multiply(-1) : axis;
+        bestType = type;
+        bestEdgeA = edgeA;
+        bestEdgeB = edgeB;
+      }
+      return true;
+    };
 
-    // Find the axis with minimum overlap (separation axis)
-    let minOverlap = overlap.x;
-    let normal = new Vector3D(1, 0, 0);
+    for (let i = 0; i < 3; i++) {
+      if (!testAxis(axesA[i], 'faceA', i, -1)) return null;
+    }
 
-    if (overlap.y < minOverlap) {
-      minOverlap = overlap.y;
-      normal = new Vector3D(0, 1, 0);
+    for (let i = 0; i < 3; i++) {
+      if (!testAxis(axesB[i], 'faceB', -1, i)) return null;
     }
 
-    if (overlap.z < minOverlap) {
-      minOverlap = overlap.z;
-      normal = new Vector3D(0, 0, 1);
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) {
+        const axis = axesA[i].cross(axesB[j]);
+        // Parallel edges produce a degenerate axis already covered by the face axes
+        if (axis.magnitudeSquared() < 1e-8) continue;
+        // So do edges perpendicular to each other around a face normal; testing that
+        // direction as an edge axis would replace the face contact with a single point
+        const edgeAxis = axis.normalize();
+        if ([...axesA, ...axesB].some(faceAxis => Math.abs(faceAxis.dot(edgeAxis)) > 1 - 1e-6)) continue;
+        if (!testAxis(edgeAxis, 'edge', i, j)) return null;
+      }
     }
 
-    // Determine normal direction
-    const direction = other.rigidbody.position.subtract(this.rigidbody.position);
-    if (normal.dot(direction) < 0) {
-      normal = normal.multiply(-1);
+    if (normal === null) {
+      return null;
     }
 
-    const contactPoint = this.rigidbody.position.add(other.rigidbody.position).multiply(0.5);
+    const contactNormal: Vector3D = normal;
+    const penetrationDepth = this.projectRadius(contactNormal) + other.projectRadius(contactNormal) -
+      Math.abs(direction.dot(contactNormal));
+
+    let contactPoint: Vector3D;
+    let contacts: ContactPoint[] = [];
+    if (bestType === 'faceA') {
+      // Deepest feature of B pushed into A's face
+      contactPoint = other.getSupportFeatureCenter(contactNormal.multiply(-1))
+        .add(contactNormal.multiply(penetrationDepth * 0.5));
+      contacts = this.clipIncidentFace(other, contactNormal);
+    } else if (bestType === 'faceB') {
+      contactPoint = this.getSupportFeatureCenter(contactNormal)
+        .subtract(contactNormal.multiply(penetrationDepth * 0.5));
+      contacts = other.clipIncidentFace(this, contactNormal.multiply(-1));
+    } else {
+      contactPoint = this.getEdgeContact(other, contactNormal, bestEdgeA, bestEdgeB);
+    }
 
     return {
       bodyA: this.rigidbody,
       bodyB: other.rigidbody,
       contactPoint,
-      contactNormal: normal,
-      penetrationDepth: minOverlap
+      contactNormal,
+      penetrationDepth,
+      contacts: contacts.length > 0 ? contacts : undefined
     };
   }
 
+  /**
+   * Contact points of a face contact: the other box's face that is most opposed to
+   * the normal, clipped against the sides of this box's face along the normal
+   */
+  private clipIncidentFace(incident: BoxCollider, normal: Vector3D): ContactPoint[] {
+    const axes = this.getAxes();
+    const h = this.getHalfExtents().toArray();
+    const center = this.getPosition();
+
+    // Reference face of this box
+    let face = 0;
+    for (let i = 1; i < 3; i++) {
+      if (Math.abs(axes[i].dot(normal)) > Math.abs(axes[face].dot(normal))) face = i;
+    }
+    const faceNormal = axes[face].dot(normal) >= 0 ? axes[face] : axes[face].multiply(-1);
+    const faceOffset = faceNormal.dot(center) + h[face];
+
+    // Incident face of the other box
+    let polygon = incident.getSupportFace(normal.multiply(-1));
+
+    // Clip against the four side planes of the reference face
+    for (let i = 0; i < 3; i++) {
+      if (i === face) continue;
+      for (const side of [1, -1]) {
+        const planeNormal = axes[i].multiply(side);
+        polygon = clipPolygon(polygon, planeNormal, planeNormal.dot(center) + h[i]);
+      }
+    }
+
+    // Keep the points below (or just above) the reference face, moved halfway to its surface
+    const contacts: ContactPoint[] = [];
+    for (const point of polygon) {
+      const depth = faceOffset - faceNormal.dot(point);
+      if (depth >= -SPECULATIVE_DISTANCE) {
+        contacts.push({ point: point.add(faceNormal.multiply(depth * 0.5)), depth });
+      }
+    }
+
+    return reduceContacts(contacts);
+  }
+
+  getSupportFace(direction: Vector3D): Vector3D[] {
+    const axes = this.getAxes();
+    const h = this.getHalfExtents().toArray();
+    let face = 0;
+    for (let i = 1; i < 3; i++) {
+      if (Math.abs(axes[i].dot(direction)) > Math.abs(axes[face].dot(direction))) face = i;
+    }
+    const sign = axes[face].dot(direction) < 0 ? -1 : 1;
+    const faceCenter = this.getPosition().add(axes[face].multiply(sign * h[face]));
+    const u = axes[(face + 1) % 3].multiply(h[(face + 1) % 3]);
+    const v = axes[(face + 2) % 3].multiply(h[(face + 2) % 3]);
+    return [
+      faceCenter.add(u).add(v),
+      faceCenter.subtract(u).add(v),
+      faceCenter.subtract(u).subtract(v),
+      faceCenter.add(u).subtract(v)
+    ];
+  }
+
+  /**
+   * Center of the vertices that lie furthest along a direction
+   * (a vertex, edge midpoint or face center)
+   */
+  private getSupportFeatureCenter(direction: Vector3D): Vector3D {
+    const vertices = this.getVertices();
+    let maxProjection = -Infinity;
+    for (const vertex of vertices) {
+      maxProjection = Math.max(maxProjection, vertex.dot(direction));
+    }
+
+    const tolerance = 1e-3 * Math.max(this.size.x, this.size.y, this.size.z, 1);
+    let sum = Vector3D.zero();
+    let count = 0;
+    for (const vertex of vertices) {
+      if (vertex.dot(direction) >= maxProjection - tolerance) {
+        sum = sum.add(vertex);
+        count++;
+      }
+    }
+
+    return sum.divide(count);
+  }
+
+  /**
+   * Contact point for an edge-edge collision: midpoint of the closest points
+   * between the supporting edge of each box
+   */
+  private getEdgeContact(other: BoxCollider, normal: Vector3D, edgeA: number, edgeB: number): Vector3D {
+    const edgeOnA = this.getSupportEdge(normal, edgeA);
+    const edgeOnB = other.getSupportEdge(normal.multiply(-1), edgeB);
+    const [pointA, pointB] = closestPointsOnSegments(edgeOnA[0], edgeOnA[1], edgeOnB[0], edgeOnB[1]);
+    return pointA.add(pointB).multiply(0.5);
+  }
+
+  /**
+   * The edge parallel to a local axis that lies furthest along a direction
+   */
+  private getSupportEdge(direction: Vector3D, axisIndex: number): [Vector3D, Vector3D] {
+    const axes = this.getAxes();
+    const h = this.getHalfExtents().toArray();
+    let center = this.getPosition();
+
+    for (let i = 0; i < 3; i++) {
+      if (i === axisIndex) continue;
+      const sign = axes[i].dot(direction) >= 0 ? 1 : -1;
+      center = center.add(axes[i].multiply(sign * h[i]));
+    }
+
+    const halfEdge = axes[axisIndex].multiply(h[axisIndex]);
+    return [center.subtract(halfEdge), center.add(halfEdge)];
+  }
+
+  /**
+   * Oriented box vs sphere
+   */
   checkSphereCollision(sphere: SphereCollider): Collision | null {
-    const aabb = this.getAABB();
-    const sphereCenter = sphere.rigidbody.position;
+    const contact = this.collideSphere(sphere.getPosition(), sphere.radius);
+    if (!contact) {
+      return null;
+    }
+
+    return {
+      bodyA: this.rigidbody,
+      bodyB: sphere.rigidbody,
+      ...contact
+    };
+  }
+
+  /**
+   * Distance from a world-space point to the surface of the box (0 if inside)
+   */
+  distanceToPoint(point: Vector3D): number {
+    const h = this.getHalfExtents();
+    const local = this.getRotation().conjugate().rotateVector(point.subtract(this.getPosition()));
+    const dx = Math.max(Math.abs(local.x) - h.x, 0);
+    const dy = Math.max(Math.abs(local.y) - h.y, 0);
+    const dz = Math.max(Math.abs(local.z) - h.z, 0);
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+  }
+
+  /**
+   * Box vs a sphere at a world-space center, done in the box's local space.
+   * The normal points from the box towards the sphere.
+   */
+  collideSphere(
+    center: Vector3D,
+    radius: number
+  ): Pick<Collision, 'contactPoint' | 'contactNormal' | 'penetrationDepth'> | null {
+    const position = this.getPosition();
+    const rotation = this.getRotation();
+    const h = this.getHalfExtents();
+    const localCenter = rotation.conjugate().rotateVector(center.subtract(position));
 
     // Find the closest point on the box to the sphere
-    const closestPoint = new Vector3D(
-      Math.max(aabb.min.x, Math.min(sphereCenter.x, aabb.max.x)),
-      Math.max(aabb.min.y, Math.min(sphereCenter.y, aabb.max.y)),
-      Math.max(aabb.min.z, Math.min(sphereCenter.z, aabb.max.z))
+    const localClosest = new Vector3D(
+      Math.max(-h.x, Math.min(localCenter.x, h.x)),
+      Math.max(-h.y, Math.min(localCenter.y, h.y)),
+      Math.max(-h.z, Math.min(localCenter.z, h.z))
     );
 
-    const distance = sphereCenter.distanceTo(closestPoint);
+    const localDelta = localCenter.subtract(localClosest);
+    const distanceSquared = localDelta.magnitudeSquared();
 
-    if (distance > sphere.radius) {
+    if (distanceSquared > radius * radius) {
       return null;
     }
 
-    const normal = sphereCenter.subtract(closestPoint).normalize();
-    const penetrationDepth = sphere.radius - distance;
+    let localNormal: Vector3D;
+    let penetrationDepth: number;
+    let contactLocal: Vector3D;
+
+    if (distanceSquared > 1e-12) {
+      const distance = Math.sqrt(distanceSquared);
+      localNormal = localDelta.divide(distance);
+      penetrationDepth = radius - distance;
+      contactLocal = localClosest;
+    } else {
+      // Sphere center is inside the box: push out through the nearest face
+      const faceDistances = [
+        h.x - Math.abs(localCenter.x),
+        h.y - Math.abs(localCenter.y),
+        h.z - Math.abs(localCenter.z)
+      ];
+      let axis = 0;
+      if (faceDistances[1] < faceDistances[axis]) axis = 1;
+      if (faceDistances[2] < faceDistances[axis]) axis = 2;
+
+      const components = localCenter.toArray();
+      const normalComponents: [number, number, number] = [0, 0, 0];
+      normalComponents[axis] = components[axis] >= 0 ? 1 : -1;
+      localNormal = new Vector3D(...normalComponents);
+      penetrationDepth = radius + faceDistances[axis];
+
+      components[axis] = normalComponents[axis] * h.toArray()[axis];
+      contactLocal = new Vector3D(...components);
+    }
 
     return {
-      bodyA: this.rigidbody,
-      bodyB: sphere.rigidbody,
-      contactPoint: closestPoint,
-      contactNormal: normal,
+      contactPoint: position.add(rotation.rotateVector(contactLocal)),
+      contactNormal: rotation.rotateVector(localNormal),
       penetrationDepth
     };
   }
@@ -195,19 +858,33 @@ export class BoxCollider extends Collider {
 /**
  * Sphere collider
  */
-export class SphereCollider extends Collider {
+export class SphereCollider extends ConvexCollider {
   public radius: number;
 
   constructor(rigidbody: RigidBody, radius: number) {
     super(rigidbody);
     this.radius = radius;
+    this.rigidbody.setInertiaSource(this);
+  }
+
+  computeInertiaTensor(mass: number): Matrix3 {
+    return Matrix3.identity().scale(0.4 * mass * this.radius * this.radius);
+  }
+
+  getInnerRadius(): number {
+    return this.radius;
+  }
+
+  raycast(origin: Vector3D, direction: Vector3D, maxDistance: number = Infinity): RayIntersection | null {
+    const hit = raySphere(origin, direction, this.getPosition(), this.radius);
+    return hit && hit.distance <= maxDistance ? hit : null;
   }
 
   getAABB(): AABB {
     const radiusVec = new Vector3D(this.radius, this.radius, this.radius);
     return new AABB(
-      this.rigidbody.position.subtract(radiusVec),
-      this.rigidbody.position.add(radiusVec)
+      this.getPosition().subtract(radiusVec),
+      this.getPosition().add(radiusVec)
     );
   }
 
@@ -215,32 +892,36 @@ export class SphereCollider extends Collider {
     if (other instanceof SphereCollider) {
       return this.checkSphereCollision(other);
     } else if (other instanceof BoxCollider) {
-      const collision = other.checkSphereCollision(this);
-      if (collision) {
-        // Swap bodies and flip normal
-        return {
-          bodyA: collision.bodyB,
-          bodyB: collision.bodyA,
-          contactPoint: collision.contactPoint,
-          contactNormal: collision.contactNormal.multiply(-1),
-          penetrationDepth: collision.penetrationDepth
-        };
-      }
+      return flipCollision(other.checkSphereCollision(this));
+    } else if (other instanceof CapsuleCollider) {
+      return flipCollision(other.checkSphereCollision(this));
     }
-    return null;
+    return super.checkCollision(other);
+  }
+
+  support(direction: Vector3D): Vector3D {
+    return this.getPosition().add(direction.normalize().multiply(this.radius));
+  }
+
+  supportCore(): Vector3D {
+    return this.getPosition();
+  }
+
+  getMargin(): number {
+    return this.radius;
   }
 
   checkSphereCollision(other: SphereCollider): Collision | null {
-    const distance = this.rigidbody.position.distanceTo(other.rigidbody.position);
+    const distance = this.getPosition().distanceTo(other.getPosition());
     const totalRadius = this.radius + other.radius;
 
     if (distance >= totalRadius) {
       return null;
     }
 
-    const normal = other.rigidbody.position.subtract(this.rigidbody.position).normalize();
+    const normal = other.getPosition().subtract(this.getPosition()).normalize();
     const penetrationDepth = totalRadius - distance;
-    const contactPoint = this.rigidbody.position.add(normal.multiply(this.radius - penetrationDepth * 0.5));
+    const contactPoint = this.getPosition().add(normal.multiply(this.radius - penetrationDepth * 0.5));
 
     return {
       bodyA: this.rigidbody,
@@ -251,3 +932,553 @@ export class SphereCollider extends Collider {
     };
   }
 }
+
+/**
+ * Capsule collider: a segment along the body's local Y axis swept by a radius
+ */
+export class CapsuleCollider extends ConvexCollider {
+  public radius: number;
+  public halfHeight: number; // Half the length of the inner segment (excluding the end caps)
+
+  constructor(rigidbody: RigidBody, radius: number, halfHeight: number) {
+    super(rigidbody);
+    this.radius = radius;
+    this.halfHeight = halfHeight;
+    this.rigidbody.setInertiaSource(this);
+  }
+
+  computeInertiaTensor(mass: number): Matrix3 {
+    // Split the mass between the cylinder and the two hemispherical caps by volume
+    const r = this.radius;
+    const h = this.halfHeight * 2;
+    const cylinderVolume = Math.PI * r * r * h;
+    const capsVolume = (4 / 3) * Math.PI * r * r * r;
+    const totalVolume = cylinderVolume + capsVolume;
+    if (totalVolume === 0) return Matrix3.zero();
+
+    const cylinderMass = mass * cylinderVolume / totalVolume;
+    const capsMass = mass * capsVolume / totalVolume;
+
+    const axial = cylinderMass * r * r / 2 + capsMass * 2 * r * r / 5;
+    const lateral = cylinderMass * (r * r / 4 + h * h / 12) +
+      capsMass * (2 * r * r / 5 + h * h / 4 + 3 * h * r / 8);
+    return Matrix3.diagonal(new Vector3D(lateral, axial, lateral));
+  }
+
+  getInnerRadius(): number {
+    return this.radius;
+  }
+
+  /**
+   * Get the world-space endpoints of the capsule's inner segment
+   */
+  getSegment(): [Vector3D, Vector3D] {
+    const axis = this.getRotation().rotateVector(new Vector3D(0, this.halfHeight, 0));
+    return [this.getPosition().subtract(axis), this.getPosition().add(axis)];
+  }
+
+  getAABB(): AABB {
+    const [a, b] = this.getSegment();
+    const radiusVec = new Vector3D(this.radius, this.radius, this.radius);
+    return new AABB(
+      new Vector3D(Math.min(a.x, b.x), Math.min(a.y, b.y), Math.min(a.z, b.z)).subtract(radiusVec),
+      new Vector3D(Math.max(a.x, b.x), Math.max(a.y, b.y), Math.max(a.z, b.z)).add(radiusVec)
+    );
+  }
+
+  checkCollision(other: Collider): Collision | null {
+    if (other instanceof CapsuleCollider) {
+      return this.checkCapsuleCollision(other);
+    } else if (other instanceof SphereCollider) {
+      return this.checkSphereCollision(other);
+    } else if (other instanceof BoxCollider) {
+      return this.checkBoxCollision(other);
+    }
+    return super.checkCollision(other);
+  }
+
+  support(direction: Vector3D): Vector3D {
+    return this.supportCore(direction).add(direction.normalize().multiply(this.radius));
+  }
+
+  supportCore(direction: Vector3D): Vector3D {
+    const [a, b] = this.getSegment();
+    return b.subtract(a).dot(direction) >= 0 ? b : a;
+  }
+
+  getMargin(): number {
+    return this.radius;
+  }
+
+  checkSphereCollision(sphere: SphereCollider): Collision | null {
+    const [a, b] = this.getSegment();
+    const closest = closestPointOnSegment(sphere.getPosition(), a, b);
+    return collideSpheres(this.rigidbody, closest, this.radius, sphere.rigidbody, sphere.getPosition(), sphere.radius);
+  }
+
+  checkCapsuleCollision(other: CapsuleCollider): Collision | null {
+    const [a1, b1] = this.getSegment();
+    const [a2, b2] = other.getSegment();
+    const [pointA, pointB] = closestPointsOnSegments(a1, b1, a2, b2);
+    return collideSpheres(this.rigidbody, pointA, this.radius, other.rigidbody, pointB, other.radius);
+  }
+
+  /**
+   * Capsule vs oriented box. Treats the capsule as a sphere at the segment point
+   * closest to the box; if the segment itself pokes into the box, falls back to
+   * a separating axis test over the box axes and the box axes crossed with the segment.
+   */
+  checkBoxCollision(box: BoxCollider): Collision | null {
+    const [a, b] = this.getSegment();
+    const segment = b.subtract(a);
+    const distanceAt = (t: number): number => box.distanceToPoint(a.add(segment.multiply(t)));
+
+    // Distance to a convex shape is convex along a segment, so a ternary search finds the minimum
+    let lo = 0;
+    let hi = 1;
+    for (let i = 0; i < 40; i++) {
+      const m1 = lo + (hi - lo) / 3;
+      const m2 = hi - (hi - lo) / 3;
+      if (distanceAt(m1) < distanceAt(m2)) {
+        hi = m2;
+      } else {
+        lo = m1;
+      }
+    }
+    const tMin = (lo + hi) / 2;
+    const minDistance = distanceAt(tMin);
+
+    if (minDistance > this.radius) {
+      return null;
+    }
+
+    if (minDistance > 1e-6) {
+      // Use the middle of the range of closest points so a capsule lying flat gets a centered contact
+      const tolerance = 1e-4 * Math.max(this.radius, 1);
+      const findEdge = (inside: number, outside: number): number => {
+        for (let i = 0; i < 30; i++) {
+          const mid = (inside + outside) / 2;
+          if (distanceAt(mid) <= minDistance + tolerance) {
+            inside = mid;
+          } else {
+            outside = mid;
+          }
+        }
+        return inside;
+      };
+      const tStart = distanceAt(0) <= minDistance + tolerance ? 0 : findEdge(tMin, 0);
+      const tEnd = distanceAt(1) <= minDistance + tolerance ? 1 : findEdge(tMin, 1);
+      const center = a.add(segment.multiply((tStart + tEnd) / 2));
+
+      const contact = box.collideSphere(center, this.radius);
+      if (!contact) {
+        return null;
+      }
+      return {
+        bodyA: this.rigidbody,
+        bodyB: box.rigidbody,
+        contactPoint: contact.contactPoint,
+        contactNormal: contact.contactNormal.multiply(-1),
+        penetrationDepth: contact.penetrationDepth
+      };
+    }
+
+    return this.checkBoxSAT(box);
+  }
+
+  /**
+   * Separating axis test for a capsule whose segment intersects the box
+   */
+  private checkBoxSAT(box: BoxCollider): Collision | null {
+    const [a, b] = this.getSegment();
+    const center = this.getPosition();
+    const segmentDirection = b.subtract(a).normalize();
+    const direction = center.subtract(box.getPosition());
+    const boxAxes = box.getAxes();
+
+    const axes: Vector3D[] = [...boxAxes];
+    for (const boxAxis of boxAxes) {
+      const axis = boxAxis.cross(segmentDirection);
+      if (axis.magnitudeSquared() > 1e-8) {
+        axes.push(axis.normalize());
+      }
+    }
+
+    let minOverlap = Infinity;
+    let normal: Vector3D | null = null;
+    for (const axis of axes) {
+      const capsuleRadius = Math.abs(axis.dot(segmentDirection)) * this.halfHeight + this.radius;
+      const overlap = box.projectRadius(axis) + capsuleRadius - Math.abs(direction.dot(axis));
+      if (overlap < 0) {
+        return null;
+      }
+      if (overlap < minOverlap) {
+        minOverlap = overlap;
+        // Normal points from the capsule towards the box
+        normal = axis.dot(direction) > 0 ? axis.multiply(-1) : axis;
+      }
+    }
+
+    if (normal === null) {
+      return null;
+    }
+
+    const contactNormal: Vector3D = normal;
+    const alongNormal = segmentDirection.dot(contactNormal);
+    const deepest = Math.abs(alongNormal) < 1e-3 ? center : (alongNormal > 0 ? b : a);
+    const contactPoint = deepest.add(contactNormal.multiply(this.radius - minOverlap * 0.5));
+
+    return {
+      bodyA: this.rigidbody,
+      bodyB: box.rigidbody,
+      contactPoint,
+      contactNormal,
+      penetrationDepth: minOverlap
+    };
+  }
+
+  raycast(origin: Vector3D, direction: Vector3D, maxDistance: number = Infinity): RayIntersection | null {
+    const [a, b] = this.getSegment();
+
+    // Rays starting inside don't hit the shape (the end caps would be hit from the inside)
+    if (closestPointOnSegment(origin, a, b).distanceTo(origin) <= this.radius) {
+      return null;
+    }
+
+    let best: RayIntersection | null = null;
+
+    const consider = (hit: RayIntersection | null): void => {
+      if (hit && hit.distance <= maxDistance && (!best || hit.distance < best.distance)) {
+        best = hit;
+      }
+    };
+
+    consider(rayCylinder(origin, direction, a, b, this.radius));
+    consider(raySphere(origin, direction, a, this.radius));
+    consider(raySphere(origin, direction, b, this.radius));
+
+    return best;
+  }
+}
+
+/**
+ * Swap the bodies (and colliders) of a collision and flip its normal
+ */
+export function flipCollision(collision: Collision | null): Collision | null {
+  if (!collision) {
+    return null;
+  }
+
+  return {
+    ...collision,
+    bodyA: collision.bodyB,
+    bodyB: collision.bodyA,
+    colliderA: collision.colliderB,
+    colliderB: collision.colliderA,
+    contactNormal: collision.contactNormal.multiply(-1)
+  };
+}
+
+/**
+ * Swap the sides of a closest-points result
+ */
+export function flipClosestPoints(closest: ClosestPoints | null): ClosestPoints | null {
+  return closest && { distance: closest.distance, pointA: closest.pointB, pointB: closest.pointA };
+}
+
+/**
+ * Closest points between two shapes rounded by margins, from the closest points of
+ * their cores. Touching or overlapping shapes get distance 0 and one shared point.
+ */
+export function roundedDistance(cores: ClosestPoints, marginA: number, marginB: number): ClosestPoints {
+  if (cores.distance < 1e-9) {
+    return { distance: 0, pointA: cores.pointA, pointB: cores.pointA };
+  }
+
+  const normal = cores.pointB.subtract(cores.pointA).divide(cores.distance);
+  const pointA = cores.pointA.add(normal.multiply(marginA));
+  const pointB = cores.pointB.subtract(normal.multiply(marginB));
+  if (cores.distance <= marginA + marginB) {
+    const middle = pointA.add(pointB).multiply(0.5);
+    return { distance: 0, pointA: middle, pointB: middle };
+  }
+
+  return { distance: cores.distance - marginA - marginB, pointA, pointB };
+}
+
+/**
+ * Find the nearest result around some bounds. The query is run over ever wider bounds
+ * until it reports something, then once more out to the nearest distance so that no
+ * closer result is missed. Everything the query can report lies inside searchBounds.
+ */
+export function findNearest<T extends { distance: number }>(
+  bounds: AABB,
+  searchBounds: AABB,
+  query: (bounds: AABB, visit: (result: T | null) => void) => void
+): T | null {
+  let nearest: T | null = null;
+  const visit = (result: T | null): void => {
+    if (result && (!nearest || result.distance < nearest.distance)) {
+      nearest = result;
+    }
+  };
+
+  // Widening past this covers searchBounds entirely
+  const maxRange = Math.max(
+    searchBounds.max.x - bounds.max.x, searchBounds.max.y - bounds.max.y, searchBounds.max.z - bounds.max.z,
+    bounds.min.x - searchBounds.min.x, bounds.min.y - searchBounds.min.y, bounds.min.z - searchBounds.min.z,
+    0
+  );
+
+  let range = Math.max(bounds.distanceTo(searchBounds), 1e-3);
+  query(bounds.expand(range), visit);
+  while (!nearest && range < maxRange) {
+    range *= 2;
+    query(bounds.expand(range), visit);
+  }
+
+  const found = nearest as T | null;
+  if (found && found.distance > range) {
+    query(bounds.expand(found.distance), visit);
+  }
+  return nearest;
+}
+
+/**
+ * Reduce a contact area to at most maxPoints points: the deepest point, then the
+ * points that span the largest area
+ */
+export function reduceContacts<T extends ContactPoint>(contacts: T[], maxPoints: number = 4): T[] {
+  if (contacts.length <= maxPoints) {
+    return contacts;
+  }
+
+  const pick = (score: (contact: T) => number): T => {
+    let best = contacts[0];
+    let bestScore = -Infinity;
+    for (const contact of contacts) {
+      if (kept.includes(contact)) continue;
+      const value = score(contact);
+      if (value > bestScore) {
+        bestScore = value;
+        best = contact;
+      }
+    }
+    return best;
+  };
+
+  const kept: T[] = [];
+  const a = pick(contact => contact.depth);
+  kept.push(a);
+  const b = pick(contact => contact.point.subtract(a.point).magnitudeSquared());
+  kept.push(b);
+
+  if (maxPoints >= 3) {
+    const c = pick(contact => triangleArea(a.point, b.point, contact.point));
+    kept.push(c);
+
+    // The fourth point spans the largest triangle on the other side of a-b from c.
+    // (The largest triangle on any edge is ambiguous: every point along the far edge
+    // of a rectangle scores the same.)
+    if (maxPoints >= 4) {
+      const edge = b.point.subtract(a.point);
+      const side = edge.cross(c.point.subtract(a.point));
+      kept.push(pick(contact => -edge.cross(contact.point.subtract(a.point)).dot(side)));
+    }
+
+    // Any further points fill the largest gaps
+    while (kept.length < maxPoints) {
+      kept.push(pick(contact => Math.min(...kept.map(other => contact.point.distanceTo(other.point)))));
+    }
+  }
+
+  return kept;
+}
+
+function triangleArea(a: Vector3D, b: Vector3D, c: Vector3D): number {
+  return b.subtract(a).cross(c.subtract(a)).magnitude() * 0.5;
+}
+
+/**
+ * Clip a convex polygon to the half-space point · normal <= offset (Sutherland–Hodgman)
+ */
+export function clipPolygon(polygon: Vector3D[], normal: Vector3D, offset: number): Vector3D[] {
+  const result: Vector3D[] = [];
+  for (let i = 0; i < polygon.length; i++) {
+    const current = polygon[i];
+    const next = polygon[(i + 1) % polygon.length];
+    const currentDistance = current.dot(normal) - offset;
+    const nextDistance = next.dot(normal) - offset;
+
+    if (currentDistance <= 0) {
+      result.push(current);
+    }
+    if ((currentDistance < 0 && nextDistance > 0) || (currentDistance > 0 && nextDistance < 0)) {
+      result.push(current.lerp(next, currentDistance / (currentDistance - nextDistance)));
+    }
+  }
+  return result;
+}
+
+/**
+ * Closest point to p on the segment a-b
+ */
+export function closestPointOnSegment(p: Vector3D, a: Vector3D, b: Vector3D): Vector3D {
+  const ab = b.subtract(a);
+  const lengthSquared = ab.magnitudeSquared();
+  if (lengthSquared < 1e-12) return a.clone();
+  const t = Math.max(0, Math.min(p.subtract(a).dot(ab) / lengthSquared, 1));
+  return a.add(ab.multiply(t));
+}
+
+/**
+ * Collision between two spheres given by center and radius (normal points from A to B)
+ */
+function collideSpheres(
+  bodyA: RigidBody,
+  centerA: Vector3D,
+  radiusA: number,
+  bodyB: RigidBody,
+  centerB: Vector3D,
+  radiusB: number
+): Collision | null {
+  const delta = centerB.subtract(centerA);
+  const distance = delta.magnitude();
+  const totalRadius = radiusA + radiusB;
+
+  if (distance >= totalRadius) {
+    return null;
+  }
+
+  // Coincident centers: pick an arbitrary but consistent normal
+  const normal = distance > 1e-9 ? delta.divide(distance) : Vector3D.up();
+  const penetrationDepth = totalRadius - distance;
+  const contactPoint = centerA.add(normal.multiply(radiusA - penetrationDepth * 0.5));
+
+  return {
+    bodyA,
+    bodyB,
+    contactPoint,
+    contactNormal: normal,
+    penetrationDepth
+  };
+}
+
+/**
+ * Intersect a ray with a sphere, returning the entry point
+ */
+function raySphere(origin: Vector3D, direction: Vector3D, center: Vector3D, radius: number): RayIntersection | null {
+  const m = origin.subtract(center);
+  const b = m.dot(direction);
+  const c = m.magnitudeSquared() - radius * radius;
+  const discriminant = b * b - c;
+
+  if (discriminant < 0) {
+    return null;
+  }
+
+  const distance = -b - Math.sqrt(discriminant);
+  if (distance < 0) {
+    return null;
+  }
+
+  const point = origin.add(direction.multiply(distance));
+  return { distance, normal: point.subtract(center).normalize() };
+}
+
+/**
+ * Intersect a ray with the side of a finite cylinder around segment a-b
+ */
+function rayCylinder(
+  origin: Vector3D,
+  direction: Vector3D,
+  a: Vector3D,
+  b: Vector3D,
+  radius: number
+): RayIntersection | null {
+  const d = b.subtract(a);
+  const m = origin.subtract(a);
+  const dd = d.dot(d);
+  const md = m.dot(d);
+  const nd = direction.dot(d);
+
+  const aCoeff = dd - nd * nd;
+  // Ray parallel to the axis can only hit the caps
+  if (Math.abs(aCoeff) < 1e-9 || dd < 1e-12) {
+    return null;
+  }
+
+  const bCoeff = dd * m.dot(direction) - nd * md;
+  const cCoeff = dd * (m.magnitudeSquared() - radius * radius) - md * md;
+  const discriminant = bCoeff * bCoeff - aCoeff * cCoeff;
+
+  if (discriminant < 0) {
+    return null;
+  }
+
+  const distance = (-bCoeff - Math.sqrt(discriminant)) / aCoeff;
+  if (distance < 0) {
+    return null;
+  }
+
+  // Reject hits beyond the ends of the segment (the caps handle those)
+  const along = md + distance * nd;
+  if (along < 0 || along > dd) {
+    return null;
+  }
+
+  const point = origin.add(direction.multiply(distance));
+  const axisPoint = a.add(d.multiply(along / dd));
+  return { distance, normal: point.subtract(axisPoint).normalize() };
+}
+
+/**
+ * Closest points between segments p1-q1 and p2-q2
+ */
+export function closestPointsOnSegments(
+  p1: Vector3D,
+  q1: Vector3D,
+  p2: Vector3D,
+  q2: Vector3D
+): [Vector3D, Vector3D] {
+  const d1 = q1.subtract(p1);
+  const d2 = q2.subtract(p2);
+  const r = p1.subtract(p2);
+  const a = d1.dot(d1);
+  const e = d2.dot(d2);
+  const f = d2.dot(r);
+  const epsilon = 1e-12;
+
+  let s: number;
+  let t: number;
+
+  if (a <= epsilon && e <= epsilon) {
+    return [p1.clone(), p2.clone()];
+  }
+
+  if (a <= epsilon) {
+    s = 0;
+    t = Math.max(0, Math.min(f / e, 1));
+  } else {
+    const c = d1.dot(r);
+    if (e <= epsilon) {
+      t = 0;
+      s = Math.max(0, Math.min(-c / a, 1));
+    } else {
+      const b = d1.dot(d2);
+      const denom = a * e - b * b;
+      s = denom > epsilon ? Math.max(0, Math.min((b * f - c * e) / denom, 1)) : 0;
+      t = (b * s + f) / e;
+
+      if (t < 0) {
+        t = 0;
+        s = Math.max(0, Math.min(-c / a, 1));
+      } else if (t > 1) {
+        t = 1;
+        s = Math.max(0, Math.min((b - c) / a, 1));
+      }
+    }
+  }
+
+  return [p1.add(d1.multiply(s)), p2.add(d2.multiply(t))];
+}
@@ -0,0 +1,251 @@
+import { Vector3D, Quaternion, Matrix3 } from '../math/index.js';
+import { RigidBody } from './RigidBody.js';
+import { Collider, ConvexCollider, Collision, AABB, RayIntersection } from './Collision.js';
+import { ClosestPoints } from './GJK.js';
+
+/**
+ * A child shape of a compound collider
+ */
+export interface CompoundChild {
+  collider: ConvexCollider;
+  offset: Vector3D; // Position relative to the compound's origin
+  rotation: Quaternion; // Orientation relative to the body
+  mass: number;
+}
+
+/**
+ * Several convex shapes rigidly attached to one body (tables, L-shaped pieces,
+ * vehicle chassis). Child offsets are given relative to the compound's origin; the
+ * body's position is kept at the combined center of mass, and the body's mass and
+ * inertia tensor are derived from the children.
+ *
+ * Only the compound is added to the world, not its children. Contacts report the
+ * child that was hit in colliderA / colliderB.
+ */
+export class CompoundCollider extends Collider {
+  public centerOfMass: Vector3D; // Relative to the compound's origin
+
+  private children: CompoundChild[];
+
+  constructor(rigidbody: RigidBody) {
+    super(rigidbody);
+    this.children = [];
+    this.centerOfMass = Vector3D.zero();
+    this.rigidbody.setInertiaSource(this);
+  }
+
+  /**
+   * Attach a convex shape. The shape must have been created for this compound's body.
+   */
+  addChild(
+    collider: ConvexCollider,
+    offset: Vector3D = Vector3D.zero(),
+    rotation: Quaternion = Quaternion.identity(),
+    mass: number = 1
+  ): void {
+    if (collider.rigidbody !== this.rigidbody) {
+      throw new Error('CompoundCollider children must use the compound\'s rigid body');
+    }
+    if (mass < 0) {
+      throw new Error('CompoundCollider child mass must not be negative');
+    }
+
+    this.children.push({ collider, offset: offset.clone(), rotation: rotation.normalize(), mass });
+    this.updateMassProperties();
+  }
+
+  /**
+   * Detach a child shape
+   */
+  removeChild(collider: ConvexCollider): void {
+    const index = this.children.findIndex(child => child.collider === collider);
+    if (index !== -1) {
+      this.children.splice(index, 1);
+      collider.localPosition = Vector3D.zero();
+      collider.localRotation = Quaternion.identity();
+      this.updateMassProperties();
+    }
+  }
+
+  /**
+   * Get the attached child shapes
+   */
+  getChildren(): readonly CompoundChild[] {
+    return this.children;
+  }
+
+  /**
+   * Recompute the body's mass, center of mass and inertia tensor from the children.
+   * Call this after changing a child's offset, rotation or mass.
+   */
+  updateMassProperties(): void {
+    let totalMass = 0;
+    let weighted = Vector3D.zero();
+    for (const child of this.children) {
+      totalMass += child.mass;
+      weighted = weighted.add(child.offset.multiply(child.mass));
+    }
+
+    const centerOfMass = totalMass > 0 ? weighted.multiply(1 / totalMass) : Vector3D.zero();
+
+    // Keep the shapes where they are in the world while the body moves to the new center
+    const shift = centerOfMass.subtract(this.centerOfMass);
+    this.rigidbody.position = this.rigidbody.position.add(this.rigidbody.rotation.rotateVector(shift));
+    this.centerOfMass = centerOfMass;
+
+    for (const child of this.children) {
+      child.collider.localPosition = child.offset.subtract(centerOfMass);
+      child.collider.localRotation = child.rotation;
+    }
+
+    // Children register themselves as the inertia source when they are created
+    this.rigidbody.setInertiaSource(this);
+    if (!this.rigidbody.isStatic && totalMass > 0) {
+      this.rigidbody.setMass(totalMass);
+    }
+  }
+
+  getAABB(): AABB {
+    if (this.children.length === 0) {
+      return new AABB(this.getPosition(), this.getPosition());
+    }
+
+    const first = this.children[0].collider.getAABB();
+    const min = first.min.clone();
+    const max = first.max.clone();
+    for (const child of this.children) {
+      const box = child.collider.getAABB();
+      min.set(Math.min(min.x, box.min.x), Math.min(min.y, box.min.y), Math.min(min.z, box.min.z));
+      max.set(Math.max(max.x, box.max.x), Math.max(max.y, box.max.y), Math.max(max.z, box.max.z));
+    }
+    return new AABB(min, max);
+  }
+
+  /**
+   * The smallest inner radius of the children, since each child moves as far as the body
+   */
+  getInnerRadius(): number {
+    if (this.children.length === 0) return super.getInnerRadius();
+    return Math.min(...this.children.map(child => child.collider.getInnerRadius()));
+  }
+
+  computeInertiaTensor(mass: number): Matrix3 {
+    const totalMass = this.children.reduce((sum, child) => sum + child.mass, 0);
+    if (totalMass <= 0) return Matrix3.zero();
+
+    // Scale the child masses so the tensor matches the body's mass
+    const scale = mass / totalMass;
+    let tensor = Matrix3.zero();
+
+    for (const child of this.children) {
+      const childMass = child.mass * scale;
+      const rotation = Matrix3.fromQuaternion(child.collider.localRotation);
+      const local = child.collider.computeInertiaTensor(childMass);
+      tensor = tensor.add(rotation.multiply(local).multiply(rotation.transpose()));
+
+      // Parallel axis theorem: m (|d|² I - d dᵀ)
+      const d = child.collider.localPosition;
+      tensor = tensor.add(new Matrix3([
+        d.y * d.y + d.z * d.z, -d.x * d.y, -d.x * d.z,
+        -d.y * d.x, d.x * d.x + d.z * d.z, -d.y * d.z,
+        -d.z * d.x, -d.z * d.y, d.x * d.x + d.y * d.y
+      ]).scale(childMass));
+    }
+
+    return tensor;
+  }
+
+  /**
+   * Test every child against the other collider and keep the deepest contact. Contact
+   * points of other children touching along (nearly) the same normal are merged in, so a
+   * table standing on its legs gets one manifold spanning all of them.
+   */
+  checkCollision(other: Collider): Collision | null {
+    const otherBounds = other.getAABB();
+    const collisions: Collision[] = [];
+    let best: Collision | null = null;
+
+    for (const child of this.children) {
+      if (!child.collider.getAABB().intersects(otherBounds)) continue;
+
+      const collision = child.collider.checkCollision(other);
+      if (!collision) continue;
+
+      collisions.push(collision);
+      if (!best || collision.penetrationDepth > best.penetrationDepth) {
+        best = {
+          ...collision,
+          colliderA: child.collider,
+          colliderB: collision.colliderB ?? other
+        };
+      }
+    }
+
+    if (best && collisions.length > 1) {
+      const normal = best.contactNormal;
+      best.contacts = collisions
+        .filter(collision => collision.contactNormal.dot(normal) > 0.95)
+        .flatMap(collision => collision.contacts ?? [{ point: collision.contactPoint, depth: collision.penetrationDepth }]);
+    }
+
+    return best;
+  }
+
+  /**
+   * Nearest hit among the child shapes
+   */
+  raycast(
+    origin: Vector3D,
+    direction: Vector3D,
+    maxDistance: number = Infinity,
+    ignoreBackfaces: boolean = false
+  ): RayIntersection | null {
+    let best: RayIntersection | null = null;
+    let range = maxDistance;
+
+    for (const child of this.children) {
+      const hit = child.collider.raycast(origin, direction, range, ignoreBackfaces);
+      if (hit && hit.distance <= range) {
+        best = hit;
+        range = hit.distance;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Nearest point among the child shapes
+   */
+  closestPoint(point: Vector3D): Vector3D {
+    let best = this.getPosition();
+    let bestDistance = Infinity;
+
+    for (const child of this.children) {
+      const closest = child.collider.closestPoint(point);
+      const distance = closest.distanceTo(point);
+      if (distance < bestDistance) {
+        best = closest;
+        bestDistance = distance;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Nearest closest points among the child shapes
+   */
+  distanceTo(other: Collider): ClosestPoints | null {
+    let best: ClosestPoints | null = null;
+
+    for (const child of this.children) {
+      const closest = child.collider.distanceTo(other);
+      if (closest && (!best || closest.distance < best.distance)) {
+        best = closest;
+      }
+    }
+
+    return best;
+  }
+}
@@ -0,0 +1,342 @@
+import { Vector3D } from '../math/index.js';
+import { RigidBody } from './RigidBody.js';
+import { Collider, Collision, CollisionEvent, ContactPoint, reduceContacts } from './Collision.js';
+
+const MAX_POINTS = 4;
+const MATCH_DISTANCE = 0.02; // New points this close to an old one inherit its impulses
+const BREAKING_DISTANCE = 0.02; // Old points are dropped once they separate or slide this far
+const BAUMGARTE = 0.2; // Fraction of the penetration removed per position iteration
+const SLOP = 0.005; // Penetration left alone so resting contacts stay touching
+const MAX_CORRECTION = 0.2;
+const RESTITUTION_THRESHOLD = 1; // Slower impacts don't bounce
+
+/**
+ * A point of a persistent contact manifold. The anchors are stored in each body's
+ * local space so the point can be tracked as the bodies move.
+ */
+export interface ManifoldPoint extends ContactPoint {
+  localPointA: Vector3D; // Point on A's surface (the deepest point of A inside B)
+  localPointB: Vector3D; // Point on B's surface
+  normalImpulse: number; // Accumulated impulses, carried over to warm start the next step
+  tangentImpulse1: number;
+  tangentImpulse2: number;
+
+  // Solver data, refreshed every step
+  normalMass: number;
+  tangentMass1: number;
+  tangentMass2: number;
+  velocityBias: number;
+}
+
+/**
+ * Contact points between two colliders, kept across steps. Each step the narrow
+ * phase result is merged into the manifold: points close to existing ones keep their
+ * accumulated impulses (warm starting), and single-point results build up an area of
+ * up to four points over several steps.
+ */
+export class ContactManifold {
+  public bodyA: RigidBody;
+  public bodyB: RigidBody;
+  public colliderA: Collider | undefined;
+  public colliderB: Collider | undefined;
+  public normal: Vector3D; // From A towards B
+  public points: ManifoldPoint[];
+  public relativeSpeed: number; // Closing speed along the normal at the start of the step
+
+  private tangent1: Vector3D;
+  private tangent2: Vector3D;
+
+  constructor(collision: Collision) {
+    this.bodyA = collision.bodyA;
+    this.bodyB = collision.bodyB;
+    this.colliderA = collision.colliderA;
+    this.colliderB = collision.colliderB;
+    this.normal = collision.contactNormal;
+    this.points = [];
+    this.relativeSpeed = 0;
+    [this.tangent1, this.tangent2] = tangentBasis(this.normal);
+    this.update(collision);
+  }
+
+  /**
+   * Merge a new narrow phase result into the manifold
+   */
+  update(collision: Collision): void {
+    // A different normal means a different contact configuration
+    if (collision.contactNormal.dot(this.normal) < 0.95) {
+      this.points = [];
+    }
+
+    this.colliderA = collision.colliderA;
+    this.colliderB = collision.colliderB;
+    this.normal = collision.contactNormal;
+    [this.tangent1, this.tangent2] = tangentBasis(this.normal);
+    this.refresh();
+
+    const contacts = collision.contacts ?? [{ point: collision.contactPoint, depth: collision.penetrationDepth }];
+    const matched = new Set<ManifoldPoint>();
+    const fresh = contacts.map(contact => {
+      const point = this.createPoint(contact);
+      const old = this.findNearest(contact.point, matched);
+      if (old) {
+        matched.add(old);
+        point.normalImpulse = old.normalImpulse;
+        point.tangentImpulse1 = old.tangentImpulse1;
+        point.tangentImpulse2 = old.tangentImpulse2;
+      }
+      return point;
+    });
+
+    // A full contact area replaces the old points; single points accumulate
+    const kept = contacts.length > 1 ? [] : this.points.filter(point => !matched.has(point));
+    this.points = reduceContacts(fresh.concat(kept), MAX_POINTS);
+  }
+
+  /**
+   * Recompute the world positions and depths of the points from their anchors,
+   * dropping points whose bodies have moved apart
+   */
+  refresh(): void {
+    this.points = this.points.filter(point => {
+      const offset = this.updatePoint(point);
+      const drift = offset.subtract(this.normal.multiply(offset.dot(this.normal)));
+      return point.depth > -BREAKING_DISTANCE && drift.magnitude() < BREAKING_DISTANCE;
+    });
+  }
+
+  /**
+   * Whether any point is actually in contact (points kept from earlier steps may have a
+   * small gap)
+   */
+  isTouching(): boolean {
+    return this.points.some(point => point.depth > 0);
+  }
+
+  /**
+   * Get the manifold as a collision (contactPoint is the deepest point)
+   */
+  toCollision(): Collision {
+    let deepest = this.points[0];
+    for (const point of this.points) {
+      if (point.depth > deepest.depth) deepest = point;
+    }
+
+    return {
+      bodyA: this.bodyA,
+      bodyB: this.bodyB,
+      colliderA: this.colliderA,
+      colliderB: this.colliderB,
+      contactPoint: deepest.point,
+      contactNormal: this.normal,
+      penetrationDepth: deepest.depth,
+      contacts: this.points.map(point => ({ point: point.point, depth: point.depth }))
+    };
+  }
+
+  /**
+   * Get the manifold as a collision event, with the impulses of the last solve
+   */
+  toCollisionEvent(): CollisionEvent {
+    return {
+      bodyA: this.bodyA,
+      bodyB: this.bodyB,
+      colliderA: this.colliderA,
+      colliderB: this.colliderB,
+      contacts: this.points.map(point => ({ point: point.point, depth: point.depth })),
+      normal: this.normal,
+      impulse: this.points.reduce((sum, point) => sum + point.normalImpulse, 0),
+      relativeSpeed: this.relativeSpeed
+    };
+  }
+
+  /**
+   * Compute the effective masses and velocity targets for this step
+   */
+  prepare(deltaTime: number): void {
+    const restitution = Math.min(this.bodyA.restitution, this.bodyB.restitution);
+    this.relativeSpeed = 0;
+
+    for (const point of this.points) {
+      const normalMass = getInverseEffectiveMass(this.bodyA, this.bodyB, point.point, this.normal);
+      const tangentMass1 = getInverseEffectiveMass(this.bodyA, this.bodyB, point.point, this.tangent1);
+      const tangentMass2 = getInverseEffectiveMass(this.bodyA, this.bodyB, point.point, this.tangent2);
+      point.normalMass = normalMass > 0 ? 1 / normalMass : 0;
+      point.tangentMass1 = tangentMass1 > 0 ? 1 / tangentMass1 : 0;
+      point.tangentMass2 = tangentMass2 > 0 ? 1 / tangentMass2 : 0;
+
+      const normalVelocity = this.getRelativeVelocity(point).dot(this.normal);
+      this.relativeSpeed = Math.max(this.relativeSpeed, -normalVelocity);
+      if (point.depth < 0) {
+        // Speculative contact: let the bodies close the gap this step, but no further
+        point.velocityBias = point.depth / deltaTime;
+      } else if (normalVelocity < -RESTITUTION_THRESHOLD) {
+        point.velocityBias = -restitution * normalVelocity;
+      } else {
+        point.velocityBias = 0;
+      }
+    }
+  }
+
+  /**
+   * Apply last step's accumulated impulses
+   */
+  warmStart(): void {
+    for (const point of this.points) {
+      this.applyImpulse(point, this.normal.multiply(point.normalImpulse)
+        .add(this.tangent1.multiply(point.tangentImpulse1))
+        .add(this.tangent2.multiply(point.tangentImpulse2)));
+    }
+  }
+
+  /**
+   * One sequential impulse iteration over the points (friction, then non-penetration)
+   * @param reverse - Visit the points in reverse order. Alternating the order between
+   * iterations keeps the solution from drifting towards the points solved last.
+   */
+  solveVelocity(reverse: boolean = false): void {
+    const friction = Math.sqrt(this.bodyA.friction * this.bodyB.friction);
+    const count = this.points.length;
+
+    // Friction, clamped to the friction cone (approximated by a box)
+    for (let i = 0; i < count; i++) {
+      const point = this.points[reverse ? count - 1 - i : i];
+      const maxFriction = friction * point.normalImpulse;
+      const velocity = this.getRelativeVelocity(point);
+
+      const oldTangent1 = point.tangentImpulse1;
+      point.tangentImpulse1 = clamp(oldTangent1 - point.tangentMass1 * velocity.dot(this.tangent1), -maxFriction, maxFriction);
+      const oldTangent2 = point.tangentImpulse2;
+      point.tangentImpulse2 = clamp(oldTangent2 - point.tangentMass2 * velocity.dot(this.tangent2), -maxFriction, maxFriction);
+      this.applyImpulse(point, this.tangent1.multiply(point.tangentImpulse1 - oldTangent1)
+        .add(this.tangent2.multiply(point.tangentImpulse2 - oldTangent2)));
+    }
+
+    // Non-penetration: the accumulated impulse may only push
+    for (let i = 0; i < count; i++) {
+      const point = this.points[reverse ? count - 1 - i : i];
+      const normalVelocity = this.getRelativeVelocity(point).dot(this.normal);
+      const oldNormal = point.normalImpulse;
+      point.normalImpulse = Math.max(oldNormal + point.normalMass * (point.velocityBias - normalVelocity), 0);
+      this.applyImpulse(point, this.normal.multiply(point.normalImpulse - oldNormal));
+    }
+  }
+
+  /**
+   * One position correction iteration, moving the bodies directly without adding velocity
+   * @returns true if every point is within the allowed penetration
+   */
+  solvePosition(): boolean {
+    let maxDepth = 0;
+
+    for (const point of this.points) {
+      this.updatePoint(point);
+      maxDepth = Math.max(maxDepth, point.depth);
+
+      const correction = clamp(BAUMGARTE * (point.depth - SLOP), 0, MAX_CORRECTION);
+      if (correction <= 0) continue;
+
+      const inverseMass = getInverseEffectiveMass(this.bodyA, this.bodyB, point.point, this.normal);
+      if (inverseMass === 0) continue;
+
+      const impulse = this.normal.multiply(correction / inverseMass);
+      this.bodyA.applyPositionImpulse(impulse.multiply(-1), point.point);
+      this.bodyB.applyPositionImpulse(impulse, point.point);
+    }
+
+    return maxDepth < 3 * SLOP;
+  }
+
+  private createPoint(contact: ContactPoint): ManifoldPoint {
+    // The contact point lies between the surfaces; split the depth between the anchors
+    const pointA = contact.point.add(this.normal.multiply(contact.depth * 0.5));
+    const pointB = contact.point.subtract(this.normal.multiply(contact.depth * 0.5));
+    return {
+      point: contact.point,
+      depth: contact.depth,
+      localPointA: this.toLocal(this.bodyA, pointA),
+      localPointB: this.toLocal(this.bodyB, pointB),
+      normalImpulse: 0,
+      tangentImpulse1: 0,
+      tangentImpulse2: 0,
+      normalMass: 0,
+      tangentMass1: 0,
+      tangentMass2: 0,
+      velocityBias: 0
+    };
+  }
+
+  private findNearest(position: Vector3D, exclude: Set<ManifoldPoint>): ManifoldPoint | null {
+    let best: ManifoldPoint | null = null;
+    let bestDistance = MATCH_DISTANCE;
+    for (const point of this.points) {
+      if (exclude.has(point)) continue;
+      const distance = point.point.distanceTo(position);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = point;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Move a point with its bodies
+   * @returns the offset between the two anchors
+   */
+  private updatePoint(point: ManifoldPoint): Vector3D {
+    const worldA = this.toWorld(this.bodyA, point.localPointA);
+    const worldB = this.toWorld(this.bodyB, point.localPointB);
+    const offset = worldA.subtract(worldB);
+    point.depth = offset.dot(this.normal);
+    point.point = worldA.add(worldB).multiply(0.5);
+    return offset;
+  }
+
+  private getRelativeVelocity(point: ManifoldPoint): Vector3D {
+    return this.bodyB.getVelocityAtPoint(point.point).subtract(this.bodyA.getVelocityAtPoint(point.point));
+  }
+
+  private applyImpulse(point: ManifoldPoint, impulse: Vector3D): void {
+    this.bodyA.applyImpulse(impulse.multiply(-1), point.point);
+    this.bodyB.applyImpulse(impulse, point.point);
+  }
+
+  private toLocal(body: RigidBody, point: Vector3D): Vector3D {
+    return body.rotation.conjugate().rotateVector(point.subtract(body.position));
+  }
+
+  private toWorld(body: RigidBody, point: Vector3D): Vector3D {
+    return body.position.add(body.rotation.rotateVector(point));
+  }
+}
+
+/**
+ * Inverse of the effective mass of two bodies along a direction at a contact point,
+ * including the rotational terms from each body's inertia
+ */
+export function getInverseEffectiveMass(
+  bodyA: RigidBody,
+  bodyB: RigidBody,
+  point: Vector3D,
+  direction: Vector3D
+): number {
+  const rA = point.subtract(bodyA.position);
+  const rB = point.subtract(bodyB.position);
+  const angularA = bodyA.getInverseInertiaTensorWorld().multiplyVector(rA.cross(direction)).cross(rA);
+  const angularB = bodyB.getInverseInertiaTensorWorld().multiplyVector(rB.cross(direction)).cross(rB);
+  return bodyA.inverseMass + bodyB.inverseMass + direction.dot(angularA.add(angularB));
+}
+
+/**
+ * Two unit vectors perpendicular to a normal and to each other
+ */
+export function tangentBasis(normal: Vector3D): [Vector3D, Vector3D] {
+  const reference = Math.abs(normal.x) < 0.57 ? new Vector3D(1, 0, 0) : new Vector3D(0, 1, 0);
+  const tangent1 = normal.cross(reference).normalize();
+  const tangent2 = normal.cross(tangent1);
+  return [tangent1, tangent2];
+}
+
+function clamp(value: number, min: number, max: number): number {
+  return Math.max(min, Math.min(value, max));
+}
@@ -0,0 +1,295 @@
+import { Vector3D, Matrix3 } from '../math/index.js';
+import { RigidBody } from './RigidBody.js';
+import { ConvexCollider, AABB, RayIntersection } from './Collision.js';
+
+/**
+ * A triangular face of a convex hull with an outward normal (local space)
+ */
+export interface HullFace {
+  indices: [number, number, number];
+  normal: Vector3D;
+  offset: number; // normal · point for any point on the face plane
+}
+
+/**
+ * Convex hull collider built from a point cloud given in the body's local space
+ * (the body's position is treated as the center of mass). Collides with every
+ * other convex shape through GJK/EPA.
+ */
+export class ConvexHullCollider extends ConvexCollider {
+  public vertices: Vector3D[]; // Hull vertices in local space (interior points removed)
+  public faces: HullFace[];
+
+  constructor(rigidbody: RigidBody, points: Vector3D[]) {
+    super(rigidbody);
+    const hull = computeConvexHull(points);
+    this.vertices = hull.vertices;
+    this.faces = hull.faces;
+    this.rigidbody.setInertiaSource(this);
+  }
+
+  /**
+   * Get the hull vertices in world space
+   */
+  getWorldVertices(): Vector3D[] {
+    const position = this.getPosition();
+    const rotation = this.getRotation();
+    return this.vertices.map(vertex => position.add(rotation.rotateVector(vertex)));
+  }
+
+  /**
+   * Largest sphere around the vertex centroid that stays behind every face
+   */
+  getInnerRadius(): number {
+    let centroid = Vector3D.zero();
+    for (const vertex of this.vertices) {
+      centroid = centroid.add(vertex);
+    }
+    centroid = centroid.multiply(1 / this.vertices.length);
+
+    let radius = Infinity;
+    for (const face of this.faces) {
+      radius = Math.min(radius, face.offset - face.normal.dot(centroid));
+    }
+    return radius > 0 ? radius : super.getInnerRadius();
+  }
+
+  getAABB(): AABB {
+    const worldVertices = this.getWorldVertices();
+    const min = worldVertices[0].clone();
+    const max = worldVertices[0].clone();
+    for (const vertex of worldVertices) {
+      min.set(Math.min(min.x, vertex.x), Math.min(min.y, vertex.y), Math.min(min.z, vertex.z));
+      max.set(Math.max(max.x, vertex.x), Math.max(max.y, vertex.y), Math.max(max.z, vertex.z));
+    }
+    return new AABB(min, max);
+  }
+
+  support(direction: Vector3D): Vector3D {
+    const position = this.getPosition();
+    const rotation = this.getRotation();
+    const localDirection = rotation.conjugate().rotateVector(direction);
+    let best = this.vertices[0];
+    let bestDot = -Infinity;
+    for (const vertex of this.vertices) {
+      const d = vertex.dot(localDirection);
+      if (d > bestDot) {
+        bestDot = d;
+        best = vertex;
+      }
+    }
+    return position.add(rotation.rotateVector(best));
+  }
+
+  /**
+   * The hull's faces are triangles, so coplanar ones are merged back into one polygon
+   */
+  getSupportFace(direction: Vector3D): Vector3D[] {
+    const localDirection = this.getRotation().conjugate().rotateVector(direction);
+    let best = this.faces[0];
+    for (const face of this.faces) {
+      if (face.normal.dot(localDirection) > best.normal.dot(localDirection)) {
+        best = face;
+      }
+    }
+
+    const indices = new Set<number>();
+    for (const face of this.faces) {
+      if (face.normal.dot(best.normal) > 1 - 1e-6) {
+        face.indices.forEach(index => indices.add(index));
+      }
+    }
+
+    // Order the corners by angle around their center
+    const corners = [...indices].map(index => this.vertices[index]);
+    let center = Vector3D.zero();
+    for (const corner of corners) {
+      center = center.add(corner);
+    }
+    center = center.multiply(1 / corners.length);
+    const u = corners[0].subtract(center);
+    const v = best.normal.cross(u);
+    const angle = (corner: Vector3D) => Math.atan2(corner.subtract(center).dot(v), corner.subtract(center).dot(u));
+    corners.sort((a, b) => angle(a) - angle(b));
+
+    const position = this.getPosition();
+    const rotation = this.getRotation();
+    return corners.map(corner => position.add(rotation.rotateVector(corner)));
+  }
+
+  computeInertiaTensor(mass: number): Matrix3 {
+    // Sum the second moments of the tetrahedra formed by the local origin and each face
+    // (covariance method, see Blow & Binstock, "How to find the inertia tensor of an object")
+    const canonical = new Matrix3([2, 1, 1, 1, 2, 1, 1, 1, 2]).scale(1 / 120);
+    let covariance = Matrix3.zero();
+    let volume = 0;
+
+    for (const face of this.faces) {
+      const [a, b, c] = face.indices.map(i => this.vertices[i]);
+      const columns = new Matrix3([a.x, b.x, c.x, a.y, b.y, c.y, a.z, b.z, c.z]);
+      const determinant = columns.determinant();
+      volume += determinant / 6;
+      covariance = covariance.add(columns.multiply(canonical).multiply(columns.transpose()).scale(determinant));
+    }
+
+    if (volume <= 0) return Matrix3.zero();
+
+    const density = mass / volume;
+    const c = covariance.scale(density).elements;
+    const trace = c[0] + c[4] + c[8];
+    return new Matrix3([
+      trace - c[0], -c[1], -c[2],
+      -c[3], trace - c[4], -c[5],
+      -c[6], -c[7], trace - c[8]
+    ]);
+  }
+
+  /**
+   * Exact ray test by clipping the ray against every face plane
+   */
+  raycast(origin: Vector3D, direction: Vector3D, maxDistance: number = Infinity): RayIntersection | null {
+    const position = this.getPosition();
+    const rotation = this.getRotation();
+    const inverse = rotation.conjugate();
+    const localOrigin = inverse.rotateVector(origin.subtract(position));
+    const localDirection = inverse.rotateVector(direction);
+
+    let tEnter = 0;
+    let tExit = maxDistance;
+    let enterNormal: Vector3D | null = null;
+
+    for (const face of this.faces) {
+      const denominator = face.normal.dot(localDirection);
+      const distance = face.offset - face.normal.dot(localOrigin);
+
+      if (Math.abs(denominator) < 1e-12) {
+        // Parallel to this face: miss if the origin is outside its plane
+        if (distance < 0) return null;
+        continue;
+      }
+
+      const t = distance / denominator;
+      if (denominator < 0) {
+        if (t > tEnter) {
+          tEnter = t;
+          enterNormal = face.normal;
+        }
+      } else if (t < tExit) {
+        tExit = t;
+      }
+
+      if (tEnter > tExit) return null;
+    }
+
+    // A ray starting inside the hull has no entering face
+    if (!enterNormal) {
+      return null;
+    }
+
+    return { distance: tEnter, normal: rotation.rotateVector(enterNormal) };
+  }
+}
+
+/**
+ * Build the convex hull of a point cloud (incremental hull construction)
+ */
+export function computeConvexHull(points: Vector3D[]): { vertices: Vector3D[]; faces: HullFace[] } {
+  if (points.length < 4) {
+    throw new Error('ConvexHullCollider needs at least 4 points');
+  }
+
+  let scale = 0;
+  for (const point of points) {
+    scale = Math.max(scale, Math.abs(point.x), Math.abs(point.y), Math.abs(point.z));
+  }
+  const epsilon = 1e-9 * Math.max(scale, 1);
+
+  // Initial tetrahedron from extreme points
+  let i0 = 0;
+  points.forEach((point, i) => {
+    if (point.x < points[i0].x) i0 = i;
+  });
+  const i1 = furthest(points, point => point.distanceTo(points[i0]));
+  const line = points[i1].subtract(points[i0]);
+  const i2 = furthest(points, point => point.subtract(points[i0]).cross(line).magnitude());
+  const planeNormal = line.cross(points[i2].subtract(points[i0]));
+  const i3 = furthest(points, point => Math.abs(point.subtract(points[i0]).dot(planeNormal)));
+
+  if (Math.abs(points[i3].subtract(points[i0]).dot(planeNormal)) < epsilon * Math.max(planeNormal.magnitude(), 1)) {
+    throw new Error('ConvexHullCollider points must not all lie in one plane');
+  }
+
+  const interior = points[i0].add(points[i1]).add(points[i2]).add(points[i3]).multiply(0.25);
+  let faces: [number, number, number][] = [];
+  const addFace = (a: number, b: number, c: number): void => {
+    const normal = points[b].subtract(points[a]).cross(points[c].subtract(points[a]));
+    faces.push(normal.dot(interior.subtract(points[a])) > 0 ? [a, c, b] : [a, b, c]);
+  };
+  addFace(i0, i1, i2);
+  addFace(i0, i1, i3);
+  addFace(i0, i2, i3);
+  addFace(i1, i2, i3);
+
+  const isVisible = (face: [number, number, number], point: Vector3D): boolean => {
+    const [a, b, c] = face;
+    const normal = points[b].subtract(points[a]).cross(points[c].subtract(points[a])).normalize();
+    return normal.dot(point.subtract(points[a])) > epsilon;
+  };
+
+  points.forEach((point, index) => {
+    if (index === i0 || index === i1 || index === i2 || index === i3) return;
+
+    const visible = faces.filter(face => isVisible(face, point));
+    if (visible.length === 0) return;
+
+    // Horizon: edges of visible faces not shared with another visible face
+    const horizon: [number, number][] = [];
+    for (const [a, b, c] of visible) {
+      for (const edge of [[a, b], [b, c], [c, a]] as [number, number][]) {
+        const shared = horizon.findIndex(([e0, e1]) => e0 === edge[1] && e1 === edge[0]);
+        if (shared !== -1) {
+          horizon.splice(shared, 1);
+        } else {
+          horizon.push(edge);
+        }
+      }
+    }
+
+    faces = faces.filter(face => !visible.includes(face));
+    for (const [e0, e1] of horizon) {
+      faces.push([e0, e1, index]);
+    }
+  });
+
+  // Keep only the points used by the hull
+  const remap = new Map<number, number>();
+  const vertices: Vector3D[] = [];
+  const hullFaces: HullFace[] = faces.map(face => {
+    const indices = face.map(i => {
+      if (!remap.has(i)) {
+        remap.set(i, vertices.length);
+        vertices.push(points[i].clone());
+      }
+      return remap.get(i) as number;
+    }) as [number, number, number];
+
+    const [a, b, c] = indices.map(i => vertices[i]);
+    const normal = b.subtract(a).cross(c.subtract(a)).normalize();
+    return { indices, normal, offset: normal.dot(a) };
+  });
+
+  return { vertices, faces: hullFaces };
+}
+
+function furthest(points: Vector3D[], measure: (point: Vector3D) => number): number {
+  let bestIndex = 0;
+  let bestValue = -Infinity;
+  points.forEach((point, i) => {
+    const value = measure(point);
+    if (value > bestValue) {
+      bestValue = value;
+      bestIndex = i;
+    }
+  });
+  return bestIndex;
+}
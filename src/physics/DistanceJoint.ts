@@ -0,0 +1,50 @@
+import { Vector3D } from '../math/index.js';
+import { RigidBody } from './RigidBody.js';
+import { Joint, JointRow, LINEAR_SLOP, MAX_LINEAR_CORRECTION } from './Joint.js';
+
+/**
+ * Keeps two anchor points at a fixed distance, like a massless rod. The bodies can
+ * rotate freely around the anchors.
+ */
+export class DistanceJoint extends Joint {
+  public length: number;
+
+  private row: JointRow;
+
+  /**
+   * @param length Distance to keep (defaults to the current distance between the anchors)
+   */
+  constructor(bodyA: RigidBody, bodyB: RigidBody, anchorA: Vector3D, anchorB: Vector3D, length?: number) {
+    super(bodyA, bodyB, anchorA, anchorB);
+    this.length = length ?? anchorB.distanceTo(anchorA);
+    this.row = this.createRow();
+  }
+
+  prepare(deltaTime: number): void {
+    this.prepareAnchors(deltaTime);
+
+    const direction = this.getDirection();
+    this.prepareRow(this.row, direction, this.rA.cross(direction), this.rB.cross(direction));
+    this.rows = [this.row];
+  }
+
+  solveVelocity(): void {
+    this.solveRow(this.row);
+  }
+
+  solvePosition(): boolean {
+    this.rA = this.bodyA.rotation.rotateVector(this.localAnchorA);
+    this.rB = this.bodyB.rotation.rotateVector(this.localAnchorB);
+
+    const direction = this.getDirection();
+    const error = this.getAnchorB().distanceTo(this.getAnchorA()) - this.length;
+    this.correctRow(direction, this.rA.cross(direction), this.rB.cross(direction), error, MAX_LINEAR_CORRECTION);
+    return Math.abs(error) <= LINEAR_SLOP;
+  }
+
+  private getDirection(): Vector3D {
+    const delta = this.getAnchorB().subtract(this.getAnchorA());
+    const distance = delta.magnitude();
+    return distance > 1e-9 ? delta.divide(distance) : new Vector3D(0, 1, 0);
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * Listener for one event type
+ */
+export type EventListener<T> = (event: T) => void;
+
+/**
+ * Minimal typed event emitter. Events maps each event name to its payload type.
+ */
+export class EventEmitter<Events extends object> {
+  private listeners: Map<keyof Events, EventListener<never>[]>;
+
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  /**
+   * Register a listener for an event
+   */
+  on<K extends keyof Events>(type: K, listener: EventListener<Events[K]>): void {
+    const listeners = this.listeners.get(type) ?? [];
+    if (!listeners.includes(listener)) {
+      listeners.push(listener);
+    }
+    this.listeners.set(type, listeners);
+  }
+
+  /**
+   * Remove a listener registered with on()
+   */
+  off<K extends keyof Events>(type: K, listener: EventListener<Events[K]>): void {
+    const listeners = this.listeners.get(type);
+    if (!listeners) return;
+
+    const index = listeners.indexOf(listener);
+    if (index !== -1) {
+      listeners.splice(index, 1);
+    }
+  }
+
+  /**
+   * Whether any listener is registered for an event
+   */
+  hasListeners<K extends keyof Events>(type: K): boolean {
+    return (this.listeners.get(type)?.length ?? 0) > 0;
+  }
+
+  /**
+   * Call every listener of an event. Listeners added or removed while emitting take
+   * effect from the next emit.
+   */
+  emit<K extends keyof Events>(type: K, event: Events[K]): void {
+    const listeners = this.listeners.get(type);
+    if (!listeners) return;
+
+    for (const listener of [...listeners] as EventListener<Events[K]>[]) {
+      listener(event);
+    }
+  }
+
+  /**
+   * Remove every listener
+   */
+  clear(): void {
+    this.listeners.clear();
+  }
+}
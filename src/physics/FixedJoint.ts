@@ -0,0 +1,37 @@
+import { Vector3D, Quaternion } from '../math/index.js';
+import { RigidBody } from './RigidBody.js';
+import { Joint, LINEAR_SLOP, ANGULAR_SLOP } from './Joint.js';
+
+/**
+ * Welds two bodies together, keeping their relative position and orientation from
+ * when the joint was created.
+ */
+export class FixedJoint extends Joint {
+  private relativeRotation: Quaternion; // B's rotation in A's frame
+
+  /**
+   * @param anchor Weld point in world space (defaults to body B's position)
+   */
+  constructor(bodyA: RigidBody, bodyB: RigidBody, anchor: Vector3D = bodyB.position) {
+    super(bodyA, bodyB, anchor);
+    this.relativeRotation = bodyA.rotation.conjugate().multiply(bodyB.rotation);
+  }
+
+  prepare(deltaTime: number): void {
+    this.prepareAnchors(deltaTime);
+    this.preparePoint();
+    this.prepareAngular();
+    this.rows = [];
+  }
+
+  solveVelocity(): void {
+    this.solveAngular();
+    this.solvePoint();
+  }
+
+  solvePosition(): boolean {
+    const angle = this.correctAngular(this.relativeRotation);
+    const distance = this.correctPoint();
+    return angle <= ANGULAR_SLOP && distance <= LINEAR_SLOP;
+  }
+}
@@ -0,0 +1,475 @@
+import { Vector3D } from '../math/index.js';
+
+/**
+ * A convex shape described by its support mapping: the furthest point
+ * of the shape in a given world-space direction
+ */
+export interface SupportShape {
+  support(direction: Vector3D): Vector3D;
+}
+
+/**
+ * A vertex of the Minkowski difference A - B, remembering the points on A and B that produced it
+ */
+interface SimplexVertex {
+  w: Vector3D;
+  a: Vector3D;
+  b: Vector3D;
+}
+
+/**
+ * Result of a GJK distance query
+ */
+export interface ClosestPoints {
+  distance: number; // 0 when the shapes overlap
+  pointA: Vector3D;
+  pointB: Vector3D;
+}
+
+/**
+ * Result of an EPA penetration query. The normal points from A to B:
+ * moving B by normal * depth separates the shapes.
+ */
+export interface PenetrationInfo {
+  normal: Vector3D;
+  depth: number;
+  pointA: Vector3D;
+  pointB: Vector3D;
+}
+
+/**
+ * A single contact between two convex shapes (normal points from A to B)
+ */
+export interface ConvexContact {
+  point: Vector3D;
+  normal: Vector3D;
+  depth: number;
+}
+
+interface SubSimplex {
+  point: Vector3D;
+  vertices: SimplexVertex[];
+  weights: number[];
+}
+
+interface PolytopeFace {
+  indices: [number, number, number];
+  normal: Vector3D;
+  distance: number;
+}
+
+const MAX_GJK_ITERATIONS = 64;
+const MAX_EPA_ITERATIONS = 64;
+const GJK_TOLERANCE = 1e-8;
+const EPA_TOLERANCE = 1e-6;
+
+/**
+ * Distance between two convex shapes and their closest points (GJK)
+ */
+export function gjkDistance(shapeA: SupportShape, shapeB: SupportShape): ClosestPoints {
+  const result = runGJK(shapeA, shapeB);
+  return {
+    distance: result.overlapping ? 0 : result.closest.point.magnitude(),
+    pointA: combine(result.closest, 'a'),
+    pointB: combine(result.closest, 'b')
+  };
+}
+
+/**
+ * Check whether two convex shapes overlap (GJK)
+ */
+export function gjkIntersect(shapeA: SupportShape, shapeB: SupportShape): boolean {
+  return runGJK(shapeA, shapeB).overlapping;
+}
+
+/**
+ * Penetration normal, depth and contact points of two overlapping convex shapes
+ * (GJK to find an enclosing simplex, then the expanding polytope algorithm).
+ * Returns null if the shapes don't overlap.
+ */
+export function epaPenetration(shapeA: SupportShape, shapeB: SupportShape): PenetrationInfo | null {
+  const gjk = runGJK(shapeA, shapeB);
+  if (!gjk.overlapping) {
+    return null;
+  }
+
+  const vertices = blowUpSimplex(shapeA, shapeB, gjk.closest.vertices);
+  if (!vertices) {
+    return null;
+  }
+
+  const faces: PolytopeFace[] = [];
+  const tetrahedronFaces: [number, number, number, number][] = [
+    [0, 1, 2, 3], [0, 3, 1, 2], [0, 2, 3, 1], [1, 3, 2, 0]
+  ];
+  for (const [i0, i1, i2, opposite] of tetrahedronFaces) {
+    const face = makeFace(vertices, i0, i1, i2);
+    // Orient every face away from the opposite vertex
+    if (face.normal.dot(vertices[opposite].w.subtract(vertices[i0].w)) > 0) {
+      faces.push(makeFace(vertices, i0, i2, i1));
+    } else {
+      faces.push(face);
+    }
+  }
+
+  let closest = faces[0];
+  for (let iteration = 0; iteration < MAX_EPA_ITERATIONS; iteration++) {
+    closest = faces[0];
+    for (const face of faces) {
+      if (face.distance < closest.distance) {
+        closest = face;
+      }
+    }
+
+    const vertex = supportVertex(shapeA, shapeB, closest.normal);
+    const growth = vertex.w.dot(closest.normal) - closest.distance;
+    if (growth < EPA_TOLERANCE * Math.max(1, closest.distance)) {
+      break;
+    }
+
+    // Remove every face the new vertex can see and stitch the hole to the vertex
+    const newIndex = vertices.length;
+    vertices.push(vertex);
+    const horizon: [number, number][] = [];
+
+    for (let i = faces.length - 1; i >= 0; i--) {
+      const face = faces[i];
+      if (face.normal.dot(vertex.w.subtract(vertices[face.indices[0]].w)) > EPA_TOLERANCE) {
+        const [i0, i1, i2] = face.indices;
+        for (const edge of [[i0, i1], [i1, i2], [i2, i0]] as [number, number][]) {
+          const shared = horizon.findIndex(([e0, e1]) => e0 === edge[1] && e1 === edge[0]);
+          if (shared !== -1) {
+            horizon.splice(shared, 1);
+          } else {
+            horizon.push(edge);
+          }
+        }
+        faces.splice(i, 1);
+      }
+    }
+
+    if (horizon.length === 0) {
+      break;
+    }
+
+    for (const [e0, e1] of horizon) {
+      faces.push(makeFace(vertices, e0, e1, newIndex));
+    }
+  }
+
+  // Project the origin onto the closest face to recover the witness points
+  const [i0, i1, i2] = closest.indices;
+  const weights = barycentric(
+    closest.normal.multiply(closest.distance),
+    vertices[i0].w,
+    vertices[i1].w,
+    vertices[i2].w
+  );
+  const faceVertices = [vertices[i0], vertices[i1], vertices[i2]];
+  const closestFace: SubSimplex = { point: Vector3D.zero(), vertices: faceVertices, weights };
+
+  return {
+    normal: closest.normal,
+    depth: Math.max(closest.distance, 0),
+    pointA: combine(closestFace, 'a'),
+    pointB: combine(closestFace, 'b')
+  };
+}
+
+/**
+ * Contact between two rounded convex shapes, each given as a core shape plus a margin
+ * (a sphere is a point with a margin, a capsule a segment). Uses the GJK distance
+ * between the cores while they are apart, and EPA on the full shapes once they overlap.
+ */
+export function convexContact(
+  coreA: SupportShape,
+  marginA: number,
+  coreB: SupportShape,
+  marginB: number
+): ConvexContact | null {
+  const cores = gjkDistance(coreA, coreB);
+
+  if (cores.distance > marginA + marginB) {
+    return null;
+  }
+
+  if (cores.distance > 1e-6) {
+    const normal = cores.pointB.subtract(cores.pointA).divide(cores.distance);
+    const surfaceA = cores.pointA.add(normal.multiply(marginA));
+    const surfaceB = cores.pointB.subtract(normal.multiply(marginB));
+    return {
+      point: surfaceA.add(surfaceB).multiply(0.5),
+      normal,
+      depth: marginA + marginB - cores.distance
+    };
+  }
+
+  const penetration = epaPenetration(roundShape(coreA, marginA), roundShape(coreB, marginB));
+  if (!penetration) {
+    return null;
+  }
+
+  return {
+    point: penetration.pointA.add(penetration.pointB).multiply(0.5),
+    normal: penetration.normal,
+    depth: penetration.depth
+  };
+}
+
+function roundShape(core: SupportShape, margin: number): SupportShape {
+  if (margin === 0) return core;
+  return {
+    support: direction => core.support(direction).add(direction.normalize().multiply(margin))
+  };
+}
+
+/**
+ * Core GJK loop: returns the closest sub-simplex to the origin, or flags an overlap
+ */
+function runGJK(
+  shapeA: SupportShape,
+  shapeB: SupportShape
+): { overlapping: boolean; closest: SubSimplex } {
+  const first = supportVertex(shapeA, shapeB, new Vector3D(1, 0, 0));
+  let closest: SubSimplex = { point: first.w, vertices: [first], weights: [1] };
+
+  for (let iteration = 0; iteration < MAX_GJK_ITERATIONS; iteration++) {
+    const v = closest.point;
+    const vv = v.magnitudeSquared();
+    if (vv < GJK_TOLERANCE * GJK_TOLERANCE) {
+      return { overlapping: true, closest };
+    }
+
+    const vertex = supportVertex(shapeA, shapeB, v.multiply(-1));
+
+    // No further progress towards the origin: v is the closest point
+    if (vv - v.dot(vertex.w) <= 1e-10 * Math.max(vv, 1)) {
+      break;
+    }
+    if (closest.vertices.some(existing => existing.w.equals(vertex.w, 1e-12))) {
+      break;
+    }
+
+    const next = closestOnSimplex([...closest.vertices, vertex]);
+    if (next.vertices.length === 4) {
+      return { overlapping: true, closest: next };
+    }
+    if (next.point.magnitudeSquared() >= vv) {
+      break;
+    }
+    closest = next;
+  }
+
+  return { overlapping: false, closest };
+}
+
+function supportVertex(shapeA: SupportShape, shapeB: SupportShape, direction: Vector3D): SimplexVertex {
+  const a = shapeA.support(direction);
+  const b = shapeB.support(direction.multiply(-1));
+  return { w: a.subtract(b), a, b };
+}
+
+function combine(simplex: SubSimplex, side: 'a' | 'b'): Vector3D {
+  let result = Vector3D.zero();
+  simplex.vertices.forEach((vertex, i) => {
+    result = result.add(vertex[side].multiply(simplex.weights[i]));
+  });
+  return result;
+}
+
+function makeFace(vertices: SimplexVertex[], i0: number, i1: number, i2: number): PolytopeFace {
+  const a = vertices[i0].w;
+  const normal = vertices[i1].w.subtract(a).cross(vertices[i2].w.subtract(a)).normalize();
+  return { indices: [i0, i1, i2], normal, distance: normal.dot(a) };
+}
+
+/**
+ * Closest point of a simplex (1-4 vertices) to the origin, reduced to the
+ * smallest sub-simplex that contains it. Returns all 4 vertices if the
+ * origin lies inside a tetrahedron.
+ */
+function closestOnSimplex(vertices: SimplexVertex[]): SubSimplex {
+  switch (vertices.length) {
+    case 1:
+      return { point: vertices[0].w, vertices, weights: [1] };
+    case 2:
+      return closestOnSegment(vertices[0], vertices[1]);
+    case 3:
+      return closestOnTriangle(vertices[0], vertices[1], vertices[2]);
+    default:
+      return closestOnTetrahedron(vertices[0], vertices[1], vertices[2], vertices[3]);
+  }
+}
+
+function closestOnSegment(a: SimplexVertex, b: SimplexVertex): SubSimplex {
+  const ab = b.w.subtract(a.w);
+  const lengthSquared = ab.magnitudeSquared();
+  const t = lengthSquared > 0 ? -a.w.dot(ab) / lengthSquared : 0;
+
+  if (t <= 0) return { point: a.w, vertices: [a], weights: [1] };
+  if (t >= 1) return { point: b.w, vertices: [b], weights: [1] };
+  return { point: a.w.add(ab.multiply(t)), vertices: [a, b], weights: [1 - t, t] };
+}
+
+function closestOnTriangle(a: SimplexVertex, b: SimplexVertex, c: SimplexVertex): SubSimplex {
+  // Voronoi region tests from Ericson, "Real-Time Collision Detection" 5.1.5, with p = origin
+  const ab = b.w.subtract(a.w);
+  const ac = c.w.subtract(a.w);
+  const ap = a.w.multiply(-1);
+  const d1 = ab.dot(ap);
+  const d2 = ac.dot(ap);
+  if (d1 <= 0 && d2 <= 0) return { point: a.w, vertices: [a], weights: [1] };
+
+  const bp = b.w.multiply(-1);
+  const d3 = ab.dot(bp);
+  const d4 = ac.dot(bp);
+  if (d3 >= 0 && d4 <= d3) return { point: b.w, vertices: [b], weights: [1] };
+
+  const vc = d1 * d4 - d3 * d2;
+  if (vc <= 0 && d1 >= 0 && d3 <= 0) {
+    const v = d1 / (d1 - d3);
+    return { point: a.w.add(ab.multiply(v)), vertices: [a, b], weights: [1 - v, v] };
+  }
+
+  const cp = c.w.multiply(-1);
+  const d5 = ab.dot(cp);
+  const d6 = ac.dot(cp);
+  if (d6 >= 0 && d5 <= d6) return { point: c.w, vertices: [c], weights: [1] };
+
+  const vb = d5 * d2 - d1 * d6;
+  if (vb <= 0 && d2 >= 0 && d6 <= 0) {
+    const w = d2 / (d2 - d6);
+    return { point: a.w.add(ac.multiply(w)), vertices: [a, c], weights: [1 - w, w] };
+  }
+
+  const va = d3 * d6 - d5 * d4;
+  if (va <= 0 && d4 - d3 >= 0 && d5 - d6 >= 0) {
+    const w = (d4 - d3) / ((d4 - d3) + (d5 - d6));
+    return { point: b.w.add(c.w.subtract(b.w).multiply(w)), vertices: [b, c], weights: [1 - w, w] };
+  }
+
+  const denominator = va + vb + vc;
+  if (denominator === 0) {
+    // Degenerate triangle: fall back to its edges
+    return closestOnSegment(a, b);
+  }
+  const v = vb / denominator;
+  const w = vc / denominator;
+  return {
+    point: a.w.add(ab.multiply(v)).add(ac.multiply(w)),
+    vertices: [a, b, c],
+    weights: [1 - v - w, v, w]
+  };
+}
+
+function closestOnTetrahedron(
+  a: SimplexVertex,
+  b: SimplexVertex,
+  c: SimplexVertex,
+  d: SimplexVertex
+): SubSimplex {
+  const faces: [SimplexVertex, SimplexVertex, SimplexVertex, SimplexVertex][] = [
+    [a, b, c, d], [a, c, d, b], [a, d, b, c], [b, d, c, a]
+  ];
+
+  const volume = b.w.subtract(a.w).cross(c.w.subtract(a.w)).dot(d.w.subtract(a.w));
+  const degenerate = Math.abs(volume) < 1e-12;
+
+  let best: SubSimplex | null = null;
+  let inside = !degenerate;
+
+  for (const [p, q, r, opposite] of faces) {
+    const normal = q.w.subtract(p.w).cross(r.w.subtract(p.w));
+    const originSide = normal.dot(p.w.multiply(-1));
+    const oppositeSide = normal.dot(opposite.w.subtract(p.w));
+
+    // Origin is outside this face if it lies on the other side from the opposite vertex
+    if (degenerate || originSide * oppositeSide < 0) {
+      inside = false;
+      const candidate = closestOnTriangle(p, q, r);
+      if (!best || candidate.point.magnitudeSquared() < best.point.magnitudeSquared()) {
+        best = candidate;
+      }
+    }
+  }
+
+  if (inside || !best) {
+    return { point: Vector3D.zero(), vertices: [a, b, c, d], weights: [0.25, 0.25, 0.25, 0.25] };
+  }
+  return best;
+}
+
+/**
+ * Grow a simplex that touches the origin into a full tetrahedron for EPA
+ */
+function blowUpSimplex(
+  shapeA: SupportShape,
+  shapeB: SupportShape,
+  simplex: SimplexVertex[]
+): SimplexVertex[] | null {
+  const vertices = simplex.slice(0, 4);
+  const axes = [
+    new Vector3D(1, 0, 0), new Vector3D(-1, 0, 0),
+    new Vector3D(0, 1, 0), new Vector3D(0, -1, 0),
+    new Vector3D(0, 0, 1), new Vector3D(0, 0, -1)
+  ];
+  const epsilon = 1e-9;
+
+  if (vertices.length === 1) {
+    for (const axis of axes) {
+      const vertex = supportVertex(shapeA, shapeB, axis);
+      if (vertex.w.subtract(vertices[0].w).magnitudeSquared() > epsilon) {
+        vertices.push(vertex);
+        break;
+      }
+    }
+  }
+
+  if (vertices.length === 2) {
+    const line = vertices[1].w.subtract(vertices[0].w);
+    for (const axis of axes) {
+      const perpendicular = axis.subtract(line.multiply(axis.dot(line) / line.magnitudeSquared()));
+      if (perpendicular.magnitudeSquared() < epsilon) continue;
+      const vertex = supportVertex(shapeA, shapeB, perpendicular);
+      if (vertex.w.subtract(vertices[0].w).cross(line).magnitudeSquared() > epsilon) {
+        vertices.push(vertex);
+        break;
+      }
+    }
+  }
+
+  if (vertices.length === 3) {
+    const normal = vertices[1].w.subtract(vertices[0].w).cross(vertices[2].w.subtract(vertices[0].w));
+    for (const direction of [normal, normal.multiply(-1)]) {
+      const vertex = supportVertex(shapeA, shapeB, direction);
+      if (Math.abs(vertex.w.subtract(vertices[0].w).dot(normal)) > epsilon) {
+        vertices.push(vertex);
+        break;
+      }
+    }
+  }
+
+  return vertices.length === 4 ? vertices : null;
+}
+
+/**
+ * Barycentric coordinates of p with respect to triangle a-b-c
+ */
+function barycentric(p: Vector3D, a: Vector3D, b: Vector3D, c: Vector3D): number[] {
+  const v0 = b.subtract(a);
+  const v1 = c.subtract(a);
+  const v2 = p.subtract(a);
+  const d00 = v0.dot(v0);
+  const d01 = v0.dot(v1);
+  const d11 = v1.dot(v1);
+  const d20 = v2.dot(v0);
+  const d21 = v2.dot(v1);
+  const denominator = d00 * d11 - d01 * d01;
+  if (Math.abs(denominator) < 1e-18) {
+    return [1, 0, 0];
+  }
+
+  const v = (d11 * d20 - d01 * d21) / denominator;
+  const w = (d00 * d21 - d01 * d20) / denominator;
+  return [1 - v - w, v, w];
+}
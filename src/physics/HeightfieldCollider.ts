@@ -0,0 +1,279 @@
+import { Vector3D, Matrix3 } from '../math/index.js';
+import { RigidBody } from './RigidBody.js';
+import {
+  Collider,
+  ConvexCollider,
+  Collision,
+  AABB,
+  RayIntersection,
+  flipCollision,
+  flipClosestPoints,
+  roundedDistance,
+  findNearest
+} from './Collision.js';
+import { SupportShape, ClosestPoints, gjkDistance } from './GJK.js';
+import { CompoundCollider } from './CompoundCollider.js';
+import { collideTriangles, triangleShape, rayTriangle, transformBounds } from './MeshCollider.js';
+
+/**
+ * Heightfield terrain collider for static bodies. heights[row][column] gives the
+ * height of each grid point; columns run along the local X axis and rows along Z,
+ * spaced cellSize apart and centered on the body's position.
+ */
+export class HeightfieldCollider extends Collider {
+  public heights: number[][];
+  public cellSize: number;
+  public heightScale: number;
+
+  private rows: number;
+  private columns: number;
+  private minHeight: number;
+  private maxHeight: number;
+
+  constructor(rigidbody: RigidBody, heights: number[][], cellSize: number, heightScale: number = 1) {
+    super(rigidbody);
+    if (heights.length < 2 || heights[0].length < 2) {
+      throw new Error('HeightfieldCollider needs at least a 2x2 grid of heights');
+    }
+    if (heights.some(row => row.length !== heights[0].length)) {
+      throw new Error('HeightfieldCollider rows must all have the same length');
+    }
+    if (!rigidbody.isStatic) {
+      console.warn('HeightfieldCollider only supports static bodies. Call makeStatic() on its rigid body.');
+    }
+
+    this.heights = heights.map(row => row.slice());
+    this.cellSize = cellSize;
+    this.heightScale = heightScale;
+    this.rows = heights.length;
+    this.columns = heights[0].length;
+
+    this.minHeight = Infinity;
+    this.maxHeight = -Infinity;
+    for (const row of heights) {
+      for (const height of row) {
+        this.minHeight = Math.min(this.minHeight, height * heightScale);
+        this.maxHeight = Math.max(this.maxHeight, height * heightScale);
+      }
+    }
+
+    this.rigidbody.setInertiaSource(this);
+  }
+
+  /**
+   * Get a grid point in local space
+   */
+  getLocalPoint(row: number, column: number): Vector3D {
+    return new Vector3D(
+      (column - (this.columns - 1) / 2) * this.cellSize,
+      this.heights[row][column] * this.heightScale,
+      (row - (this.rows - 1) / 2) * this.cellSize
+    );
+  }
+
+  getAABB(): AABB {
+    return transformBounds(this.getLocalBounds(), this, false);
+  }
+
+  computeInertiaTensor(mass: number): Matrix3 {
+    // Terrain is meant for static bodies; use the local bounding box as an approximation
+    const size = this.getLocalBounds().getSize();
+    const x2 = size.x * size.x;
+    const y2 = size.y * size.y;
+    const z2 = size.z * size.z;
+    return Matrix3.diagonal(new Vector3D(y2 + z2, x2 + z2, x2 + y2).multiply(mass / 12));
+  }
+
+  checkCollision(other: Collider): Collision | null {
+    if (other instanceof ConvexCollider) {
+      return this.checkConvexCollision(other);
+    }
+    if (other instanceof CompoundCollider) {
+      // The compound tests its children against this collider
+      return flipCollision(other.checkCollision(this));
+    }
+    return null;
+  }
+
+  /**
+   * Collide a convex shape with the triangles of the cells under its bounds (see collideTriangles)
+   */
+  checkConvexCollision(other: ConvexCollider): Collision | null {
+    const rotation = this.getRotation();
+    return collideTriangles(this, other, visit => {
+      this.forEachTriangle(other.getAABB(), localTriangle => {
+        const [a, b, c] = localTriangle;
+        visit(this.toWorld(localTriangle), rotation.rotateVector(b.subtract(a).cross(c.subtract(a)).normalize()));
+      });
+    });
+  }
+
+  /**
+   * Nearest point on the terrain surface
+   */
+  closestPoint(point: Vector3D): Vector3D {
+    const target: SupportShape = { support: () => point };
+    const nearest = this.findNearestTriangle(new AABB(point, point), triangle => gjkDistance(triangleShape(triangle), target));
+    return nearest ? nearest.pointA : point;
+  }
+
+  distanceTo(other: Collider): ClosestPoints | null {
+    if (other instanceof CompoundCollider) {
+      return flipClosestPoints(other.distanceTo(this));
+    }
+    if (!(other instanceof ConvexCollider)) {
+      return null;
+    }
+    const core = other.getCore();
+    return this.findNearestTriangle(other.getAABB(), triangle =>
+      roundedDistance(gjkDistance(triangleShape(triangle), core), 0, other.getMargin()));
+  }
+
+  /**
+   * Closest points of the triangle nearest to a shape
+   */
+  private findNearestTriangle(
+    bounds: AABB,
+    measure: (triangle: [Vector3D, Vector3D, Vector3D]) => ClosestPoints
+  ): ClosestPoints | null {
+    return findNearest(bounds, this.getAABB(), (searchBounds, visit) => {
+      this.forEachTriangle(searchBounds, localTriangle => visit(measure(this.toWorld(localTriangle))));
+    });
+  }
+
+  /**
+   * Visit the local-space triangles of the cells under world-space bounds
+   */
+  private forEachTriangle(bounds: AABB, callback: (triangle: [Vector3D, Vector3D, Vector3D]) => void): void {
+    const local = transformBounds(bounds, this, true);
+    if (local.max.y < this.minHeight || local.min.y > this.maxHeight) {
+      return;
+    }
+
+    const origin = this.getLocalPoint(0, 0);
+    const firstColumn = Math.max(0, Math.floor((local.min.x - origin.x) / this.cellSize));
+    const lastColumn = Math.min(this.columns - 2, Math.floor((local.max.x - origin.x) / this.cellSize));
+    const firstRow = Math.max(0, Math.floor((local.min.z - origin.z) / this.cellSize));
+    const lastRow = Math.min(this.rows - 2, Math.floor((local.max.z - origin.z) / this.cellSize));
+
+    for (let row = firstRow; row <= lastRow; row++) {
+      for (let column = firstColumn; column <= lastColumn; column++) {
+        for (const triangle of this.getCellTriangles(row, column)) {
+          callback(triangle);
+        }
+      }
+    }
+  }
+
+  /**
+   * Ray test that walks the grid cells along the ray (2D DDA) and only tests
+   * the two triangles of each visited cell. Hits from below count as backfaces.
+   */
+  raycast(
+    origin: Vector3D,
+    direction: Vector3D,
+    maxDistance: number = Infinity,
+    ignoreBackfaces: boolean = false
+  ): RayIntersection | null {
+    const position = this.getPosition();
+    const rotation = this.getRotation();
+    const inverse = rotation.conjugate();
+    const localOrigin = inverse.rotateVector(origin.subtract(position));
+    const localDirection = inverse.rotateVector(direction);
+
+    // Clip the ray to the terrain bounds
+    const bounds = this.getLocalBounds();
+    let tStart = 0;
+    let tEnd = maxDistance;
+    if (!bounds.containsPoint(localOrigin)) {
+      const entry = bounds.raycast(localOrigin, localDirection, maxDistance);
+      if (!entry) return null;
+      tStart = entry.distance;
+    }
+    const exit = bounds.raycast(localOrigin.add(localDirection.multiply(tStart)), localDirection);
+    if (exit) {
+      tEnd = Math.min(tEnd, tStart + exit.distance);
+    }
+
+    const gridOrigin = this.getLocalPoint(0, 0);
+    const start = localOrigin.add(localDirection.multiply(tStart));
+    let column = clamp(Math.floor((start.x - gridOrigin.x) / this.cellSize), 0, this.columns - 2);
+    let row = clamp(Math.floor((start.z - gridOrigin.z) / this.cellSize), 0, this.rows - 2);
+
+    const stepColumn = localDirection.x > 0 ? 1 : -1;
+    const stepRow = localDirection.z > 0 ? 1 : -1;
+    const deltaX = localDirection.x !== 0 ? Math.abs(this.cellSize / localDirection.x) : Infinity;
+    const deltaZ = localDirection.z !== 0 ? Math.abs(this.cellSize / localDirection.z) : Infinity;
+
+    // Distance along the ray to the next column/row boundary
+    const nextX = gridOrigin.x + (column + (stepColumn > 0 ? 1 : 0)) * this.cellSize;
+    const nextZ = gridOrigin.z + (row + (stepRow > 0 ? 1 : 0)) * this.cellSize;
+    let tMaxX = localDirection.x !== 0 ? tStart + (nextX - start.x) / localDirection.x : Infinity;
+    let tMaxZ = localDirection.z !== 0 ? tStart + (nextZ - start.z) / localDirection.z : Infinity;
+
+    while (row >= 0 && row < this.rows - 1 && column >= 0 && column < this.columns - 1) {
+      let closest: RayIntersection | null = null;
+      for (const [a, b, c] of this.getCellTriangles(row, column)) {
+        const t = rayTriangle(localOrigin, localDirection, a, b, c);
+        if (t !== null && t >= tStart - 1e-9 && t <= maxDistance && (!closest || t < closest.distance)) {
+          const normal = b.subtract(a).cross(c.subtract(a)).normalize();
+          if (ignoreBackfaces && normal.dot(localDirection) > 0) continue;
+          closest = { distance: t, normal };
+        }
+      }
+
+      if (closest) {
+        const normal = closest.normal.dot(localDirection) > 0 ? closest.normal.multiply(-1) : closest.normal;
+        return { distance: closest.distance, normal: rotation.rotateVector(normal) };
+      }
+
+      if (Math.min(tMaxX, tMaxZ) > tEnd) {
+        break;
+      }
+
+      if (tMaxX < tMaxZ) {
+        column += stepColumn;
+        tMaxX += deltaX;
+      } else {
+        row += stepRow;
+        tMaxZ += deltaZ;
+      }
+    }
+
+    return null;
+  }
+
+  private getLocalBounds(): AABB {
+    const first = this.getLocalPoint(0, 0);
+    const last = this.getLocalPoint(this.rows - 1, this.columns - 1);
+    return new AABB(
+      new Vector3D(first.x, this.minHeight, first.z),
+      new Vector3D(last.x, this.maxHeight, last.z)
+    );
+  }
+
+  /**
+   * The two local-space triangles of a cell, both facing +Y
+   */
+  private getCellTriangles(row: number, column: number): [Vector3D, Vector3D, Vector3D][] {
+    const p00 = this.getLocalPoint(row, column);
+    const p01 = this.getLocalPoint(row, column + 1);
+    const p10 = this.getLocalPoint(row + 1, column);
+    const p11 = this.getLocalPoint(row + 1, column + 1);
+    return [[p00, p10, p01], [p01, p10, p11]];
+  }
+
+  private toWorld(triangle: [Vector3D, Vector3D, Vector3D]): [Vector3D, Vector3D, Vector3D] {
+    const position = this.getPosition();
+    const rotation = this.getRotation();
+    return [
+      position.add(rotation.rotateVector(triangle[0])),
+      position.add(rotation.rotateVector(triangle[1])),
+      position.add(rotation.rotateVector(triangle[2]))
+    ];
+  }
+}
+
+function clamp(value: number, min: number, max: number): number {
+  return Math.max(min, Math.min(value, max));
+}
@@ -0,0 +1,177 @@
+import { Vector3D } from '../math/index.js';
+import { RigidBody } from './RigidBody.js';
+import {
+  Joint,
+  JointRow,
+  perpendicularBasis,
+  LINEAR_SLOP,
+  ANGULAR_SLOP,
+  MAX_ANGULAR_CORRECTION
+} from './Joint.js';
+
+/**
+ * Lets two bodies rotate around one shared axis (doors, wheels, elbows and knees).
+ * The angle can be limited and driven by a motor.
+ */
+export class HingeJoint extends Joint {
+  public localAxisA: Vector3D;
+  public localAxisB: Vector3D;
+  public enableLimits: boolean;
+  public lowerAngle: number; // Radians, between -PI and PI
+  public upperAngle: number;
+  public enableMotor: boolean;
+  public motorSpeed: number; // Target angular speed in radians per second
+  public maxMotorTorque: number;
+
+  private localReferenceA: Vector3D; // Zero angle direction in each body's frame
+  private localReferenceB: Vector3D;
+  private swingRows: [JointRow, JointRow];
+  private lowerRow: JointRow;
+  private upperRow: JointRow;
+  private motorRow: JointRow;
+
+  /**
+   * @param anchor Pivot in world space
+   * @param axis Hinge axis in world space; the current pose is angle 0
+   */
+  constructor(bodyA: RigidBody, bodyB: RigidBody, anchor: Vector3D, axis: Vector3D) {
+    super(bodyA, bodyB, anchor);
+
+    const worldAxis = axis.normalize();
+    const reference = perpendicularBasis(worldAxis)[0];
+    this.localAxisA = bodyA.rotation.conjugate().rotateVector(worldAxis);
+    this.localAxisB = bodyB.rotation.conjugate().rotateVector(worldAxis);
+    this.localReferenceA = bodyA.rotation.conjugate().rotateVector(reference);
+    this.localReferenceB = bodyB.rotation.conjugate().rotateVector(reference);
+
+    this.enableLimits = false;
+    this.lowerAngle = -Math.PI;
+    this.upperAngle = Math.PI;
+    this.enableMotor = false;
+    this.motorSpeed = 0;
+    this.maxMotorTorque = 0;
+
+    this.swingRows = [this.createRow(), this.createRow()];
+    this.lowerRow = this.createRow();
+    this.upperRow = this.createRow();
+    this.motorRow = this.createRow();
+  }
+
+  /**
+   * Set the angle limits and turn them on
+   */
+  setLimits(lowerAngle: number, upperAngle: number): void {
+    if (lowerAngle > upperAngle) {
+      throw new Error('Lower angle must not be greater than upper angle');
+    }
+    this.lowerAngle = lowerAngle;
+    this.upperAngle = upperAngle;
+    this.enableLimits = true;
+    this.bodyA.wakeUp();
+    this.bodyB.wakeUp();
+  }
+
+  /**
+   * Drive the hinge at a target speed with at most the given torque
+   */
+  setMotor(speed: number, maxTorque: number): void {
+    this.motorSpeed = speed;
+    this.maxMotorTorque = maxTorque;
+    this.enableMotor = true;
+    this.bodyA.wakeUp();
+    this.bodyB.wakeUp();
+  }
+
+  /**
+   * Get the hinge axis in world space (as seen by body A)
+   */
+  getAxis(): Vector3D {
+    return this.bodyA.rotation.rotateVector(this.localAxisA);
+  }
+
+  /**
+   * Get the rotation of body B around the axis relative to body A, in radians
+   */
+  getAngle(): number {
+    const axis = this.getAxis();
+    const referenceA = this.bodyA.rotation.rotateVector(this.localReferenceA);
+    const referenceB = this.bodyB.rotation.rotateVector(this.localReferenceB);
+    return Math.atan2(axis.dot(referenceA.cross(referenceB)), referenceA.dot(referenceB));
+  }
+
+  /**
+   * Get the relative angular speed around the axis
+   */
+  getAngularSpeed(): number {
+    return this.getAxis().dot(this.bodyB.angularVelocity.subtract(this.bodyA.angularVelocity));
+  }
+
+  prepare(deltaTime: number): void {
+    this.prepareAnchors(deltaTime);
+    this.preparePoint();
+
+    const axis = this.getAxis();
+    const [first, second] = perpendicularBasis(axis);
+    this.prepareRow(this.swingRows[0], Vector3D.zero(), first, first);
+    this.prepareRow(this.swingRows[1], Vector3D.zero(), second, second);
+    this.rows = [...this.swingRows];
+
+    if (this.enableLimits) {
+      // Speculative: the angle may move up to the limit this step but not past it
+      const angle = this.getAngle();
+      const lowerGap = angle - this.lowerAngle;
+      const upperGap = this.upperAngle - angle;
+      const negated = axis.multiply(-1);
+      this.prepareRow(this.lowerRow, Vector3D.zero(), axis, axis, Math.min(-lowerGap / deltaTime, 0), 0, Infinity);
+      this.prepareRow(this.upperRow, Vector3D.zero(), negated, negated, Math.min(-upperGap / deltaTime, 0), 0, Infinity);
+      this.rows.push(this.lowerRow, this.upperRow);
+    } else {
+      this.lowerRow.impulse = 0;
+      this.upperRow.impulse = 0;
+    }
+
+    if (this.enableMotor) {
+      const maxImpulse = this.maxMotorTorque * deltaTime;
+      this.prepareRow(this.motorRow, Vector3D.zero(), axis, axis, this.motorSpeed, -maxImpulse, maxImpulse);
+      this.rows.push(this.motorRow);
+    } else {
+      this.motorRow.impulse = 0;
+    }
+  }
+
+  solveVelocity(): void {
+    if (this.enableMotor) {
+      this.solveRow(this.motorRow);
+    }
+    if (this.enableLimits) {
+      this.solveRow(this.lowerRow);
+      this.solveRow(this.upperRow);
+    }
+    this.solveRow(this.swingRows[0]);
+    this.solveRow(this.swingRows[1]);
+    this.solvePoint();
+  }
+
+  solvePosition(): boolean {
+    const axisA = this.getAxis();
+    const axisB = this.bodyB.rotation.rotateVector(this.localAxisB);
+    const swing = this.correctRotation(axisA.cross(axisB));
+
+    let limitError = 0;
+    if (this.enableLimits) {
+      const angle = this.getAngle();
+      const axis = this.getAxis();
+      if (angle < this.lowerAngle) {
+        limitError = angle - this.lowerAngle;
+      } else if (angle > this.upperAngle) {
+        limitError = angle - this.upperAngle;
+      }
+      if (Math.abs(limitError) > ANGULAR_SLOP) {
+        this.correctRow(Vector3D.zero(), axis, axis, limitError, MAX_ANGULAR_CORRECTION);
+      }
+    }
+
+    const distance = this.correctPoint();
+    return swing <= ANGULAR_SLOP && Math.abs(limitError) <= ANGULAR_SLOP && distance <= LINEAR_SLOP;
+  }
+}
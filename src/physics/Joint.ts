@@ -0,0 +1,413 @@
+import { Vector3D, Quaternion, Matrix3 } from '../math/index.js';
+import { RigidBody } from './RigidBody.js';
+
+export const LINEAR_SLOP = 0.005; // Position error left alone, like contacts
+export const ANGULAR_SLOP = 0.01; // About half a degree
+export const MAX_LINEAR_CORRECTION = 0.2; // Per position iteration
+export const MAX_ANGULAR_CORRECTION = 0.15;
+
+/**
+ * A scalar constraint on the relative motion of two bodies. Its velocity is
+ * linear · (vB - vA) + angularB · wB - angularA · wA, and the solver drives it towards
+ * the target while keeping the accumulated impulse within [min, max].
+ */
+export interface JointRow {
+  linear: Vector3D;
+  angularA: Vector3D;
+  angularB: Vector3D;
+  mass: number; // Effective mass along the row
+  target: number; // Target velocity
+  impulse: number; // Accumulated impulse, kept across steps to warm start
+  min: number;
+  max: number;
+}
+
+/**
+ * Base class of the joints. A joint connects two bodies at anchor points given in world
+ * space when it is created; they are stored in each body's local space and follow the
+ * bodies from then on. Joints are solved with the contacts: impulses on the velocities
+ * (warm-started from the last step), then position correction after the bodies moved.
+ *
+ * The three-dimensional point and orientation locks are solved as blocks, everything
+ * else as JointRows.
+ */
+export abstract class Joint {
+  public bodyA: RigidBody;
+  public bodyB: RigidBody;
+  public localAnchorA: Vector3D;
+  public localAnchorB: Vector3D;
+  public collideConnected: boolean; // Let the connected bodies collide with each other
+  public breakForce: number; // Reaction force above which the joint breaks (Infinity = never)
+  public breakTorque: number;
+  public isBroken: boolean;
+
+  protected rA: Vector3D; // Anchor arms in world space, refreshed in prepare()
+  protected rB: Vector3D;
+  protected deltaTime: number;
+  protected rows: JointRow[]; // Rows in use this step
+  protected pointImpulse: Vector3D; // Accumulated impulse of the point lock
+  protected angularImpulse: Vector3D; // Accumulated impulse of the orientation lock
+
+  private pointMass: Matrix3;
+  private angularMass: Matrix3;
+  private allRows: JointRow[]; // Every row made with createRow(), in use or not
+
+  constructor(bodyA: RigidBody, bodyB: RigidBody, anchorA: Vector3D, anchorB: Vector3D = anchorA) {
+    if (bodyA === bodyB) {
+      throw new Error('A joint needs two different bodies');
+    }
+
+    this.bodyA = bodyA;
+    this.bodyB = bodyB;
+    this.localAnchorA = toLocal(bodyA, anchorA);
+    this.localAnchorB = toLocal(bodyB, anchorB);
+    this.collideConnected = false;
+    this.breakForce = Infinity;
+    this.breakTorque = Infinity;
+    this.isBroken = false;
+
+    this.rA = Vector3D.zero();
+    this.rB = Vector3D.zero();
+    this.deltaTime = 0;
+    this.rows = [];
+    this.pointImpulse = Vector3D.zero();
+    this.angularImpulse = Vector3D.zero();
+    this.pointMass = Matrix3.zero();
+    this.angularMass = Matrix3.zero();
+    this.allRows = [];
+  }
+
+  /**
+   * Get the anchor on body A in world space
+   */
+  getAnchorA(): Vector3D {
+    return this.bodyA.position.add(this.bodyA.rotation.rotateVector(this.localAnchorA));
+  }
+
+  /**
+   * Get the anchor on body B in world space
+   */
+  getAnchorB(): Vector3D {
+    return this.bodyB.position.add(this.bodyB.rotation.rotateVector(this.localAnchorB));
+  }
+
+  /**
+   * Force the joint applied to body B during the last step (body A got the opposite)
+   */
+  getReactionForce(): Vector3D {
+    if (this.deltaTime === 0) return Vector3D.zero();
+
+    let impulse = this.pointImpulse;
+    for (const row of this.rows) {
+      impulse = impulse.add(row.linear.multiply(row.impulse));
+    }
+    return impulse.divide(this.deltaTime);
+  }
+
+  /**
+   * Torque the joint's angular constraints applied to body B during the last step
+   */
+  getReactionTorque(): Vector3D {
+    if (this.deltaTime === 0) return Vector3D.zero();
+
+    let impulse = this.angularImpulse;
+    for (const row of this.rows) {
+      if (row.linear.magnitudeSquared() === 0) {
+        impulse = impulse.add(row.angularB.multiply(row.impulse));
+      }
+    }
+    return impulse.divide(this.deltaTime);
+  }
+
+  /**
+   * Set up this step's constraints (called by PhysicsWorld)
+   */
+  abstract prepare(deltaTime: number): void;
+
+  /**
+   * One velocity iteration (called by PhysicsWorld)
+   */
+  abstract solveVelocity(): void;
+
+  /**
+   * One position correction iteration (called by PhysicsWorld)
+   * @returns true if the joint is within the allowed error
+   */
+  abstract solvePosition(): boolean;
+
+  /**
+   * Apply last step's accumulated impulses (called by PhysicsWorld)
+   */
+  warmStart(): void {
+    this.applyPointImpulse(this.pointImpulse);
+    this.applyAngularImpulse(this.angularImpulse);
+    for (const row of this.rows) {
+      this.applyRowImpulse(row, row.impulse);
+    }
+  }
+
+  /**
+   * Number of accumulated impulse values saveImpulses() writes
+   */
+  getImpulseCount(): number {
+    return 6 + this.allRows.length;
+  }
+
+  /**
+   * Write the accumulated impulses into a world snapshot (called by PhysicsWorld)
+   * @returns the offset after the written values
+   */
+  saveImpulses(target: Float64Array, offset: number): number {
+    target[offset++] = this.pointImpulse.x;
+    target[offset++] = this.pointImpulse.y;
+    target[offset++] = this.pointImpulse.z;
+    target[offset++] = this.angularImpulse.x;
+    target[offset++] = this.angularImpulse.y;
+    target[offset++] = this.angularImpulse.z;
+    for (const row of this.allRows) {
+      target[offset++] = row.impulse;
+    }
+    return offset;
+  }
+
+  /**
+   * Read back the accumulated impulses written by saveImpulses() (called by PhysicsWorld)
+   * @returns the offset after the read values
+   */
+  restoreImpulses(source: Float64Array, offset: number): number {
+    this.pointImpulse = new Vector3D(source[offset], source[offset + 1], source[offset + 2]);
+    this.angularImpulse = new Vector3D(source[offset + 3], source[offset + 4], source[offset + 5]);
+    offset += 6;
+    for (const row of this.allRows) {
+      row.impulse = source[offset++];
+    }
+    return offset;
+  }
+
+  /**
+   * Make a row whose impulse is saved with the world state
+   */
+  protected createRow(): JointRow {
+    const row = createJointRow();
+    this.allRows.push(row);
+    return row;
+  }
+
+  /**
+   * Refresh the anchor arms and the step length
+   */
+  protected prepareAnchors(deltaTime: number): void {
+    this.deltaTime = deltaTime;
+    this.rA = this.bodyA.rotation.rotateVector(this.localAnchorA);
+    this.rB = this.bodyB.rotation.rotateVector(this.localAnchorB);
+  }
+
+  /**
+   * Set up a row along a Jacobian, keeping its accumulated impulse
+   */
+  protected prepareRow(
+    row: JointRow,
+    linear: Vector3D,
+    angularA: Vector3D,
+    angularB: Vector3D,
+    target: number = 0,
+    min: number = -Infinity,
+    max: number = Infinity
+  ): void {
+    row.linear = linear;
+    row.angularA = angularA;
+    row.angularB = angularB;
+    row.target = target;
+    row.min = min;
+    row.max = max;
+    const inverseMass = this.getRowInverseMass(linear, angularA, angularB);
+    row.mass = inverseMass > 0 ? 1 / inverseMass : 0;
+  }
+
+  protected solveRow(row: JointRow): void {
+    const velocity = row.linear.dot(this.bodyB.velocity.subtract(this.bodyA.velocity)) +
+      row.angularB.dot(this.bodyB.angularVelocity) - row.angularA.dot(this.bodyA.angularVelocity);
+    const oldImpulse = row.impulse;
+    row.impulse = clamp(oldImpulse + row.mass * (row.target - velocity), row.min, row.max);
+    this.applyRowImpulse(row, row.impulse - oldImpulse);
+  }
+
+  /**
+   * Remove a row's position error (positive error means the row's velocity must go down)
+   */
+  protected correctRow(linear: Vector3D, angularA: Vector3D, angularB: Vector3D, error: number, maxCorrection: number): void {
+    const inverseMass = this.getRowInverseMass(linear, angularA, angularB);
+    if (inverseMass === 0) return;
+
+    const impulse = -clamp(error, -maxCorrection, maxCorrection) / inverseMass;
+    this.bodyA.applyPositionImpulse(linear.multiply(-impulse), this.bodyA.position);
+    this.bodyA.applyAngularPositionImpulse(angularA.multiply(-impulse));
+    this.bodyB.applyPositionImpulse(linear.multiply(impulse), this.bodyB.position);
+    this.bodyB.applyAngularPositionImpulse(angularB.multiply(impulse));
+  }
+
+  /**
+   * Set up the point lock that keeps the two anchors together
+   */
+  protected preparePoint(): void {
+    const columns = [new Vector3D(1, 0, 0), new Vector3D(0, 1, 0), new Vector3D(0, 0, 1)]
+      .map(axis => this.getPointResponse(axis));
+    this.pointMass = fromColumns(columns).inverse();
+  }
+
+  protected solvePoint(): void {
+    const velocity = this.bodyB.getVelocityAtPoint(this.bodyB.position.add(this.rB))
+      .subtract(this.bodyA.getVelocityAtPoint(this.bodyA.position.add(this.rA)));
+    const impulse = this.pointMass.multiplyVector(velocity.multiply(-1));
+    this.pointImpulse = this.pointImpulse.add(impulse);
+    this.applyPointImpulse(impulse);
+  }
+
+  /**
+   * Pull the anchors together
+   * @returns the remaining distance between them
+   */
+  protected correctPoint(): number {
+    this.rA = this.bodyA.rotation.rotateVector(this.localAnchorA);
+    this.rB = this.bodyB.rotation.rotateVector(this.localAnchorB);
+    const error = this.getAnchorB().subtract(this.getAnchorA());
+    const distance = error.magnitude();
+    if (distance <= LINEAR_SLOP) return distance;
+
+    const columns = [new Vector3D(1, 0, 0), new Vector3D(0, 1, 0), new Vector3D(0, 0, 1)]
+      .map(axis => this.getPointResponse(axis));
+    const correction = distance > MAX_LINEAR_CORRECTION ? error.multiply(MAX_LINEAR_CORRECTION / distance) : error;
+    const impulse = fromColumns(columns).inverse().multiplyVector(correction.multiply(-1));
+    this.bodyA.applyPositionImpulse(impulse.multiply(-1), this.getAnchorA());
+    this.bodyB.applyPositionImpulse(impulse, this.getAnchorB());
+    return distance;
+  }
+
+  /**
+   * Set up the orientation lock that keeps the bodies from rotating relative to each other
+   */
+  protected prepareAngular(): void {
+    this.angularMass = this.bodyA.getInverseInertiaTensorWorld()
+      .add(this.bodyB.getInverseInertiaTensorWorld())
+      .inverse();
+  }
+
+  protected solveAngular(): void {
+    const velocity = this.bodyB.angularVelocity.subtract(this.bodyA.angularVelocity);
+    const impulse = this.angularMass.multiplyVector(velocity.multiply(-1));
+    this.angularImpulse = this.angularImpulse.add(impulse);
+    this.applyAngularImpulse(impulse);
+  }
+
+  /**
+   * Rotate the bodies towards a relative orientation (B's rotation in A's frame)
+   * @returns the remaining angle
+   */
+  protected correctAngular(relativeRotation: Quaternion): number {
+    const target = this.bodyA.rotation.multiply(relativeRotation);
+    return this.correctRotation(rotationVector(this.bodyB.rotation.multiply(target.conjugate())));
+  }
+
+  /**
+   * Rotate body B relative to body A against a rotation error (axis times angle)
+   * @returns the remaining angle
+   */
+  protected correctRotation(error: Vector3D): number {
+    const angle = error.magnitude();
+    if (angle <= ANGULAR_SLOP) return angle;
+
+    const mass = this.bodyA.getInverseInertiaTensorWorld()
+      .add(this.bodyB.getInverseInertiaTensorWorld())
+      .inverse();
+    const correction = angle > MAX_ANGULAR_CORRECTION ? error.multiply(MAX_ANGULAR_CORRECTION / angle) : error;
+    const impulse = mass.multiplyVector(correction.multiply(-1));
+    this.bodyA.applyAngularPositionImpulse(impulse.multiply(-1));
+    this.bodyB.applyAngularPositionImpulse(impulse);
+    return angle;
+  }
+
+  private getRowInverseMass(linear: Vector3D, angularA: Vector3D, angularB: Vector3D): number {
+    return (this.bodyA.inverseMass + this.bodyB.inverseMass) * linear.magnitudeSquared() +
+      angularA.dot(this.bodyA.getInverseInertiaTensorWorld().multiplyVector(angularA)) +
+      angularB.dot(this.bodyB.getInverseInertiaTensorWorld().multiplyVector(angularB));
+  }
+
+  /**
+   * Relative velocity of the anchors caused by a unit impulse along a direction
+   */
+  private getPointResponse(direction: Vector3D): Vector3D {
+    const angularA = this.bodyA.getInverseInertiaTensorWorld().multiplyVector(this.rA.cross(direction)).cross(this.rA);
+    const angularB = this.bodyB.getInverseInertiaTensorWorld().multiplyVector(this.rB.cross(direction)).cross(this.rB);
+    return direction.multiply(this.bodyA.inverseMass + this.bodyB.inverseMass).add(angularA).add(angularB);
+  }
+
+  private applyRowImpulse(row: JointRow, impulse: number): void {
+    if (impulse === 0) return;
+    this.bodyA.applyImpulse(row.linear.multiply(-impulse));
+    this.bodyA.applyAngularImpulse(row.angularA.multiply(-impulse));
+    this.bodyB.applyImpulse(row.linear.multiply(impulse));
+    this.bodyB.applyAngularImpulse(row.angularB.multiply(impulse));
+  }
+
+  private applyPointImpulse(impulse: Vector3D): void {
+    if (impulse.magnitudeSquared() === 0) return;
+    this.bodyA.applyImpulse(impulse.multiply(-1), this.bodyA.position.add(this.rA));
+    this.bodyB.applyImpulse(impulse, this.bodyB.position.add(this.rB));
+  }
+
+  private applyAngularImpulse(impulse: Vector3D): void {
+    if (impulse.magnitudeSquared() === 0) return;
+    this.bodyA.applyAngularImpulse(impulse.multiply(-1));
+    this.bodyB.applyAngularImpulse(impulse);
+  }
+}
+
+/**
+ * Create an empty row
+ */
+export function createJointRow(): JointRow {
+  return {
+    linear: Vector3D.zero(),
+    angularA: Vector3D.zero(),
+    angularB: Vector3D.zero(),
+    mass: 0,
+    target: 0,
+    impulse: 0,
+    min: -Infinity,
+    max: Infinity
+  };
+}
+
+/**
+ * Two unit vectors perpendicular to an axis and to each other
+ */
+export function perpendicularBasis(axis: Vector3D): [Vector3D, Vector3D] {
+  const reference = Math.abs(axis.x) < 0.57 ? new Vector3D(1, 0, 0) : new Vector3D(0, 1, 0);
+  const first = axis.cross(reference).normalize();
+  return [first, axis.cross(first)];
+}
+
+/**
+ * Axis times angle of a rotation, taking the short way round
+ */
+export function rotationVector(rotation: Quaternion): Vector3D {
+  const q = rotation.w < 0 ? new Quaternion(-rotation.w, -rotation.x, -rotation.y, -rotation.z) : rotation;
+  const sinHalf = Math.sqrt(q.x * q.x + q.y * q.y + q.z * q.z);
+  if (sinHalf < 1e-9) {
+    return new Vector3D(q.x * 2, q.y * 2, q.z * 2);
+  }
+  const angle = 2 * Math.atan2(sinHalf, q.w);
+  return new Vector3D(q.x, q.y, q.z).multiply(angle / sinHalf);
+}
+
+function toLocal(body: RigidBody, point: Vector3D): Vector3D {
+  return body.rotation.conjugate().rotateVector(point.subtract(body.position));
+}
+
+function fromColumns([x, y, z]: Vector3D[]): Matrix3 {
+  return new Matrix3([x.x, y.x, z.x, x.y, y.y, z.y, x.z, y.z, z.z]);
+}
+
+function clamp(value: number, min: number, max: number): number {
+  return Math.max(min, Math.min(value, max));
+}
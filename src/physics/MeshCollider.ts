@@ -0,0 +1,379 @@
+import { Vector3D, Matrix3 } from '../math/index.js';
+import { RigidBody } from './RigidBody.js';
+import {
+  Collider,
+  ConvexCollider,
+  Collision,
+  ContactPoint,
+  AABB,
+  RayIntersection,
+  SPECULATIVE_DISTANCE,
+  flipCollision,
+  flipClosestPoints,
+  roundedDistance,
+  findNearest,
+  reduceContacts,
+  clipPolygon
+} from './Collision.js';
+import { CompoundCollider } from './CompoundCollider.js';
+import { BVH } from './BVH.js';
+import { SupportShape, ConvexContact, ClosestPoints, convexContact, gjkDistance } from './GJK.js';
+
+/**
+ * Triangle mesh collider for static level geometry. Vertices are in the body's
+ * local space and every three indices form a triangle. Dynamic convex shapes
+ * collide with the individual triangles (faces, edges and vertices).
+ */
+export class MeshCollider extends Collider {
+  public vertices: Vector3D[];
+  public indices: number[];
+
+  private bvh: BVH;
+  private triangleNormals: Vector3D[];
+
+  constructor(rigidbody: RigidBody, vertices: Vector3D[], indices: number[]) {
+    super(rigidbody);
+    if (indices.length % 3 !== 0) {
+      throw new Error('MeshCollider indices must describe whole triangles');
+    }
+    if (!rigidbody.isStatic) {
+      console.warn('MeshCollider only supports static bodies. Call makeStatic() on its rigid body.');
+    }
+
+    this.vertices = vertices.map(vertex => vertex.clone());
+    this.indices = indices.slice();
+    this.triangleNormals = [];
+
+    const triangleBounds: AABB[] = [];
+    for (let i = 0; i < this.getTriangleCount(); i++) {
+      const [a, b, c] = this.getLocalTriangle(i);
+      this.triangleNormals.push(b.subtract(a).cross(c.subtract(a)).normalize());
+      triangleBounds.push(new AABB(
+        new Vector3D(Math.min(a.x, b.x, c.x), Math.min(a.y, b.y, c.y), Math.min(a.z, b.z, c.z)),
+        new Vector3D(Math.max(a.x, b.x, c.x), Math.max(a.y, b.y, c.y), Math.max(a.z, b.z, c.z))
+      ));
+    }
+
+    // The tree is built in local space so moving the body doesn't invalidate it
+    this.bvh = new BVH(triangleBounds);
+    this.rigidbody.setInertiaSource(this);
+  }
+
+  /**
+   * Get the number of triangles in the mesh
+   */
+  getTriangleCount(): number {
+    return this.indices.length / 3;
+  }
+
+  /**
+   * Get the corners of a triangle in world space
+   */
+  getTriangle(index: number): [Vector3D, Vector3D, Vector3D] {
+    const position = this.getPosition();
+    const rotation = this.getRotation();
+    const [a, b, c] = this.getLocalTriangle(index);
+    return [
+      position.add(rotation.rotateVector(a)),
+      position.add(rotation.rotateVector(b)),
+      position.add(rotation.rotateVector(c))
+    ];
+  }
+
+  /**
+   * Get the normal of a triangle in world space (counter-clockwise winding faces outwards)
+   */
+  getTriangleNormal(index: number): Vector3D {
+    return this.getRotation().rotateVector(this.triangleNormals[index]);
+  }
+
+  getAABB(): AABB {
+    const localBounds = this.bvh.getBounds();
+    if (!localBounds) {
+      return new AABB(this.getPosition(), this.getPosition());
+    }
+    return transformBounds(localBounds, this, false);
+  }
+
+  computeInertiaTensor(mass: number): Matrix3 {
+    // Meshes are meant for static bodies; use the local bounding box as an approximation
+    const bounds = this.bvh.getBounds();
+    if (!bounds) return Matrix3.zero();
+    const size = bounds.getSize();
+    const x2 = size.x * size.x;
+    const y2 = size.y * size.y;
+    const z2 = size.z * size.z;
+    return Matrix3.diagonal(new Vector3D(y2 + z2, x2 + z2, x2 + y2).multiply(mass / 12));
+  }
+
+  checkCollision(other: Collider): Collision | null {
+    if (other instanceof ConvexCollider) {
+      return this.checkConvexCollision(other);
+    }
+    if (other instanceof CompoundCollider) {
+      // The compound tests its children against this collider
+      return flipCollision(other.checkCollision(this));
+    }
+    // Mesh vs other meshes and terrain is not supported
+    return null;
+  }
+
+  /**
+   * Collide a convex shape with every triangle near it (see collideTriangles)
+   */
+  checkConvexCollision(other: ConvexCollider): Collision | null {
+    const localBounds = transformBounds(other.getAABB(), this, true);
+    return collideTriangles(this, other, visit => {
+      this.bvh.query(localBounds, index => visit(this.getTriangle(index), this.getTriangleNormal(index)));
+    });
+  }
+
+  /**
+   * Ray test against the actual triangles (two-sided unless ignoreBackfaces is set;
+   * the normal faces the ray)
+   */
+  raycast(
+    origin: Vector3D,
+    direction: Vector3D,
+    maxDistance: number = Infinity,
+    ignoreBackfaces: boolean = false
+  ): RayIntersection | null {
+    const position = this.getPosition();
+    const rotation = this.getRotation();
+    const inverse = rotation.conjugate();
+    const localOrigin = inverse.rotateVector(origin.subtract(position));
+    const localDirection = inverse.rotateVector(direction);
+
+    let hitTriangle = -1;
+    const distance = this.bvh.raycast(localOrigin, localDirection, maxDistance, (index, range) => {
+      if (ignoreBackfaces && this.triangleNormals[index].dot(localDirection) > 0) {
+        return null;
+      }
+      const [a, b, c] = this.getLocalTriangle(index);
+      const t = rayTriangle(localOrigin, localDirection, a, b, c);
+      if (t !== null && t <= range) {
+        hitTriangle = index;
+        return t;
+      }
+      return null;
+    });
+
+    if (distance === null || hitTriangle === -1) {
+      return null;
+    }
+
+    const normal = this.getTriangleNormal(hitTriangle);
+    return { distance, normal: normal.dot(direction) > 0 ? normal.multiply(-1) : normal };
+  }
+
+  /**
+   * Nearest point on the triangles (the surface has no inside)
+   */
+  closestPoint(point: Vector3D): Vector3D {
+    const target: SupportShape = { support: () => point };
+    const nearest = this.findNearestTriangle(new AABB(point, point), triangle => gjkDistance(triangleShape(triangle), target));
+    return nearest ? nearest.pointA : this.getPosition();
+  }
+
+  distanceTo(other: Collider): ClosestPoints | null {
+    if (other instanceof CompoundCollider) {
+      return flipClosestPoints(other.distanceTo(this));
+    }
+    if (!(other instanceof ConvexCollider)) {
+      return null;
+    }
+    const core = other.getCore();
+    return this.findNearestTriangle(other.getAABB(), triangle =>
+      roundedDistance(gjkDistance(triangleShape(triangle), core), 0, other.getMargin()));
+  }
+
+  /**
+   * Closest points of the triangle nearest to a shape, found through the BVH
+   */
+  private findNearestTriangle(
+    bounds: AABB,
+    measure: (triangle: [Vector3D, Vector3D, Vector3D]) => ClosestPoints
+  ): ClosestPoints | null {
+    return findNearest(bounds, this.getAABB(), (searchBounds, visit) => {
+      this.bvh.query(transformBounds(searchBounds, this, true), index => visit(measure(this.getTriangle(index))));
+    });
+  }
+
+  private getLocalTriangle(index: number): [Vector3D, Vector3D, Vector3D] {
+    return [
+      this.vertices[this.indices[index * 3]],
+      this.vertices[this.indices[index * 3 + 1]],
+      this.vertices[this.indices[index * 3 + 2]]
+    ];
+  }
+}
+
+/**
+ * Contact between a world-space triangle and a convex shape (normal points from the
+ * triangle towards the shape). Triangles are one-sided for solid contacts: a shape
+ * whose center is in front of the face is never pushed out through the back.
+ */
+export function triangleContact(
+  triangle: [Vector3D, Vector3D, Vector3D],
+  faceNormal: Vector3D,
+  other: ConvexCollider
+): ConvexContact | null {
+  const margin = other.getMargin();
+  const core: SupportShape = { support: direction => other.supportCore(direction) };
+  const contact = convexContact(triangleShape(triangle), 0, core, margin);
+  if (!contact) {
+    return null;
+  }
+
+  const centerSide = other.getPosition().subtract(triangle[0]).dot(faceNormal);
+  if (centerSide >= 0 && contact.normal.dot(faceNormal) < 0) {
+    const deepest = other.supportCore(faceNormal.multiply(-1)).subtract(triangle[0]).dot(faceNormal);
+    return { point: contact.point, normal: faceNormal, depth: margin - deepest };
+  }
+
+  return contact;
+}
+
+/**
+ * Collide a convex shape with a set of world-space triangles and keep the deepest
+ * contact. When the shape rests a flat face on triangles facing along that contact's
+ * normal, the face is clipped to each of them (as BoxCollider clips its incident face),
+ * so the contact covers the whole face instead of one point per step.
+ */
+export function collideTriangles(
+  collider: Collider,
+  other: ConvexCollider,
+  forEachTriangle: (visit: (triangle: [Vector3D, Vector3D, Vector3D], faceNormal: Vector3D) => void) => void
+): Collision | null {
+  let best: Collision | null = null;
+  const touching: [[Vector3D, Vector3D, Vector3D], Vector3D][] = [];
+
+  forEachTriangle((triangle, faceNormal) => {
+    const contact = triangleContact(triangle, faceNormal, other);
+    if (!contact) {
+      return;
+    }
+    touching.push([triangle, faceNormal]);
+    if (!best || contact.depth > best.penetrationDepth) {
+      best = {
+        bodyA: collider.rigidbody,
+        bodyB: other.rigidbody,
+        contactPoint: contact.point,
+        contactNormal: contact.normal,
+        penetrationDepth: contact.depth
+      };
+    }
+  });
+
+  const collision = best as Collision | null;
+  if (!collision) {
+    return null;
+  }
+
+  const normal = collision.contactNormal;
+  const face = other.getSupportFace(normal.multiply(-1));
+  const contacts: ContactPoint[] = [];
+  if (face.length > 0) {
+    for (const [triangle, faceNormal] of touching) {
+      if (faceNormal.dot(normal) > 0.95) {
+        contacts.push(...clipFaceToTriangle(face, triangle, faceNormal));
+      }
+    }
+  }
+  if (contacts.length > 1) {
+    collision.contacts = reduceContacts(contacts);
+  }
+  return collision;
+}
+
+/**
+ * Contact points of a polygon clipped to the sides of a triangle, keeping the points
+ * below (or just above) its plane moved halfway to its surface
+ */
+function clipFaceToTriangle(
+  face: Vector3D[],
+  triangle: [Vector3D, Vector3D, Vector3D],
+  faceNormal: Vector3D
+): ContactPoint[] {
+  let polygon = face;
+  for (let i = 0; i < 3 && polygon.length > 0; i++) {
+    const start = triangle[i];
+    const planeNormal = triangle[(i + 1) % 3].subtract(start).cross(faceNormal);
+    polygon = clipPolygon(polygon, planeNormal, planeNormal.dot(start));
+  }
+
+  const contacts: ContactPoint[] = [];
+  for (const point of polygon) {
+    const depth = triangle[0].subtract(point).dot(faceNormal);
+    if (depth >= -SPECULATIVE_DISTANCE) {
+      contacts.push({ point: point.add(faceNormal.multiply(depth * 0.5)), depth });
+    }
+  }
+  return contacts;
+}
+
+/**
+ * Support mapping of a single triangle
+ */
+export function triangleShape(triangle: [Vector3D, Vector3D, Vector3D]): SupportShape {
+  return {
+    support: direction => {
+      let best = triangle[0];
+      for (const vertex of triangle) {
+        if (vertex.dot(direction) > best.dot(direction)) {
+          best = vertex;
+        }
+      }
+      return best;
+    }
+  };
+}
+
+/**
+ * Möller–Trumbore ray/triangle intersection (two-sided)
+ */
+export function rayTriangle(
+  origin: Vector3D,
+  direction: Vector3D,
+  a: Vector3D,
+  b: Vector3D,
+  c: Vector3D
+): number | null {
+  const edge1 = b.subtract(a);
+  const edge2 = c.subtract(a);
+  const p = direction.cross(edge2);
+  const determinant = edge1.dot(p);
+  if (Math.abs(determinant) < 1e-12) return null;
+
+  const inverseDeterminant = 1 / determinant;
+  const s = origin.subtract(a);
+  const u = s.dot(p) * inverseDeterminant;
+  if (u < 0 || u > 1) return null;
+
+  const q = s.cross(edge1);
+  const v = direction.dot(q) * inverseDeterminant;
+  if (v < 0 || u + v > 1) return null;
+
+  const t = edge2.dot(q) * inverseDeterminant;
+  return t >= 0 ? t : null;
+}
+
+/**
+ * Bounds of an AABB moved from world into a collider's local space (toLocal = true)
+ * or from the collider's local space into world space (toLocal = false)
+ */
+export function transformBounds(bounds: AABB, collider: Collider, toLocal: boolean): AABB {
+  const position = collider.getPosition();
+  const rotation = toLocal ? collider.getRotation().conjugate() : collider.getRotation();
+  const m = rotation.toMatrix3();
+  const center = toLocal
+    ? rotation.rotateVector(bounds.getCenter().subtract(position))
+    : position.add(rotation.rotateVector(bounds.getCenter()));
+  const h = bounds.getSize().multiply(0.5);
+  const extent = new Vector3D(
+    Math.abs(m[0]) * h.x + Math.abs(m[1]) * h.y + Math.abs(m[2]) * h.z,
+    Math.abs(m[3]) * h.x + Math.abs(m[4]) * h.y + Math.abs(m[5]) * h.z,
+    Math.abs(m[6]) * h.x + Math.abs(m[7]) * h.y + Math.abs(m[8]) * h.z
+  );
+  return new AABB(center.subtract(extent), center.add(extent));
+}
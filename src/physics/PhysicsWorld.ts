@@ -1,6 +1,98 @@
-import { Vector3D } from '../math/index.js';
+import { Vector3D, Quaternion } from '../math/index.js';
 import { RigidBody } from './RigidBody.js';
-import { Collider, Collision, AABB } from './Collision.js';
+import {
+  Collider,
+  BoxCollider,
+  SphereCollider,
+  Collision,
+  CollisionEvent,
+  AABB,
+  RaycastHit,
+  ShapeCastHit,
+  ClosestPointHit,
+  flipClosestPoints,
+  findNearest
+} from './Collision.js';
+import { ClosestPoints } from './GJK.js';
+import { BroadPhase, DynamicAABBTree } from './BroadPhase.js';
+import { ContactManifold } from './ContactManifold.js';
+import { EventEmitter, EventListener } from './EventEmitter.js';
+import { Joint } from './Joint.js';
+import { Spring } from './Spring.js';
+import { RaycastVehicle } from './RaycastVehicle.js';
+import { CompoundCollider } from './CompoundCollider.js';
+import {
+  WorldData,
+  ContactData,
+  WORLD_DATA_VERSION,
+  serializeRigidBody,
+  restoreRigidBody,
+  serializeCollider,
+  deserializeCollider,
+  validateWorldData,
+  vectorFromArray
+} from './Serialization.js';
+import {
+  WorldSnapshot,
+  BODY_STRIDE,
+  WHEEL_STRIDE,
+  MANIFOLD_HEADER,
+  POINT_STRIDE,
+  saveBody,
+  restoreBody,
+  saveVehicle,
+  restoreVehicle,
+  saveVector,
+  readVector
+} from './WorldState.js';
+
+const CCD_TOLERANCE = 0.005; // How deep past the first impact a swept body may end up
+const CCD_MAX_SAMPLES = 100; // Per swept body, so huge velocities can't stall the step
+const CCD_MAX_BISECTIONS = 52; // A double's precision is used up after this many halvings
+const CAST_TOLERANCE = 0.001; // Precision of shape cast distances
+const FNV_OFFSET = 0x811c9dc5;
+const FNV_PRIME = 0x01000193;
+
+/**
+ * Overlap between a trigger collider and another collider
+ */
+export interface TriggerEvent {
+  trigger: Collider;
+  other: Collider;
+}
+
+/**
+ * A joint that broke because its reaction exceeded breakForce or breakTorque
+ */
+export interface JointBreakEvent {
+  joint: Joint;
+  force: Vector3D; // Reaction force in the breaking step
+  torque: Vector3D;
+}
+
+/**
+ * Which colliders a world raycast, shape cast or overlap query may hit
+ */
+export interface RaycastOptions {
+  mask?: number; // Only colliders with a category in this mask can be hit
+  group?: number; // Colliders sharing this group can always (positive) or never (negative) be hit
+  filter?: (collider: Collider) => boolean; // Return false to skip a collider
+  ignoreTriggers?: boolean;
+  ignoreBackfaces?: boolean; // Skip mesh and heightfield triangles hit from behind (rays only)
+}
+
+/**
+ * Events emitted by a PhysicsWorld at the end of each fixed step
+ */
+export interface PhysicsWorldEvents {
+  triggerEnter: TriggerEvent; // First step of an overlap
+  triggerStay: TriggerEvent; // Every later step while the overlap lasts
+  triggerExit: TriggerEvent; // First step without the overlap (or after a collider was removed)
+  collisionBegin: CollisionEvent; // First step in contact
+  collisionPersist: CollisionEvent; // Every later step while in contact
+  collisionEnd: CollisionEvent; // First step apart; carries the last contacts, with no impulse
+  jointBreak: JointBreakEvent; // The joint has already been removed from the world
+}
 
 /**
  * Physics World manages all rigid bodies and handles physics simulation
@@ -10,59 +102,126 @@ export class PhysicsWorld {
   public rigidbodies: RigidBody[];
   public colliders: Collider[];
   public collisions: Collision[];
+  public joints: Joint[];
+  public springs: Spring[];
+  public vehicles: RaycastVehicle[];
+  public sleepingEnabled: boolean;
+  public sleepLinearThreshold: number; // Bodies slower than this (and the angular threshold)...
+  public sleepAngularThreshold: number;
+  public timeToSleep: number; // ...for this many seconds fall asleep with their island
   
   private timeStep: number;
   private maxSubSteps: number;
   private accumulator: number;
-  private collisionIterations: number; // Number of collision resolution iterations
-  private maxObjectsPerFrame: number; // Limit objects to prevent performance issues
+  private collisionIterations: number; // Velocity iterations of the contact solver
+  private positionIterations: number; // Position correction iterations
+  private broadPhase: BroadPhase;
+  private pairs: [Collider, Collider][]; // Candidate pairs from the last broad phase update
+  private manifolds: Map<Collider, Map<Collider, ContactManifold>>; // Persistent contacts by collider pair
+  private triggerOverlaps: Map<Collider, Set<Collider>>; // Overlapping pairs involving a trigger
+  private touching: Map<Collider, Map<Collider, CollisionEvent>>; // Last event of each pair in contact
+  private pendingEvents: (() => void)[]; // Emitted once the step is done
+  private events: EventEmitter<PhysicsWorldEvents>;
+  private ignoredPairs: Map<RigidBody, Set<RigidBody>>; // Stored both ways
+  private islandCount: number; // Islands found in the last step
+  private bodyJoints: Map<RigidBody, Joint[]>; // Joints attached to each body
+  private deterministic: boolean; // Keep everything ordered by id (see setDeterministic)
+  private nextBodyId: number;
+  private nextColliderId: number;
 
   constructor() {
     this.gravity = new Vector3D(0, 9.81, 0); // Earth gravity (positive Y = down for screen coordinates)
     this.rigidbodies = [];
     this.colliders = [];
     this.collisions = [];
+    this.joints = [];
+    this.springs = [];
+    this.vehicles = [];
+    this.sleepingEnabled = true;
+    this.sleepLinearThreshold = 0.05;
+    this.sleepAngularThreshold = 0.05;
+    this.timeToSleep = 0.5;
     
     this.timeStep = 1 / 60; // 60 FPS
     this.maxSubSteps = 5;
     this.accumulator = 0;
-    this.collisionIterations = 8; // Multiple passes for better collision resolution
-    this.maxObjectsPerFrame = 200; // Performance limit
+    this.collisionIterations = 10; // Sequential impulse passes over all contacts
+    this.positionIterations = 3;
+    this.broadPhase = new DynamicAABBTree();
+    this.pairs = [];
+    this.manifolds = new Map();
+    this.triggerOverlaps = new Map();
+    this.touching = new Map();
+    this.pendingEvents = [];
+    this.events = new EventEmitter();
+    this.ignoredPairs = new Map();
+    this.islandCount = 0;
+    this.bodyJoints = new Map();
+    this.deterministic = false;
+    this.nextBodyId = 0;
+    this.nextColliderId = 0;
   }
 
   /**
    * Add a rigid body to the world
    */
   addRigidBody(rigidbody: RigidBody): void {
-    if (!this.rigidbodies.includes(rigidbody)) {
+    if (this.rigidbodies.includes(rigidbody)) return;
+
+    if (rigidbody.id < 0) {
+      rigidbody.id = this.nextBodyId++;
+    } else {
+      this.nextBodyId = Math.max(this.nextBodyId, rigidbody.id + 1);
+    }
+
+    if (this.deterministic) {
+      if (this.rigidbodies.some(other => other.id === rigidbody.id)) {
+        throw new Error(`A rigid body with id ${rigidbody.id} is already in the world`);
+      }
+      insertOrdered(this.rigidbodies, rigidbody, compareIds);
+    } else {
       this.rigidbodies.push(rigidbody);
     }
   }
 
   /**
-   * Remove a rigid body from the world
+   * Remove a rigid body from the world, along with the joints attached to it
    */
   removeRigidBody(rigidbody: RigidBody): void {
     const index = this.rigidbodies.indexOf(rigidbody);
     if (index !== -1) {
       this.rigidbodies.splice(index, 1);
     }
+
+    for (const joint of [...(this.bodyJoints.get(rigidbody) ?? [])]) {
+      this.removeJoint(joint);
+    }
+    this.springs = this.springs.filter(spring => spring.bodyA !== rigidbody && spring.bodyB !== rigidbody);
+    this.vehicles = this.vehicles.filter(vehicle => vehicle.chassis !== rigidbody);
   }
 
   /**
-   * Add a collider to the world with object limit checking
+   * Add a collider to the world
    */
   addCollider(collider: Collider): void {
-    if (!this.colliders.includes(collider)) {
-      // Check object limit to prevent performance issues
-      if (this.colliders.length >= this.maxObjectsPerFrame) {
-        console.warn(`Physics world has reached maximum objects limit (${this.maxObjectsPerFrame}). Consider removing some objects.`);
-        return;
+    if (this.colliders.includes(collider)) return;
+
+    if (collider.id < 0) {
+      collider.id = this.nextColliderId++;
+    } else {
+      this.nextColliderId = Math.max(this.nextColliderId, collider.id + 1);
+    }
+
+    if (this.deterministic) {
+      if (this.colliders.some(other => other.id === collider.id)) {
+        throw new Error(`A collider with id ${collider.id} is already in the world`);
       }
-      
+      insertOrdered(this.colliders, collider, compareIds);
+    } else {
       this.colliders.push(collider);
-      this.addRigidBody(collider.rigidbody);
     }
+    this.broadPhase.add(collider);
+    this.addRigidBody(collider.rigidbody);
   }
 
   /**
@@ -72,9 +231,255 @@ export class PhysicsWorld {
     const index = this.colliders.indexOf(collider);
     if (index !== -1) {
       this.colliders.splice(index, 1);
+      this.broadPhase.remove(collider);
     }
   }
 
+  /**
+   * Add a joint to the world. Its bodies are added too if they aren't yet.
+   */
+  addJoint(joint: Joint): void {
+    if (this.joints.includes(joint)) return;
+    if (joint.isBroken) {
+      throw new Error('Cannot add a broken joint');
+    }
+
+    for (const rigidbody of [joint.bodyA, joint.bodyB]) {
+      this.addRigidBody(rigidbody);
+      this.bodyJoints.set(rigidbody, [...(this.bodyJoints.get(rigidbody) ?? []), joint]);
+      rigidbody.wakeUp();
+    }
+    this.addOrdered(this.joints, joint, compareConnections);
+  }
+
+  /**
+   * Remove a joint from the world
+   */
+  removeJoint(joint: Joint): void {
+    const index = this.joints.indexOf(joint);
+    if (index === -1) return;
+
+    this.joints.splice(index, 1);
+    for (const rigidbody of [joint.bodyA, joint.bodyB]) {
+      const remaining = (this.bodyJoints.get(rigidbody) ?? []).filter(other => other !== joint);
+      if (remaining.length > 0) {
+        this.bodyJoints.set(rigidbody, remaining);
+      } else {
+        this.bodyJoints.delete(rigidbody);
+      }
+      rigidbody.wakeUp();
+    }
+  }
+
+  /**
+   * Get the joints attached to a body
+   */
+  getJoints(rigidbody: RigidBody): Joint[] {
+    return [...(this.bodyJoints.get(rigidbody) ?? [])];
+  }
+
+  /**
+   * Add a spring to the world. Its bodies are added too if they aren't yet.
+   */
+  addSpring(spring: Spring): void {
+    if (this.springs.includes(spring)) return;
+
+    for (const rigidbody of [spring.bodyA, spring.bodyB]) {
+      if (rigidbody) {
+        this.addRigidBody(rigidbody);
+        rigidbody.wakeUp();
+      }
+    }
+    this.addOrdered(this.springs, spring, compareConnections);
+  }
+
+  /**
+   * Remove a spring from the world
+   */
+  removeSpring(spring: Spring): void {
+    const index = this.springs.indexOf(spring);
+    if (index === -1) return;
+
+    this.springs.splice(index, 1);
+    spring.bodyA.wakeUp();
+    spring.bodyB?.wakeUp();
+  }
+
+  /**
+   * Add a vehicle to the world. Its chassis is added too if it isn't yet.
+   */
+  addVehicle(vehicle: RaycastVehicle): void {
+    if (this.vehicles.includes(vehicle)) return;
+
+    this.addRigidBody(vehicle.chassis);
+    this.addOrdered(this.vehicles, vehicle, (a, b) => a.chassis.id - b.chassis.id);
+  }
+
+  /**
+   * Remove a vehicle from the world (its chassis stays)
+   */
+  removeVehicle(vehicle: RaycastVehicle): void {
+    const index = this.vehicles.indexOf(vehicle);
+    if (index !== -1) {
+      this.vehicles.splice(index, 1);
+    }
+  }
+
+  /**
+   * Turn deterministic mode on or off. In deterministic mode bodies, colliders, joints,
+   * springs and vehicles are kept sorted by id (joints and springs by their bodies' ids)
+   * and collider pairs are processed in id order, so two worlds given the same bodies
+   * with the same ids and the same inputs produce bit-identical results, whatever order
+   * things were added and removed in. Ids must be unique in this mode.
+   */
+  setDeterministic(enable: boolean): void {
+    this.deterministic = enable;
+    if (!enable) return;
+
+    for (const items of [this.rigidbodies, this.colliders]) {
+      const ids = new Set<number>();
+      for (const item of items) {
+        if (ids.has(item.id)) {
+          throw new Error(`Duplicate id ${item.id}; ids must be unique in deterministic mode`);
+        }
+        ids.add(item.id);
+      }
+    }
+
+    this.rigidbodies.sort(compareIds);
+    this.colliders.sort(compareIds);
+    this.joints.sort(compareConnections);
+    this.springs.sort(compareConnections);
+    this.vehicles.sort((a, b) => a.chassis.id - b.chassis.id);
+  }
+
+  /**
+   * Whether deterministic mode is on
+   */
+  isDeterministic(): boolean {
+    return this.deterministic;
+  }
+
+  /**
+   * Hash of every body's id, position, rotation, velocities and sleep state, taken from
+   * the exact bits of the numbers in id order. Worlds in lockstep can compare hashes to
+   * detect a desync.
+   * @returns an unsigned 32-bit FNV-1a hash
+   */
+  computeStateHash(): number {
+    const view = new DataView(new ArrayBuffer(8));
+    let hash = FNV_OFFSET;
+    const add = (value: number): void => {
+      // Little-endian on every platform, so all clients hash the same bytes
+      view.setFloat64(0, value, true);
+      for (let i = 0; i < 8; i++) {
+        hash = Math.imul(hash ^ view.getUint8(i), FNV_PRIME);
+      }
+    };
+
+    for (const rigidbody of [...this.rigidbodies].sort(compareIds)) {
+      add(rigidbody.id);
+      for (const vector of [rigidbody.position, rigidbody.velocity, rigidbody.angularVelocity]) {
+        add(vector.x);
+        add(vector.y);
+        add(vector.z);
+      }
+      add(rigidbody.rotation.w);
+      add(rigidbody.rotation.x);
+      add(rigidbody.rotation.y);
+      add(rigidbody.rotation.z);
+      add(rigidbody.isSleeping ? 1 : 0);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Add an item to one of the world's lists, in order when deterministic
+   */
+  private addOrdered<T>(items: T[], item: T, compare: (a: T, b: T) => number): void {
+    if (this.deterministic) {
+      insertOrdered(items, item, compare);
+    } else {
+      items.push(item);
+    }
+  }
+
+  /**
+   * Replace the broad phase (a DynamicAABBTree by default). Existing colliders are moved over.
+   */
+  setBroadPhase(broadPhase: BroadPhase): void {
+    this.broadPhase.clear();
+    this.broadPhase = broadPhase;
+    for (const collider of this.colliders) {
+      this.broadPhase.add(collider);
+    }
+  }
+
+  /**
+   * Get the broad phase used to find candidate pairs and answer queries
+   */
+  getBroadPhase(): BroadPhase {
+    return this.broadPhase;
+  }
+
+  /**
+   * Listen for a world event
+   */
+  on<K extends keyof PhysicsWorldEvents>(type: K, listener: EventListener<PhysicsWorldEvents[K]>): void {
+    this.events.on(type, listener);
+  }
+
+  /**
+   * Stop listening for a world event
+   */
+  off<K extends keyof PhysicsWorldEvents>(type: K, listener: EventListener<PhysicsWorldEvents[K]>): void {
+    this.events.off(type, listener);
+  }
+
+  /**
+   * Stop (or resume) collisions between two bodies, whatever their layers
+   */
+  ignoreCollision(bodyA: RigidBody, bodyB: RigidBody, ignore: boolean = true): void {
+    for (const [body, other] of [[bodyA, bodyB], [bodyB, bodyA]]) {
+      const ignored = this.ignoredPairs.get(body) ?? new Set<RigidBody>();
+      if (ignore) {
+        ignored.add(other);
+        this.ignoredPairs.set(body, ignored);
+      } else {
+        ignored.delete(other);
+        if (ignored.size === 0) {
+          this.ignoredPairs.delete(body);
+        }
+      }
+    }
+  }
+
+  /**
+   * Check whether collisions between two bodies were turned off with ignoreCollision()
+   */
+  isCollisionIgnored(bodyA: RigidBody, bodyB: RigidBody): boolean {
+    return this.ignoredPairs.get(bodyA)?.has(bodyB) ?? false;
+  }
+
+  /**
+   * Whether two colliders may touch: different bodies, not both static, matching layers,
+   * not an ignored pair and not connected by a joint that keeps them apart
+   */
+  shouldCollide(colliderA: Collider, colliderB: Collider): boolean {
+    const bodyA = colliderA.rigidbody;
+    const bodyB = colliderB.rigidbody;
+    if (bodyA === bodyB || (bodyA.isStatic && bodyB.isStatic)) {
+      return false;
+    }
+    if (!colliderA.canCollideWith(colliderB) || this.isCollisionIgnored(bodyA, bodyB)) {
+      return false;
+    }
+
+    const joints = this.bodyJoints.get(bodyA);
+    return !joints || !joints.some(joint =>
+      !joint.collideConnected && (joint.bodyA === bodyB || joint.bodyB === bodyB));
+  }
+
   /**
    * Set the gravity for the world
    */
@@ -103,16 +508,45 @@ export class PhysicsWorld {
     // Apply gravity to all dynamic rigid bodies
     this.applyGravity();
 
-    // Integrate forces for all rigid bodies
+    // Add the spring forces for this step
+    this.applySpringForces(deltaTime);
+
+    // Suspension and tire impulses of the vehicles
+    this.updateVehicles(deltaTime);
+
+    // Integrate forces into velocities for all rigid bodies
     for (const rigidbody of this.rigidbodies) {
-      rigidbody.integrate(deltaTime);
+      rigidbody.integrateVelocity(deltaTime);
     }
 
-    // Detect collisions
+    // Detect collisions and update the contact manifolds
     this.detectCollisions();
 
-    // Resolve collisions
-    this.resolveCollisions();
+    // Solve joint and contact impulses on the velocities
+    this.solveVelocities(deltaTime);
+
+    // Remove joints whose reaction went over their break thresholds
+    this.breakJoints();
+
+    // Queue begin/persist/end events with the solved impulses
+    this.updateContactEvents();
+
+    // Stop fast CCD bodies at their first impact
+    const impacts = this.sweepContinuousBodies(deltaTime);
+
+    // Move the bodies with the solved velocities
+    for (const rigidbody of this.rigidbodies) {
+      rigidbody.integratePosition(deltaTime * (impacts.get(rigidbody) ?? 1));
+    }
+
+    // Push apart what is still overlapping and pull joints back together without adding energy
+    this.solvePositions();
+
+    // Put islands that stopped moving to sleep, and wake islands with moving parts
+    this.updateSleeping(deltaTime);
+
+    // Listeners run last so they can add or remove objects safely
+    this.emitPendingEvents();
   }
 
   /**
@@ -120,7 +554,7 @@ export class PhysicsWorld {
    */
   private applyGravity(): void {
     for (const rigidbody of this.rigidbodies) {
-      if (rigidbody.useGravity && !rigidbody.isStatic && !rigidbody.isKinematic) {
+      if (rigidbody.useGravity && !rigidbody.isStatic && !rigidbody.isKinematic && !rigidbody.isSleeping) {
         const gravityForce = this.gravity.multiply(rigidbody.mass);
         rigidbody.addForce(gravityForce);
       }
@@ -128,177 +562,494 @@ export class PhysicsWorld {
   }
 
   /**
-   * Detect collisions between all colliders with improved handling
+   * Apply the spring forces. Springs whose bodies are all asleep or static are left alone
+   * so they don't wake them up every step.
+   */
+  private applySpringForces(deltaTime: number): void {
+    for (const spring of this.springs) {
+      if (isAwakeDynamic(spring.bodyA) || (spring.bodyB !== null && isAwakeDynamic(spring.bodyB))) {
+        spring.applyForces(deltaTime);
+      }
+    }
+  }
+
+  /**
+   * Cast the vehicles' wheels against the current positions and apply their impulses
+   */
+  private updateVehicles(deltaTime: number): void {
+    if (this.vehicles.length === 0) return;
+
+    this.broadPhase.update();
+    for (const vehicle of this.vehicles) {
+      vehicle.update(this, deltaTime);
+    }
+  }
+
+  /**
+   * Detect collisions: refresh the broad phase, run the narrow phase on its pairs and
+   * merge the results into the persistent contact manifolds
    */
   private detectCollisions(): void {
+    this.broadPhase.update();
+    this.pairs = this.orderPairs(this.broadPhase.getPairs());
+
+    const manifolds = new Map<Collider, Map<Collider, ContactManifold>>();
+    const triggerOverlaps = new Map<Collider, Set<Collider>>();
     this.collisions = [];
 
-    for (let i = 0; i < this.colliders.length; i++) {
-      for (let j = i + 1; j < this.colliders.length; j++) {
-        const colliderA = this.colliders[i];
-        const colliderB = this.colliders[j];
+    for (const [colliderA, colliderB] of this.pairs) {
+      // Skip static pairs, filtered layers and ignored bodies
+      if (!this.shouldCollide(colliderA, colliderB)) {
+        continue;
+      }
+
+      let manifold = this.manifolds.get(colliderA)?.get(colliderB);
+      const isTriggerPair = colliderA.isTrigger || colliderB.isTrigger;
 
-        // Skip if both are static
-        if (colliderA.rigidbody.isStatic && colliderB.rigidbody.isStatic) {
-          continue;
+      // Nothing moves between sleeping and static bodies, so their contacts stay as they are
+      if (!isAwake(colliderA.rigidbody) && !isAwake(colliderB.rigidbody)) {
+        if (isTriggerPair && this.triggerOverlaps.get(colliderA)?.has(colliderB)) {
+          addOverlap(triggerOverlaps, colliderA, colliderB);
+        } else if (!isTriggerPair && manifold) {
+          this.addManifold(manifolds, colliderA, colliderB, manifold);
         }
+        continue;
+      }
 
-        // Broad phase: AABB check with small margin for better catching
-        const aabbA = colliderA.getAABB().expand(0.01);
-        const aabbB = colliderB.getAABB().expand(0.01);
+      // Tight AABB check with small margin for better catching
+      const aabbA = colliderA.getAABB().expand(0.01);
+      const aabbB = colliderB.getAABB().expand(0.01);
 
-        if (!aabbA.intersects(aabbB)) {
-          continue;
+      // Narrow phase: Detailed collision check
+      const collision = aabbA.intersects(aabbB) ? colliderA.checkCollision(colliderB) : null;
+
+      // Triggers only report overlaps; they never get contacts
+      if (isTriggerPair) {
+        if (collision && collision.penetrationDepth > 0) {
+          addOverlap(triggerOverlaps, colliderA, colliderB);
         }
+        continue;
+      }
 
-        // Narrow phase: Detailed collision check
-        const collision = colliderA.checkCollision(colliderB);
-        if (collision && collision.penetrationDepth > 0.001) {
-          this.collisions.push(collision);
+      if (collision && collision.penetrationDepth > 0) {
+        collision.colliderA = collision.colliderA ?? colliderA;
+        collision.colliderB = collision.colliderB ?? colliderB;
+        if (manifold) {
+          manifold.update(collision);
+        } else {
+          manifold = new ContactManifold(collision);
         }
+      } else if (manifold) {
+        // Bodies that lift off for a moment keep their points (and impulses) until
+        // the points break
+        manifold.refresh();
       }
+
+      if (!manifold || manifold.points.length === 0) {
+        continue;
+      }
+
+      if (manifold.isTouching()) {
+        wakeOnContact(manifold.bodyA, manifold.bodyB, this.sleepLinearThreshold);
+        wakeOnContact(manifold.bodyB, manifold.bodyA, this.sleepLinearThreshold);
+      }
+      this.addManifold(manifolds, colliderA, colliderB, manifold);
     }
+
+    this.manifolds = manifolds;
+    this.updateTriggerOverlaps(triggerOverlaps);
   }
 
   /**
-   * Resolve all detected collisions with multiple iterations
+   * Put the pairs in the order of the colliders list (id order in deterministic mode),
+   * with the earlier collider first, whatever order the broad phase found them in. The
+   * solver results depend on this order, so it must not change when colliders are
+   * re-added to the broad phase (restoreState) or the broad phase is replaced.
    */
-  private resolveCollisions(): void {
-    // Multiple iterations to handle complex collision scenarios
-    for (let iteration = 0; iteration < this.collisionIterations; iteration++) {
-      let hasCollisions = false;
-      
-      for (const collision of this.collisions) {
-        if (this.resolveCollision(collision)) {
-          hasCollisions = true;
+  private orderPairs(pairs: [Collider, Collider][]): [Collider, Collider][] {
+    const order = new Map(this.colliders.map((collider, index) => [collider, index]));
+    const ordered = pairs.map(([colliderA, colliderB]): [number, number] => {
+      const indexA = order.get(colliderA) as number;
+      const indexB = order.get(colliderB) as number;
+      return indexA < indexB ? [indexA, indexB] : [indexB, indexA];
+    });
+    ordered.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    return ordered.map(([indexA, indexB]) => [this.colliders[indexA], this.colliders[indexB]]);
+  }
+
+  /**
+   * Store a pair's manifold, and report it as a collision this step when it is touching
+   */
+  private addManifold(
+    manifolds: Map<Collider, Map<Collider, ContactManifold>>,
+    colliderA: Collider,
+    colliderB: Collider,
+    manifold: ContactManifold
+  ): void {
+    if (!manifolds.has(colliderA)) {
+      manifolds.set(colliderA, new Map());
+    }
+    (manifolds.get(colliderA) as Map<Collider, ContactManifold>).set(colliderB, manifold);
+    if (manifold.isTouching()) {
+      this.collisions.push(manifold.toCollision());
+    }
+  }
+
+  /**
+   * Compare this step's trigger overlaps with the last step's and queue the events
+   */
+  private updateTriggerOverlaps(overlaps: Map<Collider, Set<Collider>>): void {
+    for (const [colliderA, others] of overlaps) {
+      const previous = this.triggerOverlaps.get(colliderA);
+      for (const colliderB of others) {
+        this.queueTriggerEvent(previous?.has(colliderB) ? 'triggerStay' : 'triggerEnter', colliderA, colliderB);
+      }
+    }
+
+    for (const [colliderA, others] of this.triggerOverlaps) {
+      const current = overlaps.get(colliderA);
+      for (const colliderB of others) {
+        if (!current?.has(colliderB)) {
+          this.queueTriggerEvent('triggerExit', colliderA, colliderB);
         }
       }
-      
-      // If no collisions were resolved, we can exit early
-      if (!hasCollisions) {
-        break;
+    }
+
+    this.triggerOverlaps = overlaps;
+  }
+
+  /**
+   * Queue an event for each trigger of the pair (two when both are triggers)
+   */
+  private queueTriggerEvent(
+    type: 'triggerEnter' | 'triggerStay' | 'triggerExit',
+    colliderA: Collider,
+    colliderB: Collider
+  ): void {
+    if (colliderA.isTrigger) {
+      this.pendingEvents.push(() => this.events.emit(type, { trigger: colliderA, other: colliderB }));
+    }
+    if (colliderB.isTrigger) {
+      this.pendingEvents.push(() => this.events.emit(type, { trigger: colliderB, other: colliderA }));
+    }
+  }
+
+  /**
+   * Compare the touching manifolds with the last step's and queue the collision events
+   */
+  private updateContactEvents(): void {
+    const touching = new Map<Collider, Map<Collider, CollisionEvent>>();
+
+    for (const [colliderA, byCollider] of this.manifolds) {
+      for (const [colliderB, manifold] of byCollider) {
+        if (!manifold.isTouching()) continue;
+
+        const event = manifold.toCollisionEvent();
+        if (!touching.has(colliderA)) {
+          touching.set(colliderA, new Map());
+        }
+        (touching.get(colliderA) as Map<Collider, CollisionEvent>).set(colliderB, event);
+        this.queueCollisionEvent(this.touching.get(colliderA)?.has(colliderB) ? 'collisionPersist' : 'collisionBegin', event);
       }
-      
-      // Re-detect collisions after resolution for next iteration
-      if (iteration < this.collisionIterations - 1) {
-        this.detectCollisions();
+    }
+
+    for (const [colliderA, byCollider] of this.touching) {
+      for (const [colliderB, last] of byCollider) {
+        if (!touching.get(colliderA)?.has(colliderB)) {
+          this.queueCollisionEvent('collisionEnd', { ...last, impulse: 0, relativeSpeed: 0 });
+        }
       }
     }
+
+    this.touching = touching;
   }
 
   /**
-   * Resolve a single collision
-   * @returns true if collision was resolved, false if no resolution was needed
+   * Queue a collision event for the world and both bodies
    */
-  private resolveCollision(collision: Collision): boolean {
-    const { bodyA, bodyB, contactNormal, penetrationDepth } = collision;
+  private queueCollisionEvent(
+    type: 'collisionBegin' | 'collisionPersist' | 'collisionEnd',
+    event: CollisionEvent
+  ): void {
+    this.pendingEvents.push(() => {
+      this.events.emit(type, event);
+      event.bodyA.emit(type, event);
+      event.bodyB.emit(type, event);
+    });
+  }
 
-    // Skip impulse resolution for static bodies
-    if (bodyA.isStatic && bodyB.isStatic) return false;
+  /**
+   * Emit the events queued during the step, after the bodies have moved
+   */
+  private emitPendingEvents(): void {
+    const pending = this.pendingEvents;
+    this.pendingEvents = [];
+    for (const emit of pending) {
+      emit();
+    }
+  }
 
-    // Check if objects are still penetrating (collision is still valid)
-    if (penetrationDepth <= 0.001) return false;
+  /**
+   * Get the active contact manifolds
+   */
+  getManifolds(): ContactManifold[] {
+    const result: ContactManifold[] = [];
+    for (const byCollider of this.manifolds.values()) {
+      result.push(...byCollider.values());
+    }
+    return result;
+  }
 
-    // Separate objects
-    this.separateObjects(bodyA, bodyB, contactNormal, penetrationDepth);
+  /**
+   * Manifolds with at least one awake dynamic body (the only ones the solver needs)
+   */
+  private getActiveManifolds(): ContactManifold[] {
+    return this.getManifolds().filter(manifold =>
+      isAwakeDynamic(manifold.bodyA) || isAwakeDynamic(manifold.bodyB));
+  }
 
-    // Calculate relative velocity
-    const relativeVelocity = bodyB.velocity.subtract(bodyA.velocity);
-    const velocityAlongNormal = relativeVelocity.dot(contactNormal);
+  /**
+   * Joints with at least one awake dynamic body
+   */
+  private getActiveJoints(): Joint[] {
+    return this.joints.filter(joint => isAwakeDynamic(joint.bodyA) || isAwakeDynamic(joint.bodyB));
+  }
 
-    // Don't resolve if velocities are separating
-    if (velocityAlongNormal > 0) return false;
+  /**
+   * Sequential impulse solver: warm start from last step's impulses, then iterate.
+   * Joints are solved before the contacts in each iteration so contacts get the last word.
+   */
+  private solveVelocities(deltaTime: number): void {
+    const joints = this.getActiveJoints();
+    const manifolds = this.getActiveManifolds();
 
-    // Calculate restitution
-    const restitution = Math.min(bodyA.restitution, bodyB.restitution);
+    for (const joint of joints) {
+      joint.prepare(deltaTime);
+    }
 
-    // Calculate impulse scalar
-    let j = -(1 + restitution) * velocityAlongNormal;
-    j /= bodyA.inverseMass + bodyB.inverseMass;
+    for (const manifold of manifolds) {
+      manifold.prepare(deltaTime);
+    }
 
-    // Apply impulse
-    const impulse = contactNormal.multiply(j);
+    for (const joint of joints) {
+      joint.warmStart();
+    }
 
-    if (!bodyA.isStatic) {
-      bodyA.velocity = bodyA.velocity.subtract(impulse.multiply(bodyA.inverseMass));
+    for (const manifold of manifolds) {
+      manifold.warmStart();
     }
 
-    if (!bodyB.isStatic) {
-      bodyB.velocity = bodyB.velocity.add(impulse.multiply(bodyB.inverseMass));
+    // Sweep back and forth: a one-directional Gauss-Seidel pass favors the contacts
+    // solved last, which lets tall stacks lean and creep
+    const reversed = [...manifolds].reverse();
+    for (let iteration = 0; iteration < this.collisionIterations; iteration++) {
+      const backwards = iteration % 2 === 1;
+      for (const joint of joints) {
+        joint.solveVelocity();
+      }
+      for (const manifold of backwards ? reversed : manifolds) {
+        manifold.solveVelocity(backwards);
+      }
     }
+  }
 
-    // Apply friction
-    this.applyFriction(bodyA, bodyB, contactNormal, relativeVelocity, j);
-    
-    return true; // Collision was resolved
+  /**
+   * Position correction, run after the bodies moved so it doesn't feed into the velocities
+   */
+  private solvePositions(): void {
+    const joints = this.getActiveJoints();
+    const manifolds = this.getActiveManifolds();
+
+    for (let iteration = 0; iteration < this.positionIterations; iteration++) {
+      let solved = true;
+      for (const joint of joints) {
+        if (!joint.solvePosition()) {
+          solved = false;
+        }
+      }
+      for (const manifold of manifolds) {
+        if (!manifold.solvePosition()) {
+          solved = false;
+        }
+      }
+
+      if (solved) {
+        break;
+      }
+    }
   }
 
   /**
-   * Separate overlapping objects with improved correction
+   * Break the joints whose reaction force or torque this step exceeded their thresholds
    */
-  private separateObjects(
-    bodyA: RigidBody,
-    bodyB: RigidBody,
-    normal: Vector3D,
-    penetration: number
-  ): void {
-    const totalInverseMass = bodyA.inverseMass + bodyB.inverseMass;
-    if (totalInverseMass === 0) return;
+  private breakJoints(): void {
+    for (const joint of this.getActiveJoints()) {
+      if (joint.breakForce === Infinity && joint.breakTorque === Infinity) continue;
 
-    // More aggressive separation for dense scenes
-    const separationPercent = 0.9; // Increased from 0.8 to 0.9
-    const slop = 0.005; // Reduced slop for tighter separation
+      const force = joint.getReactionForce();
+      const torque = joint.getReactionTorque();
+      if (force.magnitude() > joint.breakForce || torque.magnitude() > joint.breakTorque) {
+        joint.isBroken = true;
+        this.removeJoint(joint);
+        this.pendingEvents.push(() => this.events.emit('jointBreak', { joint, force, torque }));
+      }
+    }
+  }
 
-    const correctionMagnitude = Math.max(penetration - slop, 0) / totalInverseMass * separationPercent;
-    const correction = normal.multiply(correctionMagnitude);
+  /**
+   * Continuous collision detection for bodies with ccd set. A body moving farther this
+   * step than its colliders' inner radius is swept along its motion (rotation is left out).
+   * @returns the fraction of the step each body may move before its first impact
+   */
+  private sweepContinuousBodies(deltaTime: number): Map<RigidBody, number> {
+    const impacts = new Map<RigidBody, number>();
 
-    if (!bodyA.isStatic) {
-      bodyA.position = bodyA.position.subtract(correction.multiply(bodyA.inverseMass));
+    for (const rigidbody of this.rigidbodies) {
+      if (!rigidbody.ccd || !isAwakeDynamic(rigidbody)) continue;
+
+      const colliders = this.colliders.filter(collider => collider.rigidbody === rigidbody && !collider.isTrigger);
+      if (colliders.length === 0) continue;
+
+      const motion = rigidbody.velocity.multiply(deltaTime);
+      const distance = motion.magnitude();
+      const radius = Math.min(...colliders.map(collider => collider.getInnerRadius()));
+      if (radius <= 0 || distance <= radius || !Number.isFinite(distance)) continue;
+
+      const fraction = this.findTimeOfImpact(rigidbody, colliders, motion, radius);
+      if (fraction < 1) {
+        impacts.set(rigidbody, fraction);
+      }
     }
 
-    if (!bodyB.isStatic) {
-      bodyB.position = bodyB.position.add(correction.multiply(bodyB.inverseMass));
+    return impacts;
+  }
+
+  /**
+   * Sample the motion at steps no longer than the inner radius, then bisect down to the
+   * first position that overlaps something (or, for colliders already touching, overlaps
+   * it deeper than at the start). The result is just past the impact, so the next step's
+   * narrow phase finds the contact and the solver handles the bounce.
+   */
+  private findTimeOfImpact(rigidbody: RigidBody, colliders: Collider[], motion: Vector3D, radius: number): number {
+    const start = rigidbody.position;
+    const pairs: { collider: Collider; other: Collider; depth: number }[] = [];
+
+    for (const collider of colliders) {
+      this.broadPhase.query(sweepBounds(collider.getAABB(), motion), other => {
+        if (other.isTrigger || !this.shouldCollide(collider, other)) return;
+        pairs.push({ collider, other, depth: getPenetration(collider, other) });
+      });
     }
+    if (pairs.length === 0) return 1;
+
+    const hitAt = (fraction: number): boolean => {
+      rigidbody.position = start.add(motion.multiply(fraction));
+      return pairs.some(({ collider, other, depth }) => getPenetration(collider, other) > depth + CCD_TOLERANCE);
+    };
+
+    // Very fast bodies get fewer samples than their size calls for rather than stalling the step
+    const distance = motion.magnitude();
+    const samples = Math.min(Math.ceil(distance / radius), CCD_MAX_SAMPLES);
+    let fraction = 1;
+    for (let i = 1; i <= samples; i++) {
+      if (!hitAt(i / samples)) continue;
+
+      // Bisect down to the tolerance
+      let free = (i - 1) / samples;
+      let hit = i / samples;
+      for (let j = 0; j < CCD_MAX_BISECTIONS && (hit - free) * distance > CCD_TOLERANCE; j++) {
+        const middle = (free + hit) / 2;
+        if (hitAt(middle)) {
+          hit = middle;
+        } else {
+          free = middle;
+        }
+      }
+      fraction = hit;
+      break;
+    }
+
+    rigidbody.position = start;
+    return fraction;
   }
 
   /**
-   * Apply friction between two bodies
+   * Update the sleep timers, then group the dynamic bodies into islands of bodies
+   * touching each other. An island falls asleep once all its bodies have been still for
+   * timeToSleep, and wakes as a whole as soon as one of its bodies is awake and moving.
    */
-  private applyFriction(
-    bodyA: RigidBody,
-    bodyB: RigidBody,
-    normal: Vector3D,
-    relativeVelocity: Vector3D,
-    normalImpulse: number
-  ): void {
-    // Calculate friction direction
-    const tangent = relativeVelocity.subtract(normal.multiply(relativeVelocity.dot(normal)));
-    
-    if (tangent.magnitude() < 1e-6) return; // No friction if no tangential movement
-    
-    const tangentDirection = tangent.normalize();
+  private updateSleeping(deltaTime: number): void {
+    const linearLimit = this.sleepLinearThreshold * this.sleepLinearThreshold;
+    const angularLimit = this.sleepAngularThreshold * this.sleepAngularThreshold;
+
+    for (const rigidbody of this.rigidbodies) {
+      if (!isAwakeDynamic(rigidbody)) continue;
 
-    // Calculate friction coefficient
-    const friction = Math.sqrt(bodyA.friction * bodyB.friction);
+      const still = rigidbody.velocity.magnitudeSquared() < linearLimit &&
+        rigidbody.angularVelocity.magnitudeSquared() < angularLimit;
+      rigidbody.sleepTime = still && rigidbody.allowSleep ? rigidbody.sleepTime + deltaTime : 0;
+    }
+
+    const islands = this.buildIslands();
+    this.islandCount = islands.length;
+
+    for (const island of islands) {
+      const awake = island.filter(rigidbody => !rigidbody.isSleeping);
+      if (awake.length === 0) continue;
+
+      const ready = this.sleepingEnabled && awake.every(rigidbody => rigidbody.sleepTime >= this.timeToSleep);
+      for (const rigidbody of island) {
+        if (ready) {
+          rigidbody.sleep();
+        } else if (rigidbody.isSleeping) {
+          rigidbody.wakeUp();
+        }
+      }
+    }
+  }
 
-    // Calculate friction impulse
-    let frictionImpulse = -relativeVelocity.dot(tangentDirection);
-    frictionImpulse /= bodyA.inverseMass + bodyB.inverseMass;
+  /**
+   * Group the dynamic bodies into sets connected by touching contacts, joints and springs
+   * (union-find). Static and kinematic bodies don't connect islands.
+   */
+  private buildIslands(): RigidBody[][] {
+    const parent = new Map<RigidBody, RigidBody>();
+    const find = (rigidbody: RigidBody): RigidBody => {
+      let root = rigidbody;
+      while (parent.get(root) !== root) {
+        root = parent.get(root) as RigidBody;
+      }
+      parent.set(rigidbody, root);
+      return root;
+    };
 
-    // Clamp friction impulse to Coulomb friction law
-    const maxFriction = Math.abs(normalImpulse) * friction;
-    frictionImpulse = Math.max(-maxFriction, Math.min(frictionImpulse, maxFriction));
+    for (const rigidbody of this.rigidbodies) {
+      if (isDynamic(rigidbody)) {
+        parent.set(rigidbody, rigidbody);
+      }
+    }
 
-    const frictionVector = tangentDirection.multiply(frictionImpulse);
+    for (const manifold of this.getManifolds()) {
+      if (isDynamic(manifold.bodyA) && isDynamic(manifold.bodyB) && manifold.isTouching()) {
+        parent.set(find(manifold.bodyA), find(manifold.bodyB));
+      }
+    }
 
-    // Apply friction impulse
-    if (!bodyA.isStatic) {
-      bodyA.velocity = bodyA.velocity.subtract(frictionVector.multiply(bodyA.inverseMass));
+    const connections = [...this.joints, ...this.springs];
+    for (const { bodyA, bodyB } of connections) {
+      if (bodyB && isDynamic(bodyA) && isDynamic(bodyB)) {
+        parent.set(find(bodyA), find(bodyB));
+      }
     }
 
-    if (!bodyB.isStatic) {
-      bodyB.velocity = bodyB.velocity.add(frictionVector.multiply(bodyB.inverseMass));
+    const islands = new Map<RigidBody, RigidBody[]>();
+    for (const rigidbody of parent.keys()) {
+      const root = find(rigidbody);
+      const island = islands.get(root) ?? [];
+      island.push(rigidbody);
+      islands.set(root, island);
     }
+    return [...islands.values()];
   }
 
   /**
@@ -310,62 +1061,592 @@ export class PhysicsWorld {
 
   /**
    * Query for rigid bodies within an AABB
+   * @param mask - Only colliders with a category in this mask are returned
+   * @param group - Colliders sharing this group are always (positive) or never (negative) returned
    */
-  queryAABB(aabb: AABB): RigidBody[] {
+  queryAABB(aabb: AABB, mask: number = 0xFFFFFFFF, group: number = 0): RigidBody[] {
     const result: RigidBody[] = [];
     
-    for (const collider of this.colliders) {
-      if (aabb.intersects(collider.getAABB())) {
+    this.broadPhase.update();
+    this.broadPhase.query(aabb, collider => {
+      if (collider.passesQueryFilter(mask, group) && aabb.intersects(collider.getAABB())) {
         result.push(collider.rigidbody);
       }
-    }
+    });
     
     return result;
   }
 
   /**
-   * Raycast from a point in a direction
+   * Find the nearest collider along a ray
    */
-  raycast(origin: Vector3D, direction: Vector3D, maxDistance: number = Infinity): RigidBody | null {
-    let closestBody: RigidBody | null = null;
-    let closestDistance = maxDistance;
-    
+  raycast(
+    origin: Vector3D,
+    direction: Vector3D,
+    maxDistance: number = Infinity,
+    options: RaycastOptions = {}
+  ): RaycastHit | null {
+    let closest: RaycastHit | null = null;
+    this.castRay(origin, direction, maxDistance, options, hit => {
+      closest = hit;
+      return hit.distance;
+    });
+    return closest;
+  }
+
+  /**
+   * Find every collider along a ray, nearest first
+   */
+  raycastAll(
+    origin: Vector3D,
+    direction: Vector3D,
+    maxDistance: number = Infinity,
+    options: RaycastOptions = {}
+  ): RaycastHit[] {
+    const hits: RaycastHit[] = [];
+    this.castRay(origin, direction, maxDistance, options, hit => {
+      hits.push(hit);
+      return null;
+    });
+    return hits.sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * Sweep a sphere along a direction and find the first collider it touches
+   */
+  sphereCast(
+    origin: Vector3D,
+    radius: number,
+    direction: Vector3D,
+    distance: number,
+    options: RaycastOptions = {}
+  ): ShapeCastHit | null {
+    const probe = new RigidBody(1, origin);
+    return this.colliderCast(new SphereCollider(probe, radius), direction, distance, options);
+  }
+
+  /**
+   * Sweep a box (full size, optionally rotated) along a direction and find the first
+   * collider it touches
+   */
+  boxCast(
+    center: Vector3D,
+    size: Vector3D,
+    direction: Vector3D,
+    distance: number,
+    rotation: Quaternion = Quaternion.identity(),
+    options: RaycastOptions = {}
+  ): ShapeCastHit | null {
+    const probe = new RigidBody(1, center);
+    probe.rotation = rotation;
+    return this.colliderCast(new BoxCollider(probe, size), direction, distance, options);
+  }
+
+  /**
+   * Sweep a collider from its current pose along a direction, without rotating it, and
+   * find the first collider it touches. Other colliders of its body are never hit. A
+   * collider that already overlaps something hits it at distance 0.
+   *
+   * The motion is sampled at steps no longer than the collider's inner radius, then
+   * bisected down to the first touching pose, like continuous collision detection.
+   */
+  colliderCast(
+    collider: Collider,
+    direction: Vector3D,
+    distance: number,
+    options: RaycastOptions = {}
+  ): ShapeCastHit | null {
+    const rigidbody = collider.rigidbody;
+    const motion = direction.normalize().multiply(distance);
+
+    const candidates: Collider[] = [];
+    this.broadPhase.update();
+    this.broadPhase.query(sweepBounds(collider.getAABB(), motion), other => {
+      if (other.rigidbody !== rigidbody && this.matchesQuery(other, options)) {
+        candidates.push(other);
+      }
+    });
+    if (candidates.length === 0) return null;
+
+    const start = rigidbody.position;
+    const touchAt = (fraction: number): { other: Collider; collision: Collision } | null => {
+      rigidbody.position = start.add(motion.multiply(fraction));
+      const bounds = collider.getAABB();
+      for (const other of candidates) {
+        if (!bounds.intersects(other.getAABB())) continue;
+        const collision = collider.checkCollision(other);
+        if (collision) return { other, collision };
+      }
+      return null;
+    };
+
+    const step = Math.max(collider.getInnerRadius(), CAST_TOLERANCE);
+    const samples = Math.max(Math.ceil(distance / step), 1);
+    let free = 0;
+    let touch = touchAt(0);
+    for (let i = 1; i <= samples && !touch; i++) {
+      touch = touchAt(i / samples);
+      if (!touch) {
+        free = i / samples;
+        continue;
+      }
+
+      // Bisect down to the tolerance
+      let hit = i / samples;
+      while ((hit - free) * distance > CAST_TOLERANCE) {
+        const middle = (free + hit) / 2;
+        const middleTouch = touchAt(middle);
+        if (middleTouch) {
+          hit = middle;
+          touch = middleTouch;
+        } else {
+          free = middle;
+        }
+      }
+    }
+    rigidbody.position = start;
+
+    if (!touch) return null;
+    return {
+      body: touch.other.rigidbody,
+      collider: touch.other,
+      point: touch.collision.contactPoint,
+      normal: touch.collision.contactNormal.multiply(-1),
+      distance: free * distance,
+      fraction: free
+    };
+  }
+
+  /**
+   * Find the colliders overlapping a sphere
+   */
+  overlapSphere(center: Vector3D, radius: number, options: RaycastOptions = {}): Collider[] {
+    const probe = new RigidBody(1, center);
+    return this.overlapCollider(new SphereCollider(probe, radius), options);
+  }
+
+  /**
+   * Find the colliders overlapping a box (full size, optionally rotated)
+   */
+  overlapBox(
+    center: Vector3D,
+    size: Vector3D,
+    rotation: Quaternion = Quaternion.identity(),
+    options: RaycastOptions = {}
+  ): Collider[] {
+    const probe = new RigidBody(1, center);
+    probe.rotation = rotation;
+    return this.overlapCollider(new BoxCollider(probe, size), options);
+  }
+
+  /**
+   * Find the colliders overlapping a collider, through the exact narrow phase. Other
+   * colliders of its body are left out.
+   */
+  overlapCollider(collider: Collider, options: RaycastOptions = {}): Collider[] {
+    const result: Collider[] = [];
+
+    this.broadPhase.update();
+    this.broadPhase.query(collider.getAABB(), other => {
+      if (other.rigidbody === collider.rigidbody || !this.matchesQuery(other, options)) return;
+      if (collider.checkCollision(other)) {
+        result.push(other);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Find the nearest point on any collider to a world-space point. A point inside a
+   * solid collider is its own closest point, at distance 0.
+   */
+  closestPoint(point: Vector3D, options: RaycastOptions = {}): ClosestPointHit | null {
+    let searchBounds: AABB | null = null;
+    for (const collider of this.colliders) {
+      if (this.matchesQuery(collider, options)) {
+        searchBounds = searchBounds ? searchBounds.union(collider.getAABB()) : collider.getAABB();
+      }
+    }
+    if (!searchBounds) return null;
+
+    this.broadPhase.update();
+    return findNearest<ClosestPointHit>(new AABB(point, point), searchBounds, (bounds, visit) => {
+      this.broadPhase.query(bounds, collider => {
+        if (!this.matchesQuery(collider, options)) return;
+        const closest = collider.closestPoint(point);
+        visit({ body: collider.rigidbody, collider, point: closest, distance: closest.distanceTo(point) });
+      });
+    });
+  }
+
+  /**
+   * Closest points between two colliders and the gap between them (0 when they touch).
+   * Returns null for pairs without a distance test (two meshes or terrains).
+   */
+  distanceBetween(colliderA: Collider, colliderB: Collider): ClosestPoints | null {
+    return colliderA.distanceTo(colliderB) ?? flipClosestPoints(colliderB.distanceTo(colliderA));
+  }
+
+  /**
+   * Walk the broad phase along a ray and report each collider hit. onHit returns a
+   * new maximum distance to shorten the ray, or null to keep going.
+   */
+  private castRay(
+    origin: Vector3D,
+    direction: Vector3D,
+    maxDistance: number,
+    options: RaycastOptions,
+    onHit: (hit: RaycastHit) => number | null
+  ): void {
     const normalizedDirection = direction.normalize();
-    
+
+    this.broadPhase.update();
+    this.broadPhase.raycast(origin, normalizedDirection, maxDistance, (collider, range) => {
+      if (!this.matchesQuery(collider, options)) return null;
+
+      const hit = collider.raycast(origin, normalizedDirection, range, options.ignoreBackfaces);
+      if (hit === null || hit.distance > range) return null;
+
+      return onHit({
+        body: collider.rigidbody,
+        collider,
+        point: origin.add(normalizedDirection.multiply(hit.distance)),
+        normal: hit.normal,
+        distance: hit.distance
+      });
+    });
+  }
+
+  /**
+   * Check a collider against the mask, group, trigger and filter options of a query
+   */
+  private matchesQuery(collider: Collider, options: RaycastOptions): boolean {
+    if (!collider.passesQueryFilter(options.mask ?? 0xFFFFFFFF, options.group ?? 0)) return false;
+    if (options.ignoreTriggers && collider.isTrigger) return false;
+    return !options.filter || options.filter(collider);
+  }
+
+  /**
+   * Capture the simulation state: which bodies, colliders, joints, springs and vehicles
+   * are in the world, the bodies' motion, and the solver's contact and joint caches.
+   * restoreState() puts it back so the simulation continues exactly as it did from here.
+   * Settings and body properties such as mass or friction are not part of the state.
+   * @param target - An older snapshot to overwrite, reusing its buffer
+   */
+  saveState(target?: WorldSnapshot): WorldSnapshot {
+    const manifolds: [Collider, Collider, ContactManifold][] = [];
+    let pointCount = 0;
+    for (const [colliderA, byCollider] of this.manifolds) {
+      for (const [colliderB, manifold] of byCollider) {
+        manifolds.push([colliderA, colliderB, manifold]);
+        pointCount += manifold.points.length;
+      }
+    }
+
+    const size = 3 +
+      this.rigidbodies.length * BODY_STRIDE +
+      this.joints.reduce((sum, joint) => sum + joint.getImpulseCount(), 0) +
+      this.vehicles.reduce((sum, vehicle) => sum + 1 + vehicle.wheels.length * WHEEL_STRIDE, 0) +
+      manifolds.length * MANIFOLD_HEADER + pointCount * POINT_STRIDE;
+    const data = target && target.data.length >= size ? target.data : new Float64Array(size);
+
+    data[0] = this.accumulator;
+    data[1] = this.nextBodyId;
+    data[2] = this.nextColliderId;
+    let offset = 3;
+    for (const rigidbody of this.rigidbodies) {
+      offset = saveBody(rigidbody, data, offset);
+    }
+    for (const joint of this.joints) {
+      offset = joint.saveImpulses(data, offset);
+    }
+    for (const vehicle of this.vehicles) {
+      offset = saveVehicle(vehicle, data, offset);
+    }
+
+    const contactColliders: (Collider | undefined)[] = [];
+    for (const [colliderA, colliderB, manifold] of manifolds) {
+      contactColliders.push(colliderA, colliderB, manifold.colliderA, manifold.colliderB);
+      offset = saveVector(manifold.normal, data, offset);
+      data[offset++] = manifold.relativeSpeed;
+      data[offset++] = this.touching.get(colliderA)?.has(colliderB) ? 1 : 0;
+      data[offset++] = manifold.points.length;
+      for (const point of manifold.points) {
+        offset = saveVector(point.point, data, offset);
+        data[offset++] = point.depth;
+        offset = saveVector(point.localPointA, data, offset);
+        offset = saveVector(point.localPointB, data, offset);
+        data[offset++] = point.normalImpulse;
+        data[offset++] = point.tangentImpulse1;
+        data[offset++] = point.tangentImpulse2;
+      }
+    }
+
+    const triggerOverlaps: Collider[] = [];
+    for (const [colliderA, others] of this.triggerOverlaps) {
+      for (const colliderB of others) {
+        triggerOverlaps.push(colliderA, colliderB);
+      }
+    }
+
+    return {
+      bodies: this.rigidbodies.slice(),
+      colliders: this.colliders.slice(),
+      joints: this.joints.slice(),
+      springs: this.springs.slice(),
+      vehicles: this.vehicles.slice(),
+      contactColliders,
+      triggerOverlaps,
+      data
+    };
+  }
+
+  /**
+   * Put the world back to a state captured with saveState(). Bodies, colliders, joints,
+   * springs and vehicles added since are removed and the ones removed since (including
+   * broken joints) come back. Events queued by the last step are dropped.
+   */
+  restoreState(snapshot: WorldSnapshot): void {
     for (const collider of this.colliders) {
-      const aabb = collider.getAABB();
-      const distance = this.raycastAABB(origin, normalizedDirection, aabb);
-      
-      if (distance !== null && distance < closestDistance) {
-        closestDistance = distance;
-        closestBody = collider.rigidbody;
+      this.broadPhase.remove(collider);
+    }
+
+    this.colliders = snapshot.colliders.slice();
+    this.rigidbodies = snapshot.bodies.slice();
+    this.springs = snapshot.springs.slice();
+    this.vehicles = snapshot.vehicles.slice();
+    this.joints = snapshot.joints.slice();
+    this.bodyJoints = new Map();
+    for (const joint of this.joints) {
+      joint.isBroken = false;
+      for (const rigidbody of [joint.bodyA, joint.bodyB]) {
+        this.bodyJoints.set(rigidbody, [...(this.bodyJoints.get(rigidbody) ?? []), joint]);
       }
     }
-    
-    return closestBody;
+
+    const data = snapshot.data;
+    this.accumulator = data[0];
+    this.nextBodyId = data[1];
+    this.nextColliderId = data[2];
+    let offset = 3;
+    for (const rigidbody of this.rigidbodies) {
+      offset = restoreBody(rigidbody, data, offset);
+    }
+    for (const joint of this.joints) {
+      offset = joint.restoreImpulses(data, offset);
+    }
+    for (const vehicle of this.vehicles) {
+      offset = restoreVehicle(vehicle, data, offset);
+    }
+
+    // Insert the colliders at their restored poses. The broad phase doesn't refit sleeping
+    // bodies, so leaves kept from the current pose could stay stale indefinitely.
+    for (const collider of this.colliders) {
+      this.broadPhase.add(collider);
+    }
+
+    this.manifolds = new Map();
+    this.touching = new Map();
+    this.collisions = [];
+    const contacts = snapshot.contactColliders;
+    for (let i = 0; i < contacts.length; i += 4) {
+      const colliderA = contacts[i] as Collider;
+      const colliderB = contacts[i + 1] as Collider;
+      const manifold = createManifold(colliderA, colliderB, contacts[i + 2], contacts[i + 3], readVector(data, offset));
+      manifold.relativeSpeed = data[offset + 3];
+      const touching = data[offset + 4] === 1;
+      const pointCount = data[offset + 5];
+      offset += MANIFOLD_HEADER;
+
+      for (let j = 0; j < pointCount; j++) {
+        manifold.points.push({
+          point: readVector(data, offset),
+          depth: data[offset + 3],
+          localPointA: readVector(data, offset + 4),
+          localPointB: readVector(data, offset + 7),
+          normalImpulse: data[offset + 10],
+          tangentImpulse1: data[offset + 11],
+          tangentImpulse2: data[offset + 12],
+          normalMass: 0,
+          tangentMass1: 0,
+          tangentMass2: 0,
+          velocityBias: 0
+        });
+        offset += POINT_STRIDE;
+      }
+      this.restoreManifold(colliderA, colliderB, manifold, touching);
+    }
+
+    this.triggerOverlaps = new Map();
+    for (let i = 0; i < snapshot.triggerOverlaps.length; i += 2) {
+      addOverlap(this.triggerOverlaps, snapshot.triggerOverlaps[i], snapshot.triggerOverlaps[i + 1]);
+    }
+
+    this.pairs = [];
+    this.pendingEvents = [];
   }
 
   /**
-   * Helper method for AABB raycast
+   * Add a restored manifold, and remember it as touching so the next step reports
+   * collisionPersist rather than collisionBegin
    */
-  private raycastAABB(origin: Vector3D, direction: Vector3D, aabb: AABB): number | null {
-    const invDir = new Vector3D(1 / direction.x, 1 / direction.y, 1 / direction.z);
-    
-    const t1 = (aabb.min.x - origin.x) * invDir.x;
-    const t2 = (aabb.max.x - origin.x) * invDir.x;
-    const t3 = (aabb.min.y - origin.y) * invDir.y;
-    const t4 = (aabb.max.y - origin.y) * invDir.y;
-    const t5 = (aabb.min.z - origin.z) * invDir.z;
-    const t6 = (aabb.max.z - origin.z) * invDir.z;
-    
-    const tmin = Math.max(Math.max(Math.min(t1, t2), Math.min(t3, t4)), Math.min(t5, t6));
-    const tmax = Math.min(Math.min(Math.max(t1, t2), Math.max(t3, t4)), Math.max(t5, t6));
-    
-    if (tmax < 0 || tmin > tmax) {
-      return null;
+  private restoreManifold(colliderA: Collider, colliderB: Collider, manifold: ContactManifold, touching: boolean): void {
+    this.addManifold(this.manifolds, colliderA, colliderB, manifold);
+    if (touching) {
+      if (!this.touching.has(colliderA)) {
+        this.touching.set(colliderA, new Map());
+      }
+      (this.touching.get(colliderA) as Map<Collider, CollisionEvent>).set(colliderB, manifold.toCollisionEvent());
     }
-    
-    return tmin > 0 ? tmin : tmax;
+  }
+
+  /**
+   * Save the bodies, colliders, settings and contact caches as plain JSON data.
+   * Loading it with PhysicsWorld.fromJSON() continues the simulation exactly where this
+   * world is. Joints, springs, vehicles, event listeners and a custom broad phase are
+   * not saved.
+   */
+  toJSON(): WorldData {
+    const bodyIndices = new Map(this.rigidbodies.map((rigidbody, index) => [rigidbody, index]));
+    const colliderIndices = new Map(this.colliders.map((collider, index) => [collider, index]));
+
+    const contacts: ContactData[] = [];
+    for (const [colliderA, byCollider] of this.manifolds) {
+      for (const [colliderB, manifold] of byCollider) {
+        contacts.push({
+          colliders: [colliderIndices.get(colliderA) as number, colliderIndices.get(colliderB) as number],
+          children: [getChildIndex(colliderA, manifold.colliderA), getChildIndex(colliderB, manifold.colliderB)],
+          normal: manifold.normal.toArray(),
+          relativeSpeed: manifold.relativeSpeed,
+          touching: this.touching.get(colliderA)?.has(colliderB) ?? false,
+          points: manifold.points.map(point => ({
+            point: point.point.toArray(),
+            depth: point.depth,
+            localPointA: point.localPointA.toArray(),
+            localPointB: point.localPointB.toArray(),
+            normalImpulse: point.normalImpulse,
+            tangentImpulse1: point.tangentImpulse1,
+            tangentImpulse2: point.tangentImpulse2
+          }))
+        });
+      }
+    }
+
+    const ignoredPairs: [number, number][] = [];
+    for (const [bodyA, others] of this.ignoredPairs) {
+      for (const bodyB of others) {
+        const indexA = bodyIndices.get(bodyA);
+        const indexB = bodyIndices.get(bodyB);
+        // Stored both ways, so keep one direction
+        if (indexA !== undefined && indexB !== undefined && indexA < indexB) {
+          ignoredPairs.push([indexA, indexB]);
+        }
+      }
+    }
+
+    const triggerOverlaps: [number, number][] = [];
+    for (const [colliderA, others] of this.triggerOverlaps) {
+      for (const colliderB of others) {
+        triggerOverlaps.push([colliderIndices.get(colliderA) as number, colliderIndices.get(colliderB) as number]);
+      }
+    }
+
+    return {
+      version: WORLD_DATA_VERSION,
+      gravity: this.gravity.toArray(),
+      timeStep: this.timeStep,
+      maxSubSteps: this.maxSubSteps,
+      collisionIterations: this.collisionIterations,
+      positionIterations: this.positionIterations,
+      accumulator: this.accumulator,
+      sleepingEnabled: this.sleepingEnabled,
+      sleepLinearThreshold: this.sleepLinearThreshold,
+      sleepAngularThreshold: this.sleepAngularThreshold,
+      timeToSleep: this.timeToSleep,
+      deterministic: this.deterministic,
+      nextBodyId: this.nextBodyId,
+      nextColliderId: this.nextColliderId,
+      bodies: this.rigidbodies.map(serializeRigidBody),
+      colliders: this.colliders.map(collider => serializeCollider(collider, bodyIndices)),
+      ignoredPairs,
+      triggerOverlaps,
+      contacts
+    };
+  }
+
+  /**
+   * Build a world from data saved with toJSON(). The data is checked first and an
+   * Error naming the first invalid field is thrown if it doesn't fit.
+   */
+  static fromJSON(data: unknown): PhysicsWorld {
+    const worldData = validateWorldData(data);
+    const world = new PhysicsWorld();
+
+    world.gravity = vectorFromArray(worldData.gravity);
+    world.timeStep = worldData.timeStep;
+    world.maxSubSteps = worldData.maxSubSteps;
+    world.collisionIterations = worldData.collisionIterations;
+    world.positionIterations = worldData.positionIterations;
+    world.accumulator = worldData.accumulator;
+    world.sleepingEnabled = worldData.sleepingEnabled;
+    world.sleepLinearThreshold = worldData.sleepLinearThreshold;
+    world.sleepAngularThreshold = worldData.sleepAngularThreshold;
+    world.timeToSleep = worldData.timeToSleep;
+    world.deterministic = worldData.deterministic;
+
+    // Restore the bodies before creating their colliders (mesh colliders check that
+    // their body is static), then again afterwards since colliders recompute the inertia
+    // and compounds move the body to their center of mass. The colliders go into the
+    // broad phase last, at the restored poses.
+    const bodies = worldData.bodies.map(bodyData => restoreRigidBody(new RigidBody(), bodyData));
+    for (const rigidbody of bodies) {
+      world.addRigidBody(rigidbody);
+    }
+    const colliders = worldData.colliders.map(colliderData => deserializeCollider(colliderData, bodies));
+    worldData.bodies.forEach((bodyData, index) => restoreRigidBody(bodies[index], bodyData));
+    for (const collider of colliders) {
+      world.addCollider(collider);
+    }
+    world.nextBodyId = worldData.nextBodyId;
+    world.nextColliderId = worldData.nextColliderId;
+
+    for (const [indexA, indexB] of worldData.ignoredPairs) {
+      world.ignoreCollision(bodies[indexA], bodies[indexB]);
+    }
+    for (const [indexA, indexB] of worldData.triggerOverlaps) {
+      addOverlap(world.triggerOverlaps, colliders[indexA], colliders[indexB]);
+    }
+
+    for (const contact of worldData.contacts) {
+      const colliderA = colliders[contact.colliders[0]];
+      const colliderB = colliders[contact.colliders[1]];
+      const manifold = createManifold(
+        colliderA,
+        colliderB,
+        getChild(colliderA, contact.children[0]),
+        getChild(colliderB, contact.children[1]),
+        vectorFromArray(contact.normal)
+      );
+      manifold.relativeSpeed = contact.relativeSpeed;
+      manifold.points = contact.points.map(point => ({
+        point: vectorFromArray(point.point),
+        depth: point.depth,
+        localPointA: vectorFromArray(point.localPointA),
+        localPointB: vectorFromArray(point.localPointB),
+        normalImpulse: point.normalImpulse,
+        tangentImpulse1: point.tangentImpulse1,
+        tangentImpulse2: point.tangentImpulse2,
+        normalMass: 0,
+        tangentMass1: 0,
+        tangentMass2: 0,
+        velocityBias: 0
+      }));
+
+      world.restoreManifold(colliderA, colliderB, manifold, contact.touching);
+    }
+
+    return world;
   }
 
   /**
@@ -375,6 +1656,18 @@ export class PhysicsWorld {
     this.rigidbodies = [];
     this.colliders = [];
     this.collisions = [];
+    this.joints = [];
+    this.springs = [];
+    this.vehicles = [];
+    this.bodyJoints = new Map();
+    this.pairs = [];
+    this.manifolds = new Map();
+    this.triggerOverlaps = new Map();
+    this.touching = new Map();
+    this.pendingEvents = [];
+    this.nextBodyId = 0;
+    this.nextColliderId = 0;
+    this.broadPhase.clear();
   }
 
   /**
@@ -382,32 +1675,155 @@ export class PhysicsWorld {
    */
   configureDenseScene(enable: boolean): void {
     if (enable) {
-      this.collisionIterations = 12; // More iterations for better stability
+      this.collisionIterations = 16; // More iterations for better stability
+      this.positionIterations = 4;
       this.timeStep = 1 / 120; // Smaller timestep for more precision
       this.maxSubSteps = 8; // More substeps
     } else {
-      this.collisionIterations = 8; // Default
+      this.collisionIterations = 10; // Default
+      this.positionIterations = 3;
       this.timeStep = 1 / 60; // Default
       this.maxSubSteps = 5; // Default
     }
   }
 
-  /**
-   * Set maximum objects limit to prevent performance issues
-   */
-  setMaxObjects(limit: number): void {
-    this.maxObjectsPerFrame = Math.max(10, limit);
-  }
-
   /**
    * Get current object count and performance info
    */
-  getPerformanceInfo(): { objectCount: number; collisionCount: number; maxObjects: number; iterations: number } {
+  getPerformanceInfo(): {
+    objectCount: number;
+    pairCount: number;
+    collisionCount: number;
+    iterations: number;
+    sleepingCount: number;
+    awakeCount: number;
+    islandCount: number;
+  } {
+    const dynamicBodies = this.rigidbodies.filter(isDynamic);
+    const sleepingCount = dynamicBodies.filter(rigidbody => rigidbody.isSleeping).length;
     return {
       objectCount: this.colliders.length,
+      pairCount: this.pairs.length,
       collisionCount: this.collisions.length,
-      maxObjects: this.maxObjectsPerFrame,
-      iterations: this.collisionIterations
+      iterations: this.collisionIterations,
+      sleepingCount,
+      awakeCount: dynamicBodies.length - sleepingCount,
+      islandCount: this.islandCount
     };
   }
 }
+
+function compareIds(a: { id: number }, b: { id: number }): number {
+  return a.id - b.id;
+}
+
+/**
+ * Order joints and springs by their bodies' ids (a world-anchored spring has no body B)
+ */
+function compareConnections(
+  a: { bodyA: RigidBody; bodyB: RigidBody | null },
+  b: { bodyA: RigidBody; bodyB: RigidBody | null }
+): number {
+  return a.bodyA.id - b.bodyA.id || (a.bodyB?.id ?? -1) - (b.bodyB?.id ?? -1);
+}
+
+/**
+ * Insert into a sorted list after any equal items (binary search)
+ */
+function insertOrdered<T>(items: T[], item: T, compare: (a: T, b: T) => number): void {
+  let low = 0;
+  let high = items.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (compare(items[middle], item) <= 0) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  items.splice(low, 0, item);
+}
+
+function isDynamic(rigidbody: RigidBody): boolean {
+  return !rigidbody.isStatic && !rigidbody.isKinematic;
+}
+
+function isAwake(rigidbody: RigidBody): boolean {
+  return !rigidbody.isStatic && !rigidbody.isSleeping;
+}
+
+function isAwakeDynamic(rigidbody: RigidBody): boolean {
+  return isDynamic(rigidbody) && !rigidbody.isSleeping;
+}
+
+/**
+ * Wake a sleeping body touched by an awake dynamic body or by a moving kinematic one
+ */
+function wakeOnContact(rigidbody: RigidBody, other: RigidBody, speedThreshold: number): void {
+  if (!rigidbody.isSleeping) return;
+
+  const moving = other.velocity.magnitude() > speedThreshold || other.angularVelocity.magnitude() > speedThreshold;
+  if (isAwakeDynamic(other) || (other.isKinematic && moving)) {
+    rigidbody.wakeUp();
+  }
+}
+
+/**
+ * Bounds covering a box moved along a motion
+ */
+function sweepBounds(bounds: AABB, motion: Vector3D): AABB {
+  return new AABB(
+    bounds.min.add(new Vector3D(Math.min(motion.x, 0), Math.min(motion.y, 0), Math.min(motion.z, 0))),
+    bounds.max.add(new Vector3D(Math.max(motion.x, 0), Math.max(motion.y, 0), Math.max(motion.z, 0)))
+  );
+}
+
+function getPenetration(colliderA: Collider, colliderB: Collider): number {
+  const collision = colliderA.checkCollision(colliderB);
+  return collision ? Math.max(collision.penetrationDepth, 0) : 0;
+}
+
+/**
+ * Empty manifold for a pair, to be filled with saved points
+ */
+function createManifold(
+  colliderA: Collider,
+  colliderB: Collider,
+  hitA: Collider | undefined,
+  hitB: Collider | undefined,
+  normal: Vector3D
+): ContactManifold {
+  return new ContactManifold({
+    bodyA: colliderA.rigidbody,
+    bodyB: colliderB.rigidbody,
+    colliderA: hitA,
+    colliderB: hitB,
+    contactPoint: Vector3D.zero(),
+    contactNormal: normal,
+    penetrationDepth: 0,
+    contacts: []
+  });
+}
+
+/**
+ * Index of the compound child a manifold refers to, or -1 for the collider itself
+ */
+function getChildIndex(collider: Collider, hit: Collider | undefined): number {
+  if (!(collider instanceof CompoundCollider) || hit === collider) return -1;
+  return collider.getChildren().findIndex(child => child.collider === hit);
+}
+
+function getChild(collider: Collider, index: number): Collider {
+  if (index === -1) return collider;
+  if (!(collider instanceof CompoundCollider) || index >= collider.getChildren().length) {
+    throw new Error(`Invalid world data: contact refers to missing compound child ${index}`);
+  }
+  return collider.getChildren()[index].collider;
+}
+
+function addOverlap(overlaps: Map<Collider, Set<Collider>>, colliderA: Collider, colliderB: Collider): void {
+  if (!overlaps.has(colliderA)) {
+    overlaps.set(colliderA, new Set());
+  }
+  (overlaps.get(colliderA) as Set<Collider>).add(colliderB);
+}
@@ -0,0 +1,341 @@
+import { Vector3D, Quaternion } from '../math/index.js';
+import { RigidBody } from './RigidBody.js';
+import { PhysicsWorld } from './PhysicsWorld.js';
+import { getInverseEffectiveMass } from './ContactManifold.js';
+
+const FORWARD_SLIP_FACTOR = 0.5; // Weight of the forward impulse in the friction circle
+const FREE_SPIN_DECAY = 0.99; // Spin kept per step by a wheel in the air
+
+/**
+ * Settings of a wheel. Points and directions are in the chassis' local space.
+ */
+export interface WheelOptions {
+  connectionPoint: Vector3D; // Top of the suspension
+  radius?: number;
+  suspensionRestLength?: number;
+  suspensionStiffness?: number; // Spring force per unit of compression
+  suspensionDamping?: number; // Damper force per unit of compression speed
+  maxSuspensionForce?: number;
+  frictionSlip?: number; // Grip: tire impulse allowed per unit of suspension impulse
+  rollInfluence?: number; // 0 applies side forces at the chassis' height (no body roll), 1 at the ground
+  isFrontWheel?: boolean; // Informational, for steering and drive setups
+}
+
+/**
+ * One wheel of a RaycastVehicle: its settings, inputs and the state of the last step
+ */
+export class Wheel {
+  public connectionPoint: Vector3D;
+  public radius: number;
+  public suspensionRestLength: number;
+  public suspensionStiffness: number;
+  public suspensionDamping: number;
+  public maxSuspensionForce: number;
+  public frictionSlip: number;
+  public rollInfluence: number;
+  public isFrontWheel: boolean;
+
+  // Inputs
+  public steering: number; // Radians around the vehicle's up axis
+  public engineForce: number;
+  public brakeForce: number;
+
+  // State after the last step
+  public isInContact: boolean;
+  public contactPoint: Vector3D;
+  public contactNormal: Vector3D;
+  public contactBody: RigidBody | null;
+  public suspensionLength: number;
+  public suspensionForce: number;
+  public skid: number; // 1 while gripping, less while sliding
+  public rotation: number; // Spin angle around the axle, for rendering
+  public spinSpeed: number; // Radians per second
+
+  constructor(options: WheelOptions) {
+    this.connectionPoint = options.connectionPoint.clone();
+    this.radius = options.radius ?? 0.4;
+    this.suspensionRestLength = options.suspensionRestLength ?? 0.3;
+    this.suspensionStiffness = options.suspensionStiffness ?? 20000;
+    this.suspensionDamping = options.suspensionDamping ?? 2000;
+    this.maxSuspensionForce = options.maxSuspensionForce ?? 50000;
+    this.frictionSlip = options.frictionSlip ?? 1.5;
+    this.rollInfluence = options.rollInfluence ?? 0.1;
+    this.isFrontWheel = options.isFrontWheel ?? false;
+
+    this.steering = 0;
+    this.engineForce = 0;
+    this.brakeForce = 0;
+
+    this.isInContact = false;
+    this.contactPoint = Vector3D.zero();
+    this.contactNormal = Vector3D.zero();
+    this.contactBody = null;
+    this.suspensionLength = this.suspensionRestLength;
+    this.suspensionForce = 0;
+    this.skid = 1;
+    this.rotation = 0;
+    this.spinSpeed = 0;
+  }
+
+  /**
+   * How far the suspension is pushed in from its rest length
+   */
+  getCompression(): number {
+    return this.suspensionRestLength - this.suspensionLength;
+  }
+}
+
+/**
+ * Wheel pose in world space, for rendering
+ */
+export interface WheelTransform {
+  position: Vector3D;
+  rotation: Quaternion;
+}
+
+/**
+ * Vehicle whose wheels are rays cast down from a chassis RigidBody rather than bodies of
+ * their own. Each step, per wheel: the ray finds the ground, a spring and damper push
+ * the chassis up, and tire friction drives, brakes and steers it. Grip is limited to a
+ * friction circle scaled by the suspension load, so overloaded tires slide.
+ *
+ * Add it to the world with world.addVehicle(); it is updated at the start of every
+ * fixed step.
+ */
+export class RaycastVehicle {
+  public chassis: RigidBody;
+  public wheels: Wheel[];
+  public localUp: Vector3D; // Chassis axes in its local space
+  public localForward: Vector3D;
+  public localRight: Vector3D; // Wheel axles point this way
+  public raycastMask: number; // Layers the wheels can stand on
+
+  constructor(
+    chassis: RigidBody,
+    localUp: Vector3D = new Vector3D(0, 1, 0),
+    localForward: Vector3D = new Vector3D(0, 0, 1)
+  ) {
+    this.chassis = chassis;
+    this.wheels = [];
+    this.localUp = localUp.normalize();
+    this.localForward = localForward.normalize();
+    this.localRight = this.localUp.cross(this.localForward);
+    this.raycastMask = 0xFFFFFFFF;
+  }
+
+  /**
+   * Add a wheel
+   */
+  addWheel(options: WheelOptions): Wheel {
+    const wheel = new Wheel(options);
+    this.wheels.push(wheel);
+    return wheel;
+  }
+
+  /**
+   * Set the steering angle of a wheel
+   */
+  setSteering(wheelIndex: number, angle: number): void {
+    this.getWheel(wheelIndex).steering = angle;
+  }
+
+  /**
+   * Set the drive force of a wheel (negative reverses)
+   */
+  applyEngineForce(wheelIndex: number, force: number): void {
+    this.getWheel(wheelIndex).engineForce = force;
+    if (force !== 0) {
+      this.chassis.wakeUp();
+    }
+  }
+
+  /**
+   * Set the brake force of a wheel
+   */
+  setBrake(wheelIndex: number, force: number): void {
+    this.getWheel(wheelIndex).brakeForce = force;
+  }
+
+  /**
+   * Get the chassis speed along its forward axis
+   */
+  getForwardSpeed(): number {
+    return this.chassis.velocity.dot(this.chassis.rotation.rotateVector(this.localForward));
+  }
+
+  /**
+   * Get a wheel's pose in world space: at the end of its suspension, steered and spun
+   */
+  getWheelTransform(wheelIndex: number): WheelTransform {
+    const wheel = this.getWheel(wheelIndex);
+    const rotation = this.chassis.rotation;
+    const down = rotation.rotateVector(this.localUp).multiply(-1);
+    const position = this.chassis.position
+      .add(rotation.rotateVector(wheel.connectionPoint))
+      .add(down.multiply(wheel.suspensionLength));
+
+    const steer = Quaternion.fromAxisAngle(this.localUp, wheel.steering);
+    const spin = Quaternion.fromAxisAngle(this.localRight, wheel.rotation);
+    return { position, rotation: rotation.multiply(steer).multiply(spin).normalize() };
+  }
+
+  /**
+   * Cast the wheels and apply suspension and tire impulses (called by PhysicsWorld)
+   */
+  update(world: PhysicsWorld, deltaTime: number): void {
+    const driving = this.wheels.some(wheel => wheel.engineForce !== 0);
+    if (this.chassis.isStatic || (this.chassis.isSleeping && !driving)) return;
+
+    for (const wheel of this.wheels) {
+      this.castWheel(world, wheel);
+    }
+
+    for (const wheel of this.wheels) {
+      this.applySuspension(wheel, deltaTime);
+    }
+
+    for (const wheel of this.wheels) {
+      this.applyFriction(wheel, deltaTime);
+    }
+  }
+
+  /**
+   * Find the ground under a wheel and the resulting suspension length
+   */
+  private castWheel(world: PhysicsWorld, wheel: Wheel): void {
+    const rotation = this.chassis.rotation;
+    const origin = this.chassis.position.add(rotation.rotateVector(wheel.connectionPoint));
+    const down = rotation.rotateVector(this.localUp).multiply(-1);
+    const reach = wheel.suspensionRestLength + wheel.radius;
+
+    const hit = world.raycast(origin, down, reach, {
+      mask: this.raycastMask,
+      ignoreTriggers: true,
+      filter: collider => collider.rigidbody !== this.chassis
+    });
+
+    wheel.isInContact = hit !== null;
+    if (hit === null) {
+      wheel.suspensionLength = wheel.suspensionRestLength;
+      wheel.contactBody = null;
+      wheel.contactNormal = down.multiply(-1);
+      wheel.contactPoint = origin.add(down.multiply(reach));
+      return;
+    }
+
+    wheel.suspensionLength = Math.max(hit.distance - wheel.radius, 0);
+    wheel.contactBody = hit.body;
+    wheel.contactNormal = hit.normal;
+    wheel.contactPoint = hit.point;
+  }
+
+  /**
+   * Spring and damper along the contact normal
+   */
+  private applySuspension(wheel: Wheel, deltaTime: number): void {
+    wheel.suspensionForce = 0;
+    if (!wheel.isInContact) return;
+
+    // Seen along the ray, a tilted ground normal makes the suspension look softer
+    const down = this.chassis.rotation.rotateVector(this.localUp).multiply(-1);
+    const facing = -wheel.contactNormal.dot(down);
+    if (facing < 0.1) return;
+
+    const relativeVelocity = this.getRelativeVelocity(wheel, wheel.contactPoint);
+    const compressionSpeed = -wheel.contactNormal.dot(relativeVelocity) / facing;
+
+    const force = wheel.suspensionStiffness * wheel.getCompression() / facing +
+      wheel.suspensionDamping * compressionSpeed;
+    wheel.suspensionForce = Math.min(Math.max(force, 0), wheel.maxSuspensionForce);
+
+    this.applyImpulsePair(wheel, wheel.contactNormal.multiply(wheel.suspensionForce * deltaTime), wheel.contactPoint);
+  }
+
+  /**
+   * Tire impulses: sideways grip, drive or rolling brake forward, limited together by
+   * the friction circle
+   */
+  private applyFriction(wheel: Wheel, deltaTime: number): void {
+    const rotation = this.chassis.rotation;
+    const axle = rotation.rotateVector(Quaternion.fromAxisAngle(this.localUp, wheel.steering).rotateVector(this.localRight));
+
+    if (!wheel.isInContact) {
+      wheel.skid = 1;
+      wheel.spinSpeed *= FREE_SPIN_DECAY;
+      wheel.rotation += wheel.spinSpeed * deltaTime;
+      return;
+    }
+
+    const normal = wheel.contactNormal;
+    const side = axle.subtract(normal.multiply(axle.dot(normal))).normalize();
+    const forward = side.cross(normal);
+
+    // Sideways: stop all sliding at the contact
+    const sideMass = this.getEffectiveMass(wheel, wheel.contactPoint, side);
+    let sideImpulse = -side.dot(this.getRelativeVelocity(wheel, wheel.contactPoint)) * sideMass;
+
+    // Forward: the engine pushes, otherwise the brake holds back up to its force
+    let forwardImpulse: number;
+    const forwardSpeed = forward.dot(this.getRelativeVelocity(wheel, wheel.contactPoint));
+    if (wheel.engineForce !== 0) {
+      forwardImpulse = wheel.engineForce * deltaTime;
+    } else {
+      const maxImpulse = wheel.brakeForce * deltaTime;
+      const stopImpulse = -forwardSpeed * this.getEffectiveMass(wheel, wheel.contactPoint, forward);
+      forwardImpulse = Math.max(-maxImpulse, Math.min(stopImpulse, maxImpulse));
+    }
+
+    // Friction circle: past the grip the load allows, the tire slides
+    const maxImpulse = wheel.suspensionForce * deltaTime * wheel.frictionSlip;
+    const combined = Math.hypot(forwardImpulse * FORWARD_SLIP_FACTOR, sideImpulse);
+    wheel.skid = combined > maxImpulse ? maxImpulse / combined : 1;
+    forwardImpulse *= wheel.skid;
+    sideImpulse *= wheel.skid;
+
+    this.applyImpulsePair(wheel, forward.multiply(forwardImpulse), wheel.contactPoint);
+
+    // Side grip applied closer to the chassis' height to limit body roll
+    const up = rotation.rotateVector(this.localUp);
+    const arm = wheel.contactPoint.subtract(this.chassis.position);
+    const rollArm = arm.subtract(up.multiply(arm.dot(up) * (1 - wheel.rollInfluence)));
+    this.applyImpulsePair(wheel, side.multiply(sideImpulse), this.chassis.position.add(rollArm));
+
+    // Roll with the ground
+    wheel.spinSpeed = forwardSpeed / wheel.radius;
+    wheel.rotation += wheel.spinSpeed * deltaTime;
+  }
+
+  /**
+   * Velocity of the chassis relative to the ground body at a point
+   */
+  private getRelativeVelocity(wheel: Wheel, point: Vector3D): Vector3D {
+    const chassisVelocity = this.chassis.getVelocityAtPoint(point);
+    return wheel.contactBody ? chassisVelocity.subtract(wheel.contactBody.getVelocityAtPoint(point)) : chassisVelocity;
+  }
+
+  /**
+   * Mass the chassis and ground body show together to an impulse at a point
+   */
+  private getEffectiveMass(wheel: Wheel, point: Vector3D, direction: Vector3D): number {
+    const inverseMass = wheel.contactBody ? getInverseEffectiveMass(this.chassis, wheel.contactBody, point, direction) : 0;
+    return inverseMass > 0 ? 1 / inverseMass : 0;
+  }
+
+  /**
+   * Push the chassis and the opposite way on the ground body
+   */
+  private applyImpulsePair(wheel: Wheel, impulse: Vector3D, point: Vector3D): void {
+    this.chassis.applyImpulse(impulse, point);
+    if (wheel.contactBody && wheel.contactBody.inverseMass > 0) {
+      wheel.contactBody.applyImpulse(impulse.multiply(-1), point);
+    }
+  }
+
+  private getWheel(wheelIndex: number): Wheel {
+    const wheel = this.wheels[wheelIndex];
+    if (!wheel) {
+      throw new Error(`No wheel at index ${wheelIndex}`);
+    }
+    return wheel;
+  }
+}
@@ -1,9 +1,28 @@
-import { Vector3D, Quaternion } from '../math/index.js';
+import { Vector3D, Quaternion, Matrix3 } from '../math/index.js';
+import { CollisionEvent } from './Collision.js';
+import { EventEmitter, EventListener } from './EventEmitter.js';
+
+/**
+ * Anything that can derive a local inertia tensor from a mass (usually a collider)
+ */
+export interface InertiaSource {
+  computeInertiaTensor(mass: number): Matrix3;
+}
+
+/**
+ * Events emitted by a RigidBody for the contacts it takes part in
+ */
+export interface RigidBodyEvents {
+  collisionBegin: CollisionEvent; // First step in contact
+  collisionPersist: CollisionEvent; // Every later step while in contact
+  collisionEnd: CollisionEvent; // First step apart
+}
 
 /**
  * RigidBody represents a physical object with mass, position, and velocity
  */
 export class RigidBody {
+  public id: number; // Stable identifier, assigned by the world when the body is added (-1 until then)
   public position: Vector3D;
   public velocity: Vector3D;
   public acceleration: Vector3D;
@@ -17,15 +36,26 @@ export class RigidBody {
   public friction: number;
   public drag: number; // Air resistance
   public angularDrag: number;
+
+  public inertiaTensor: Matrix3; // Local space, about the center of mass
+  public inverseInertiaTensor: Matrix3;
   
   public isStatic: boolean;
   public isKinematic: boolean;
   public useGravity: boolean;
+  public isSleeping: boolean; // Sleeping bodies are not simulated until something wakes them
+  public allowSleep: boolean;
+  public sleepTime: number; // Seconds spent below the world's sleep thresholds
+  public ccd: boolean; // Sweep fast motion against other colliders so the body can't tunnel
   
   private forces: Vector3D[];
   private torques: Vector3D[];
+  private inertiaSource: InertiaSource | null;
+  private hasCustomInertia: boolean;
+  private events: EventEmitter<RigidBodyEvents>;
 
   constructor(mass: number = 1, position: Vector3D = Vector3D.zero()) {
+    this.id = -1;
     this.position = position.clone();
     this.velocity = Vector3D.zero();
     this.acceleration = Vector3D.zero();
@@ -39,13 +69,24 @@ export class RigidBody {
     this.friction = 0.5;
     this.drag = 0.01;
     this.angularDrag = 0.05;
+
+    this.inertiaSource = null;
+    this.hasCustomInertia = false;
+    this.inertiaTensor = Matrix3.identity();
+    this.inverseInertiaTensor = Matrix3.identity();
+    this.updateInertiaTensor();
     
     this.isStatic = false;
     this.isKinematic = false;
     this.useGravity = true;
+    this.isSleeping = false;
+    this.allowSleep = true;
+    this.sleepTime = 0;
+    this.ccd = false;
     
     this.forces = [];
     this.torques = [];
+    this.events = new EventEmitter();
   }
 
   /**
@@ -53,6 +94,7 @@ export class RigidBody {
    */
   addForce(force: Vector3D): void {
     if (this.isStatic) return;
+    this.wakeUp();
     this.forces.push(force);
   }
 
@@ -69,11 +111,93 @@ export class RigidBody {
     this.addTorque(torque);
   }
 
+  /**
+   * Apply an instantaneous impulse, optionally at a world-space point (also changes spin)
+   */
+  applyImpulse(impulse: Vector3D, point?: Vector3D): void {
+    if (this.inverseMass === 0) return;
+    this.wakeUp();
+    this.velocity = this.velocity.add(impulse.multiply(this.inverseMass));
+
+    if (point) {
+      const r = point.subtract(this.position);
+      const angularImpulse = this.getInverseInertiaTensorWorld().multiplyVector(r.cross(impulse));
+      this.angularVelocity = this.angularVelocity.add(angularImpulse);
+    }
+  }
+
+  /**
+   * Move and rotate the body as if an impulse acted on it for one unit of time,
+   * without changing its velocity (used for position correction)
+   */
+  applyPositionImpulse(impulse: Vector3D, point: Vector3D): void {
+    if (this.inverseMass === 0) return;
+    const r = point.subtract(this.position);
+    this.position = this.position.add(impulse.multiply(this.inverseMass));
+    this.rotateBy(this.getInverseInertiaTensorWorld().multiplyVector(r.cross(impulse)));
+  }
+
+  /**
+   * Apply an instantaneous angular impulse (changes spin only)
+   */
+  applyAngularImpulse(angularImpulse: Vector3D): void {
+    if (this.inverseMass === 0) return;
+    this.wakeUp();
+    this.angularVelocity = this.angularVelocity.add(this.getInverseInertiaTensorWorld().multiplyVector(angularImpulse));
+  }
+
+  /**
+   * Rotate the body as if an angular impulse acted on it for one unit of time, without
+   * changing its spin (used for position correction)
+   */
+  applyAngularPositionImpulse(angularImpulse: Vector3D): void {
+    if (this.inverseMass === 0) return;
+    this.rotateBy(this.getInverseInertiaTensorWorld().multiplyVector(angularImpulse));
+  }
+
+  /**
+   * Get the velocity of a world-space point attached to the body
+   */
+  getVelocityAtPoint(point: Vector3D): Vector3D {
+    return this.velocity.add(this.angularVelocity.cross(point.subtract(this.position)));
+  }
+
+  /**
+   * Get the sum of the forces added since the last step
+   */
+  getNetForce(): Vector3D {
+    let netForce = Vector3D.zero();
+    for (const force of this.forces) {
+      netForce = netForce.add(force);
+    }
+    return netForce;
+  }
+
+  /**
+   * Get the sum of the torques added since the last step
+   */
+  getNetTorque(): Vector3D {
+    let netTorque = Vector3D.zero();
+    for (const torque of this.torques) {
+      netTorque = netTorque.add(torque);
+    }
+    return netTorque;
+  }
+
+  /**
+   * Drop the forces and torques added since the last step
+   */
+  clearForces(): void {
+    this.forces = [];
+    this.torques = [];
+  }
+
   /**
    * Apply a torque to the rigid body
    */
   addTorque(torque: Vector3D): void {
     if (this.isStatic) return;
+    this.wakeUp();
     this.torques.push(torque);
   }
 
@@ -86,6 +210,90 @@ export class RigidBody {
     if (mass === 0) {
       this.isStatic = true;
     }
+    this.updateInertiaTensor();
+  }
+
+  /**
+   * Set the local inertia tensor manually (disables automatic derivation from the collider)
+   */
+  setInertiaTensor(tensor: Matrix3): void {
+    this.hasCustomInertia = true;
+    this.inertiaTensor = tensor.clone();
+    this.inverseInertiaTensor = tensor.inverse();
+  }
+
+  /**
+   * Derive the inertia tensor from a shape (called by colliders)
+   */
+  setInertiaSource(source: InertiaSource): void {
+    this.inertiaSource = source;
+    this.updateInertiaTensor();
+  }
+
+  /**
+   * Whether the inertia tensor was set with setInertiaTensor() rather than derived
+   */
+  hasCustomInertiaTensor(): boolean {
+    return this.hasCustomInertia;
+  }
+
+  /**
+   * Go back to deriving the inertia tensor from the collider after setInertiaTensor()
+   */
+  resetInertiaTensor(): void {
+    this.hasCustomInertia = false;
+    this.updateInertiaTensor();
+  }
+
+  /**
+   * Recompute the inertia tensor from the current mass and shape
+   */
+  updateInertiaTensor(): void {
+    if (this.hasCustomInertia) return;
+
+    // Without a shape, treat the body as a solid sphere of radius 1
+    this.inertiaTensor = this.inertiaSource
+      ? this.inertiaSource.computeInertiaTensor(this.mass)
+      : Matrix3.identity().scale(0.4 * this.mass);
+    this.inverseInertiaTensor = this.inertiaTensor.inverse();
+  }
+
+  /**
+   * Get the inertia tensor rotated into world space
+   */
+  getInertiaTensorWorld(): Matrix3 {
+    const r = Matrix3.fromQuaternion(this.rotation);
+    return r.multiply(this.inertiaTensor).multiply(r.transpose());
+  }
+
+  /**
+   * Get the inverse inertia tensor in world space (zero for static and kinematic bodies)
+   */
+  getInverseInertiaTensorWorld(): Matrix3 {
+    if (this.inverseMass === 0) return Matrix3.zero();
+    const r = Matrix3.fromQuaternion(this.rotation);
+    return r.multiply(this.inverseInertiaTensor).multiply(r.transpose());
+  }
+
+  /**
+   * Wake the body so it is simulated again. Its island wakes with it on the next step.
+   */
+  wakeUp(): void {
+    if (!this.isSleeping) return;
+    this.isSleeping = false;
+    this.sleepTime = 0;
+  }
+
+  /**
+   * Put the body to sleep: it stops moving and is skipped by the simulation until a
+   * force, an impulse, a hit or a moving neighbor wakes it
+   */
+  sleep(): void {
+    if (this.isStatic) return;
+    this.isSleeping = true;
+    this.velocity = Vector3D.zero();
+    this.angularVelocity = Vector3D.zero();
+    this.clearForces();
   }
 
   /**
@@ -96,6 +304,7 @@ export class RigidBody {
     this.inverseMass = 0;
     this.velocity = Vector3D.zero();
     this.angularVelocity = Vector3D.zero();
+    this.wakeUp();
   }
 
   /**
@@ -104,6 +313,7 @@ export class RigidBody {
   makeKinematic(): void {
     this.isKinematic = true;
     this.inverseMass = 0;
+    this.wakeUp();
   }
 
   /**
@@ -113,57 +323,74 @@ export class RigidBody {
     this.isStatic = false;
     this.isKinematic = false;
     this.setMass(mass);
+    this.wakeUp();
   }
 
   /**
-   * Integrate forces and update physics (called by PhysicsWorld)
+   * Integrate forces and move the body in one go
    */
   integrate(deltaTime: number): void {
-    if (this.isStatic) return;
+    this.integrateVelocity(deltaTime);
+    this.integratePosition(deltaTime);
+  }
+
+  /**
+   * Integrate forces into the velocities (called by PhysicsWorld before solving contacts)
+   */
+  integrateVelocity(deltaTime: number): void {
+    if (this.isStatic || this.isSleeping) return;
 
     // Calculate net force
-    let netForce = Vector3D.zero();
-    for (const force of this.forces) {
-      netForce = netForce.add(force);
-    }
+    const netForce = this.getNetForce();
 
     // Calculate net torque
-    let netTorque = Vector3D.zero();
-    for (const torque of this.torques) {
-      netTorque = netTorque.add(torque);
-    }
+    const netTorque = this.getNetTorque();
 
     if (!this.isKinematic) {
-      // Apply drag
-      const dragForce = this.velocity.multiply(-this.drag * this.velocity.magnitude());
-      netForce = netForce.add(dragForce);
-
-      const angularDragTorque = this.angularVelocity.multiply(-this.angularDrag * this.angularVelocity.magnitude());
-      netTorque = netTorque.add(angularDragTorque);
-
       // Update acceleration: F = ma, so a = F/m
       this.acceleration = netForce.multiply(this.inverseMass);
-      this.angularAcceleration = netTorque.multiply(this.inverseMass); // Simplified (should use inertia tensor)
+      this.angularAcceleration = this.getInverseInertiaTensorWorld().multiplyVector(netTorque);
     }
 
     // Update velocity: v = v0 + at
     this.velocity = this.velocity.add(this.acceleration.multiply(deltaTime));
     this.angularVelocity = this.angularVelocity.add(this.angularAcceleration.multiply(deltaTime));
 
+    if (!this.isKinematic) {
+      // Quadratic drag, applied implicitly: an explicit drag force overshoots and blows up
+      // for fast or light bodies, this only ever slows them down. Angular drag is scaled by
+      // the mass rather than the inertia, so small bodies can still spin and roll freely.
+      this.velocity = this.velocity.multiply(
+        1 / (1 + this.drag * this.velocity.magnitude() * this.inverseMass * deltaTime));
+      this.angularVelocity = this.angularVelocity.multiply(
+        1 / (1 + this.angularDrag * this.angularVelocity.magnitude() * this.inverseMass * deltaTime));
+    }
+
+    // Clear forces and torques for next frame
+    this.clearForces();
+  }
+
+  /**
+   * Move the body with its current velocities (called by PhysicsWorld after solving contacts)
+   */
+  integratePosition(deltaTime: number): void {
+    if (this.isStatic || this.isSleeping) return;
+
     // Update position: p = p0 + vt
     this.position = this.position.add(this.velocity.multiply(deltaTime));
+    this.rotateBy(this.angularVelocity.multiply(deltaTime));
+  }
 
-    // Update rotation (simplified integration)
-    if (this.angularVelocity.magnitude() > 0) {
-      const angle = this.angularVelocity.magnitude() * deltaTime;
-      const axis = this.angularVelocity.normalize();
-      const deltaRotation = Quaternion.fromAxisAngle(axis, angle);
-      this.rotation = this.rotation.multiply(deltaRotation).normalize();
+  /**
+   * Rotate by a world-space rotation vector (axis times angle in radians)
+   */
+  private rotateBy(rotationVector: Vector3D): void {
+    const angle = rotationVector.magnitude();
+    if (angle > 0) {
+      // Angular velocity is in world space, so pre-multiply
+      const deltaRotation = Quaternion.fromAxisAngle(rotationVector.divide(angle), angle);
+      this.rotation = deltaRotation.multiply(this.rotation).normalize();
     }
-
-    // Clear forces and torques for next frame
-    this.forces = [];
-    this.torques = [];
   }
 
   /**
@@ -171,7 +398,7 @@ export class RigidBody {
    */
   getKineticEnergy(): number {
     const translational = 0.5 * this.mass * this.velocity.magnitudeSquared();
-    const rotational = 0.5 * this.mass * this.angularVelocity.magnitudeSquared(); // Simplified
+    const rotational = 0.5 * this.angularVelocity.dot(this.getInertiaTensorWorld().multiplyVector(this.angularVelocity));
     return translational + rotational;
   }
 
@@ -187,6 +414,7 @@ export class RigidBody {
    */
   setPosition(position: Vector3D): void {
     this.position = position.clone();
+    this.wakeUp();
   }
 
   /**
@@ -194,10 +422,32 @@ export class RigidBody {
    */
   setRotation(rotation: Quaternion): void {
     this.rotation = rotation.clone();
+    this.wakeUp();
+  }
+
+  /**
+   * Listen for collisions of this body
+   */
+  on<K extends keyof RigidBodyEvents>(type: K, listener: EventListener<RigidBodyEvents[K]>): void {
+    this.events.on(type, listener);
+  }
+
+  /**
+   * Stop listening for collisions of this body
+   */
+  off<K extends keyof RigidBodyEvents>(type: K, listener: EventListener<RigidBodyEvents[K]>): void {
+    this.events.off(type, listener);
+  }
+
+  /**
+   * Notify this body's listeners (called by PhysicsWorld)
+   */
+  emit<K extends keyof RigidBodyEvents>(type: K, event: RigidBodyEvents[K]): void {
+    this.events.emit(type, event);
   }
 
   /**
-   * Clone this rigid body
+   * Clone this rigid body (listeners are not copied)
    */
   clone(): RigidBody {
     const rb = new RigidBody(this.mass, this.position);
@@ -213,6 +463,12 @@ export class RigidBody {
     rb.isStatic = this.isStatic;
     rb.isKinematic = this.isKinematic;
     rb.useGravity = this.useGravity;
+    rb.allowSleep = this.allowSleep;
+    rb.ccd = this.ccd;
+    rb.inertiaSource = this.inertiaSource;
+    rb.hasCustomInertia = this.hasCustomInertia;
+    rb.inertiaTensor = this.inertiaTensor.clone();
+    rb.inverseInertiaTensor = this.inverseInertiaTensor.clone();
     return rb;
   }
 }
@@ -0,0 +1,559 @@
+import { Vector3D, Quaternion, Matrix3 } from '../math/index.js';
+import { RigidBody } from './RigidBody.js';
+import { Collider, BoxCollider, SphereCollider, CapsuleCollider, ConvexCollider } from './Collision.js';
+import { ConvexHullCollider } from './ConvexHullCollider.js';
+import { MeshCollider } from './MeshCollider.js';
+import { HeightfieldCollider } from './HeightfieldCollider.js';
+import { CompoundCollider } from './CompoundCollider.js';
+
+/**
+ * Version of the world data format written by PhysicsWorld.toJSON()
+ */
+export const WORLD_DATA_VERSION = 2;
+
+export type Vector3Data = [number, number, number];
+export type QuaternionData = [number, number, number, number]; // w, x, y, z
+
+/**
+ * Saved state of a rigid body
+ */
+export interface RigidBodyData {
+  id: number;
+  position: Vector3Data;
+  rotation: QuaternionData;
+  velocity: Vector3Data;
+  angularVelocity: Vector3Data;
+  acceleration: Vector3Data;
+  angularAcceleration: Vector3Data;
+  mass: number;
+  inverseMass: number;
+  restitution: number;
+  friction: number;
+  drag: number;
+  angularDrag: number;
+  inertiaTensor: number[] | null; // Only for tensors set with setInertiaTensor(), row-major
+  isStatic: boolean;
+  isKinematic: boolean;
+  useGravity: boolean;
+  isSleeping: boolean;
+  allowSleep: boolean;
+  sleepTime: number;
+  ccd: boolean;
+  force: Vector3Data; // Forces and torques added since the last step
+  torque: Vector3Data;
+}
+
+/**
+ * Saved collider: the settings every collider has, plus its shape
+ */
+export type ColliderData = {
+  id: number; // -1 for compound children
+  body: number; // Index into WorldData.bodies
+  isTrigger: boolean;
+  localPosition: Vector3Data;
+  localRotation: QuaternionData;
+  collisionCategory: number;
+  collisionMask: number;
+  collisionGroup: number;
+} & ColliderShapeData;
+
+export type ColliderShapeData =
+  | { type: 'box'; size: Vector3Data }
+  | { type: 'sphere'; radius: number }
+  | { type: 'capsule'; radius: number; halfHeight: number }
+  | { type: 'convexHull'; vertices: Vector3Data[]; faces: { indices: [number, number, number]; normal: Vector3Data; offset: number }[] }
+  | { type: 'mesh'; vertices: Vector3Data[]; indices: number[] }
+  | { type: 'heightfield'; heights: number[][]; cellSize: number; heightScale: number }
+  | { type: 'compound'; children: { collider: ColliderData; offset: Vector3Data; rotation: QuaternionData; mass: number }[] };
+
+/**
+ * Saved contact manifold, so a loaded world warm starts its solver like the original
+ */
+export interface ContactData {
+  colliders: [number, number]; // Indices into WorldData.colliders
+  children: [number, number]; // Compound child that was hit on each side, or -1
+  normal: Vector3Data;
+  relativeSpeed: number;
+  touching: boolean; // Reported as touching by the last step's events
+  points: {
+    point: Vector3Data;
+    depth: number;
+    localPointA: Vector3Data;
+    localPointB: Vector3Data;
+    normalImpulse: number;
+    tangentImpulse1: number;
+    tangentImpulse2: number;
+  }[];
+}
+
+/**
+ * Saved PhysicsWorld (see PhysicsWorld.toJSON)
+ */
+export interface WorldData {
+  version: number;
+  gravity: Vector3Data;
+  timeStep: number;
+  maxSubSteps: number;
+  collisionIterations: number;
+  positionIterations: number;
+  accumulator: number;
+  sleepingEnabled: boolean;
+  sleepLinearThreshold: number;
+  sleepAngularThreshold: number;
+  timeToSleep: number;
+  deterministic: boolean;
+  nextBodyId: number; // Next id handed out to a body added without one
+  nextColliderId: number;
+  bodies: RigidBodyData[];
+  colliders: ColliderData[];
+  ignoredPairs: [number, number][]; // Body indices
+  triggerOverlaps: [number, number][]; // Collider indices
+  contacts: ContactData[];
+}
+
+export function quaternionToArray(quaternion: Quaternion): QuaternionData {
+  return [quaternion.w, quaternion.x, quaternion.y, quaternion.z];
+}
+
+export function vectorFromArray(data: Vector3Data): Vector3D {
+  return new Vector3D(data[0], data[1], data[2]);
+}
+
+export function quaternionFromArray(data: QuaternionData): Quaternion {
+  return new Quaternion(data[0], data[1], data[2], data[3]);
+}
+
+export function serializeRigidBody(rigidbody: RigidBody): RigidBodyData {
+  return {
+    id: rigidbody.id,
+    position: rigidbody.position.toArray(),
+    rotation: quaternionToArray(rigidbody.rotation),
+    velocity: rigidbody.velocity.toArray(),
+    angularVelocity: rigidbody.angularVelocity.toArray(),
+    acceleration: rigidbody.acceleration.toArray(),
+    angularAcceleration: rigidbody.angularAcceleration.toArray(),
+    mass: rigidbody.mass,
+    inverseMass: rigidbody.inverseMass,
+    restitution: rigidbody.restitution,
+    friction: rigidbody.friction,
+    drag: rigidbody.drag,
+    angularDrag: rigidbody.angularDrag,
+    inertiaTensor: rigidbody.hasCustomInertiaTensor() ? rigidbody.inertiaTensor.elements.slice() : null,
+    isStatic: rigidbody.isStatic,
+    isKinematic: rigidbody.isKinematic,
+    useGravity: rigidbody.useGravity,
+    isSleeping: rigidbody.isSleeping,
+    allowSleep: rigidbody.allowSleep,
+    sleepTime: rigidbody.sleepTime,
+    ccd: rigidbody.ccd,
+    force: rigidbody.getNetForce().toArray(),
+    torque: rigidbody.getNetTorque().toArray()
+  };
+}
+
+/**
+ * Put saved state onto a body. Shape-derived inertia is recomputed from the body's
+ * colliders, so restore it again once they exist.
+ */
+export function restoreRigidBody(rigidbody: RigidBody, data: RigidBodyData): RigidBody {
+  rigidbody.id = data.id;
+  rigidbody.position = vectorFromArray(data.position);
+  rigidbody.rotation = quaternionFromArray(data.rotation);
+  rigidbody.velocity = vectorFromArray(data.velocity);
+  rigidbody.angularVelocity = vectorFromArray(data.angularVelocity);
+  rigidbody.acceleration = vectorFromArray(data.acceleration);
+  rigidbody.angularAcceleration = vectorFromArray(data.angularAcceleration);
+  rigidbody.restitution = data.restitution;
+  rigidbody.friction = data.friction;
+  rigidbody.drag = data.drag;
+  rigidbody.angularDrag = data.angularDrag;
+  rigidbody.isStatic = data.isStatic;
+  rigidbody.isKinematic = data.isKinematic;
+  rigidbody.useGravity = data.useGravity;
+  rigidbody.allowSleep = data.allowSleep;
+  rigidbody.ccd = data.ccd;
+
+  rigidbody.mass = data.mass;
+  if (data.inertiaTensor) {
+    rigidbody.setInertiaTensor(new Matrix3(data.inertiaTensor));
+  } else {
+    rigidbody.resetInertiaTensor();
+  }
+  rigidbody.inverseMass = data.inverseMass;
+
+  rigidbody.clearForces();
+  rigidbody.isSleeping = false;
+  const force = vectorFromArray(data.force);
+  const torque = vectorFromArray(data.torque);
+  if (force.magnitudeSquared() > 0) rigidbody.addForce(force);
+  if (torque.magnitudeSquared() > 0) rigidbody.addTorque(torque);
+  rigidbody.isSleeping = data.isSleeping;
+  rigidbody.sleepTime = data.sleepTime;
+  return rigidbody;
+}
+
+export function serializeCollider(collider: Collider, bodyIndices: Map<RigidBody, number>): ColliderData {
+  const body = bodyIndices.get(collider.rigidbody);
+  if (body === undefined) {
+    throw new Error('Cannot serialize a collider whose body is not in the world');
+  }
+
+  return {
+    id: collider.id,
+    body,
+    isTrigger: collider.isTrigger,
+    localPosition: collider.localPosition.toArray(),
+    localRotation: quaternionToArray(collider.localRotation),
+    collisionCategory: collider.collisionCategory,
+    collisionMask: collider.collisionMask,
+    collisionGroup: collider.collisionGroup,
+    ...serializeShape(collider, bodyIndices)
+  };
+}
+
+function serializeShape(collider: Collider, bodyIndices: Map<RigidBody, number>): ColliderShapeData {
+  if (collider instanceof BoxCollider) {
+    return { type: 'box', size: collider.size.toArray() };
+  }
+  if (collider instanceof SphereCollider) {
+    return { type: 'sphere', radius: collider.radius };
+  }
+  if (collider instanceof CapsuleCollider) {
+    return { type: 'capsule', radius: collider.radius, halfHeight: collider.halfHeight };
+  }
+  if (collider instanceof ConvexHullCollider) {
+    return {
+      type: 'convexHull',
+      vertices: collider.vertices.map(vertex => vertex.toArray()),
+      faces: collider.faces.map(face => ({
+        indices: [face.indices[0], face.indices[1], face.indices[2]],
+        normal: face.normal.toArray(),
+        offset: face.offset
+      }))
+    };
+  }
+  if (collider instanceof MeshCollider) {
+    return { type: 'mesh', vertices: collider.vertices.map(vertex => vertex.toArray()), indices: collider.indices.slice() };
+  }
+  if (collider instanceof HeightfieldCollider) {
+    return {
+      type: 'heightfield',
+      heights: collider.heights.map(row => row.slice()),
+      cellSize: collider.cellSize,
+      heightScale: collider.heightScale
+    };
+  }
+  if (collider instanceof CompoundCollider) {
+    return {
+      type: 'compound',
+      children: collider.getChildren().map(child => ({
+        collider: serializeCollider(child.collider, bodyIndices),
+        offset: child.offset.toArray(),
+        rotation: quaternionToArray(child.rotation),
+        mass: child.mass
+      }))
+    };
+  }
+  throw new Error(`Cannot serialize collider type ${collider.constructor.name}`);
+}
+
+export function deserializeCollider(data: ColliderData, bodies: RigidBody[]): Collider {
+  const collider = createShape(data, bodies[data.body], bodies);
+  collider.id = data.id;
+  collider.isTrigger = data.isTrigger;
+  collider.localPosition = vectorFromArray(data.localPosition);
+  collider.localRotation = quaternionFromArray(data.localRotation);
+  collider.collisionCategory = data.collisionCategory;
+  collider.collisionMask = data.collisionMask;
+  collider.collisionGroup = data.collisionGroup;
+  return collider;
+}
+
+function createShape(data: ColliderData, rigidbody: RigidBody, bodies: RigidBody[]): Collider {
+  switch (data.type) {
+    case 'box':
+      return new BoxCollider(rigidbody, vectorFromArray(data.size));
+    case 'sphere':
+      return new SphereCollider(rigidbody, data.radius);
+    case 'capsule':
+      return new CapsuleCollider(rigidbody, data.radius, data.halfHeight);
+    case 'convexHull': {
+      // Keep the saved hull as it is rather than rebuilding it, so vertex order and
+      // inertia match exactly
+      const hull = new ConvexHullCollider(rigidbody, data.vertices.map(vectorFromArray));
+      hull.vertices = data.vertices.map(vectorFromArray);
+      hull.faces = data.faces.map(face => ({
+        indices: [face.indices[0], face.indices[1], face.indices[2]],
+        normal: vectorFromArray(face.normal),
+        offset: face.offset
+      }));
+      return hull;
+    }
+    case 'mesh':
+      return new MeshCollider(rigidbody, data.vertices.map(vectorFromArray), data.indices);
+    case 'heightfield':
+      return new HeightfieldCollider(rigidbody, data.heights, data.cellSize, data.heightScale);
+    case 'compound': {
+      const compound = new CompoundCollider(rigidbody);
+      for (const child of data.children) {
+        const shape = deserializeCollider(child.collider, bodies);
+        if (!(shape instanceof ConvexCollider)) {
+          throw new Error('CompoundCollider children must be convex');
+        }
+        compound.addChild(shape, vectorFromArray(child.offset), quaternionFromArray(child.rotation), child.mass);
+      }
+      return compound;
+    }
+  }
+}
+
+/**
+ * Check that parsed JSON has the shape of WorldData, throwing an Error that names the
+ * first bad field. Version 1 data is upgraded first.
+ */
+export function validateWorldData(data: unknown): WorldData {
+  expectObject(data, 'data');
+  let world = data as Record<string, unknown>;
+  expectNumber(world.version, 'version');
+  if (world.version === 1) {
+    world = upgradeFromVersion1(world);
+  } else if (world.version !== WORLD_DATA_VERSION) {
+    throw new Error(`Unsupported world data version ${world.version} (expected ${WORLD_DATA_VERSION})`);
+  }
+
+  expectVector(world.gravity, 'gravity', 3);
+  for (const key of ['timeStep', 'maxSubSteps', 'collisionIterations', 'positionIterations', 'accumulator',
+    'sleepLinearThreshold', 'sleepAngularThreshold', 'timeToSleep']) {
+    expectNumber(world[key], key);
+  }
+  expectBoolean(world.sleepingEnabled, 'sleepingEnabled');
+  expectBoolean(world.deterministic, 'deterministic');
+  expectId(world.nextBodyId, 'nextBodyId');
+  expectId(world.nextColliderId, 'nextColliderId');
+  if ((world.timeStep as number) <= 0) {
+    throw new Error('Invalid world data: timeStep must be positive');
+  }
+
+  expectArray(world.bodies, 'bodies');
+  (world.bodies as unknown[]).forEach((body, i) => validateBody(body, `bodies[${i}]`));
+  const bodyCount = (world.bodies as unknown[]).length;
+
+  expectArray(world.colliders, 'colliders');
+  (world.colliders as unknown[]).forEach((collider, i) => validateCollider(collider, `colliders[${i}]`, bodyCount));
+  const colliderCount = (world.colliders as unknown[]).length;
+
+  expectIndexPairs(world.ignoredPairs, 'ignoredPairs', bodyCount);
+  expectIndexPairs(world.triggerOverlaps, 'triggerOverlaps', colliderCount);
+
+  expectArray(world.contacts, 'contacts');
+  (world.contacts as unknown[]).forEach((contact, i) => validateContact(contact, `contacts[${i}]`, colliderCount));
+
+  return world as unknown as WorldData;
+}
+
+/**
+ * Fill in what version 1 data, saved before ids and deterministic mode, lacks: bodies and
+ * colliders are numbered in their saved order. Malformed parts are left for validation.
+ */
+function upgradeFromVersion1(world: Record<string, unknown>): Record<string, unknown> {
+  const bodies = world.bodies;
+  const colliders = world.colliders;
+  return {
+    ...world,
+    version: WORLD_DATA_VERSION,
+    deterministic: false,
+    nextBodyId: Array.isArray(bodies) ? bodies.length : 0,
+    nextColliderId: Array.isArray(colliders) ? colliders.length : 0,
+    bodies: Array.isArray(bodies) ? bodies.map((body: unknown, id) => withId(body, id)) : bodies,
+    colliders: Array.isArray(colliders) ? colliders.map((collider: unknown, id) => withId(collider, id)) : colliders
+  };
+}
+
+/**
+ * Copy of a saved body or collider with an id (-1 for the children of a compound)
+ */
+function withId(data: unknown, id: number): unknown {
+  if (!isRecord(data)) {
+    return data;
+  }
+  const copy: Record<string, unknown> = { ...data, id };
+  if (Array.isArray(data.children)) {
+    copy.children = data.children.map((child: unknown) =>
+      isRecord(child) ? { ...child, collider: withId(child.collider, -1) } : child);
+  }
+  return copy;
+}
+
+function validateBody(data: unknown, path: string): void {
+  expectObject(data, path);
+  const body = data as Record<string, unknown>;
+  expectId(body.id, `${path}.id`);
+  for (const key of ['position', 'velocity', 'angularVelocity', 'acceleration', 'angularAcceleration', 'force', 'torque']) {
+    expectVector(body[key], `${path}.${key}`, 3);
+  }
+  expectVector(body.rotation, `${path}.rotation`, 4);
+  for (const key of ['mass', 'inverseMass', 'restitution', 'friction', 'drag', 'angularDrag', 'sleepTime']) {
+    expectNumber(body[key], `${path}.${key}`);
+  }
+  for (const key of ['isStatic', 'isKinematic', 'useGravity', 'isSleeping', 'allowSleep', 'ccd']) {
+    expectBoolean(body[key], `${path}.${key}`);
+  }
+  if (body.inertiaTensor !== null) {
+    expectVector(body.inertiaTensor, `${path}.inertiaTensor`, 9);
+  }
+}
+
+function validateCollider(data: unknown, path: string, bodyCount: number): void {
+  expectObject(data, path);
+  const collider = data as Record<string, unknown>;
+  expectId(collider.id, `${path}.id`);
+  expectIndex(collider.body, `${path}.body`, bodyCount);
+  expectBoolean(collider.isTrigger, `${path}.isTrigger`);
+  expectVector(collider.localPosition, `${path}.localPosition`, 3);
+  expectVector(collider.localRotation, `${path}.localRotation`, 4);
+  for (const key of ['collisionCategory', 'collisionMask', 'collisionGroup']) {
+    expectNumber(collider[key], `${path}.${key}`);
+  }
+
+  switch (collider.type) {
+    case 'box':
+      expectVector(collider.size, `${path}.size`, 3);
+      break;
+    case 'sphere':
+      expectNumber(collider.radius, `${path}.radius`);
+      break;
+    case 'capsule':
+      expectNumber(collider.radius, `${path}.radius`);
+      expectNumber(collider.halfHeight, `${path}.halfHeight`);
+      break;
+    case 'convexHull': {
+      expectArray(collider.vertices, `${path}.vertices`);
+      const vertices = collider.vertices as unknown[];
+      vertices.forEach((vertex, i) => expectVector(vertex, `${path}.vertices[${i}]`, 3));
+      expectArray(collider.faces, `${path}.faces`);
+      (collider.faces as unknown[]).forEach((face, i) => {
+        const facePath = `${path}.faces[${i}]`;
+        expectObject(face, facePath);
+        const { indices, normal, offset } = face as Record<string, unknown>;
+        expectVector(indices, `${facePath}.indices`, 3);
+        (indices as number[]).forEach((index, j) => expectIndex(index, `${facePath}.indices[${j}]`, vertices.length));
+        expectVector(normal, `${facePath}.normal`, 3);
+        expectNumber(offset, `${facePath}.offset`);
+      });
+      break;
+    }
+    case 'mesh': {
+      expectArray(collider.vertices, `${path}.vertices`);
+      const vertices = collider.vertices as unknown[];
+      vertices.forEach((vertex, i) => expectVector(vertex, `${path}.vertices[${i}]`, 3));
+      expectArray(collider.indices, `${path}.indices`);
+      (collider.indices as unknown[]).forEach((index, i) => expectIndex(index, `${path}.indices[${i}]`, vertices.length));
+      break;
+    }
+    case 'heightfield':
+      expectArray(collider.heights, `${path}.heights`);
+      (collider.heights as unknown[]).forEach((row, i) => {
+        expectArray(row, `${path}.heights[${i}]`);
+        (row as unknown[]).forEach((height, j) => expectNumber(height, `${path}.heights[${i}][${j}]`));
+      });
+      expectNumber(collider.cellSize, `${path}.cellSize`);
+      expectNumber(collider.heightScale, `${path}.heightScale`);
+      break;
+    case 'compound':
+      expectArray(collider.children, `${path}.children`);
+      (collider.children as unknown[]).forEach((child, i) => {
+        const childPath = `${path}.children[${i}]`;
+        expectObject(child, childPath);
+        const { collider: shape, offset, rotation, mass } = child as Record<string, unknown>;
+        validateCollider(shape, `${childPath}.collider`, bodyCount);
+        if ((shape as Record<string, unknown>).body !== collider.body) {
+          throw new Error(`Invalid world data: ${childPath}.collider.body must match the compound's body`);
+        }
+        expectVector(offset, `${childPath}.offset`, 3);
+        expectVector(rotation, `${childPath}.rotation`, 4);
+        expectNumber(mass, `${childPath}.mass`);
+      });
+      break;
+    default:
+      throw new Error(`Invalid world data: ${path}.type ${JSON.stringify(collider.type)} is not a known collider type`);
+  }
+}
+
+function validateContact(data: unknown, path: string, colliderCount: number): void {
+  expectObject(data, path);
+  const contact = data as Record<string, unknown>;
+  expectVector(contact.colliders, `${path}.colliders`, 2);
+  (contact.colliders as number[]).forEach((index, i) => expectIndex(index, `${path}.colliders[${i}]`, colliderCount));
+  expectVector(contact.children, `${path}.children`, 2);
+  (contact.children as number[]).forEach((index, i) => expectIndex(index, `${path}.children[${i}]`, Infinity, true));
+  expectVector(contact.normal, `${path}.normal`, 3);
+  expectNumber(contact.relativeSpeed, `${path}.relativeSpeed`);
+  expectBoolean(contact.touching, `${path}.touching`);
+  expectArray(contact.points, `${path}.points`);
+  (contact.points as unknown[]).forEach((point, i) => {
+    const pointPath = `${path}.points[${i}]`;
+    expectObject(point, pointPath);
+    const fields = point as Record<string, unknown>;
+    for (const key of ['point', 'localPointA', 'localPointB']) {
+      expectVector(fields[key], `${pointPath}.${key}`, 3);
+    }
+    for (const key of ['depth', 'normalImpulse', 'tangentImpulse1', 'tangentImpulse2']) {
+      expectNumber(fields[key], `${pointPath}.${key}`);
+    }
+  });
+}
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function expectObject(value: unknown, path: string): void {
+  if (!isRecord(value)) {
+    throw new Error(`Invalid world data: ${path} must be an object`);
+  }
+}
+
+function expectArray(value: unknown, path: string): void {
+  if (!Array.isArray(value)) {
+    throw new Error(`Invalid world data: ${path} must be an array`);
+  }
+}
+
+function expectNumber(value: unknown, path: string): void {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new Error(`Invalid world data: ${path} must be a finite number`);
+  }
+}
+
+function expectBoolean(value: unknown, path: string): void {
+  if (typeof value !== 'boolean') {
+    throw new Error(`Invalid world data: ${path} must be a boolean`);
+  }
+}
+
+function expectVector(value: unknown, path: string, length: number): void {
+  if (!Array.isArray(value) || value.length !== length) {
+    throw new Error(`Invalid world data: ${path} must be an array of ${length} numbers`);
+  }
+  value.forEach((component, i) => expectNumber(component, `${path}[${i}]`));
+}
+
+function expectId(value: unknown, path: string): void {
+  if (!Number.isSafeInteger(value) || (value as number) < -1) {
+    throw new Error(`Invalid world data: ${path} must be an integer id`);
+  }
+}
+
+function expectIndex(value: unknown, path: string, count: number, allowNone: boolean = false): void {
+  if (!Number.isInteger(value) || (value as number) < (allowNone ? -1 : 0) || (value as number) >= count) {
+    throw new Error(`Invalid world data: ${path} must be an index below ${count}`);
+  }
+}
+
+function expectIndexPairs(value: unknown, path: string, count: number): void {
+  expectArray(value, path);
+  (value as unknown[]).forEach((pair, i) => {
+    expectVector(pair, `${path}[${i}]`, 2);
+    (pair as number[]).forEach((index, j) => expectIndex(index, `${path}[${i}][${j}]`, count));
+  });
+}
@@ -0,0 +1,191 @@
+import { Vector3D, Quaternion } from '../math/index.js';
+import { RigidBody } from './RigidBody.js';
+import {
+  Joint,
+  JointRow,
+  perpendicularBasis,
+  LINEAR_SLOP,
+  ANGULAR_SLOP,
+  MAX_LINEAR_CORRECTION
+} from './Joint.js';
+
+/**
+ * Prismatic joint: body B slides along an axis fixed in body A and cannot rotate
+ * relative to it (pistons, drawers, elevators). The travel can be limited and driven
+ * by a motor.
+ */
+export class SliderJoint extends Joint {
+  public localAxisA: Vector3D;
+  public enableLimits: boolean;
+  public lowerTranslation: number;
+  public upperTranslation: number;
+  public enableMotor: boolean;
+  public motorSpeed: number; // Target speed along the axis
+  public maxMotorForce: number;
+
+  private relativeRotation: Quaternion; // B's rotation in A's frame
+  private lineRows: [JointRow, JointRow];
+  private lowerRow: JointRow;
+  private upperRow: JointRow;
+  private motorRow: JointRow;
+
+  /**
+   * @param anchor Point on the slide in world space; translation 0 is the current pose
+   * @param axis Slide direction in world space
+   */
+  constructor(bodyA: RigidBody, bodyB: RigidBody, anchor: Vector3D, axis: Vector3D) {
+    super(bodyA, bodyB, anchor);
+
+    this.localAxisA = bodyA.rotation.conjugate().rotateVector(axis.normalize());
+    this.relativeRotation = bodyA.rotation.conjugate().multiply(bodyB.rotation);
+
+    this.enableLimits = false;
+    this.lowerTranslation = -Infinity;
+    this.upperTranslation = Infinity;
+    this.enableMotor = false;
+    this.motorSpeed = 0;
+    this.maxMotorForce = 0;
+
+    this.lineRows = [this.createRow(), this.createRow()];
+    this.lowerRow = this.createRow();
+    this.upperRow = this.createRow();
+    this.motorRow = this.createRow();
+  }
+
+  /**
+   * Set the translation limits and turn them on
+   */
+  setLimits(lowerTranslation: number, upperTranslation: number): void {
+    if (lowerTranslation > upperTranslation) {
+      throw new Error('Lower translation must not be greater than upper translation');
+    }
+    this.lowerTranslation = lowerTranslation;
+    this.upperTranslation = upperTranslation;
+    this.enableLimits = true;
+    this.bodyA.wakeUp();
+    this.bodyB.wakeUp();
+  }
+
+  /**
+   * Drive the slider at a target speed with at most the given force
+   */
+  setMotor(speed: number, maxForce: number): void {
+    this.motorSpeed = speed;
+    this.maxMotorForce = maxForce;
+    this.enableMotor = true;
+    this.bodyA.wakeUp();
+    this.bodyB.wakeUp();
+  }
+
+  /**
+   * Get the slide axis in world space
+   */
+  getAxis(): Vector3D {
+    return this.bodyA.rotation.rotateVector(this.localAxisA);
+  }
+
+  /**
+   * Get how far body B has moved along the axis
+   */
+  getTranslation(): number {
+    return this.getAxis().dot(this.getAnchorB().subtract(this.getAnchorA()));
+  }
+
+  /**
+   * Get the relative speed along the axis
+   */
+  getSpeed(): number {
+    const axis = this.getAxis();
+    return axis.dot(this.bodyB.getVelocityAtPoint(this.getAnchorB()).subtract(this.bodyA.getVelocityAtPoint(this.getAnchorB())));
+  }
+
+  prepare(deltaTime: number): void {
+    this.prepareAnchors(deltaTime);
+    this.prepareAngular();
+
+    const axis = this.getAxis();
+    const [first, second] = perpendicularBasis(axis);
+    this.prepareLinearRow(this.lineRows[0], first);
+    this.prepareLinearRow(this.lineRows[1], second);
+    this.rows = [...this.lineRows];
+
+    if (this.enableLimits) {
+      // Speculative, like the hinge limits
+      const translation = this.getTranslation();
+      const lowerGap = translation - this.lowerTranslation;
+      const upperGap = this.upperTranslation - translation;
+      this.prepareLinearRow(this.lowerRow, axis, Math.min(-lowerGap / deltaTime, 0), 0, Infinity);
+      this.prepareLinearRow(this.upperRow, axis.multiply(-1), Math.min(-upperGap / deltaTime, 0), 0, Infinity);
+      this.rows.push(this.lowerRow, this.upperRow);
+    } else {
+      this.lowerRow.impulse = 0;
+      this.upperRow.impulse = 0;
+    }
+
+    if (this.enableMotor) {
+      const maxImpulse = this.maxMotorForce * deltaTime;
+      this.prepareLinearRow(this.motorRow, axis, this.motorSpeed, -maxImpulse, maxImpulse);
+      this.rows.push(this.motorRow);
+    } else {
+      this.motorRow.impulse = 0;
+    }
+  }
+
+  solveVelocity(): void {
+    if (this.enableMotor) {
+      this.solveRow(this.motorRow);
+    }
+    if (this.enableLimits) {
+      this.solveRow(this.lowerRow);
+      this.solveRow(this.upperRow);
+    }
+    this.solveAngular();
+    this.solveRow(this.lineRows[0]);
+    this.solveRow(this.lineRows[1]);
+  }
+
+  solvePosition(): boolean {
+    const angle = this.correctAngular(this.relativeRotation);
+
+    this.rA = this.bodyA.rotation.rotateVector(this.localAnchorA);
+    this.rB = this.bodyB.rotation.rotateVector(this.localAnchorB);
+    const axis = this.getAxis();
+    const delta = this.getAnchorB().subtract(this.getAnchorA());
+
+    let maxError = 0;
+    for (const direction of perpendicularBasis(axis)) {
+      const error = direction.dot(delta);
+      maxError = Math.max(maxError, Math.abs(error));
+      this.correctLinear(direction, delta, error);
+    }
+
+    if (this.enableLimits) {
+      const translation = axis.dot(delta);
+      let limitError = 0;
+      if (translation < this.lowerTranslation) {
+        limitError = translation - this.lowerTranslation;
+      } else if (translation > this.upperTranslation) {
+        limitError = translation - this.upperTranslation;
+      }
+      maxError = Math.max(maxError, Math.abs(limitError));
+      if (Math.abs(limitError) > LINEAR_SLOP) {
+        this.correctLinear(axis, delta, limitError);
+      }
+    }
+
+    return angle <= ANGULAR_SLOP && maxError <= LINEAR_SLOP;
+  }
+
+  /**
+   * Row along a direction fixed in body A. The anchor on A is the point of A under
+   * anchor B, so the arm on A includes the offset between the anchors.
+   */
+  private prepareLinearRow(row: JointRow, direction: Vector3D, target?: number, min?: number, max?: number): void {
+    const delta = this.bodyB.position.add(this.rB).subtract(this.bodyA.position.add(this.rA));
+    this.prepareRow(row, direction, this.rA.add(delta).cross(direction), this.rB.cross(direction), target, min, max);
+  }
+
+  private correctLinear(direction: Vector3D, delta: Vector3D, error: number): void {
+    this.correctRow(direction, this.rA.add(delta).cross(direction), this.rB.cross(direction), error, MAX_LINEAR_CORRECTION);
+  }
+}
@@ -0,0 +1,133 @@
+import { Vector3D } from '../math/index.js';
+import { RigidBody } from './RigidBody.js';
+
+/**
+ * Damped Hooke spring between two bodies, or between a body and a fixed point in the
+ * world. It pulls (or pushes) its anchors towards restLength apart through
+ * addForceAtPoint, so off-center anchors also produce torque.
+ *
+ * The force is computed with an implicit Euler step over the world's fixed time step,
+ * so stiff springs on light bodies lose a little energy instead of exploding.
+ */
+export class Spring {
+  public bodyA: RigidBody;
+  public bodyB: RigidBody | null; // null attaches to the fixed world point localAnchorB
+  public localAnchorA: Vector3D;
+  public localAnchorB: Vector3D;
+  public restLength: number;
+  public stiffness: number; // Force per unit of stretch
+  public damping: number; // Force per unit of stretching speed
+
+  private force: number; // Tension applied in the last step (negative when pushing)
+
+  /**
+   * @param localAnchorA Attachment point in body A's local space
+   * @param localAnchorB Attachment point in body B's local space, or in world space without body B
+   * @param restLength Length without tension (defaults to the current distance between the anchors)
+   */
+  constructor(
+    bodyA: RigidBody,
+    bodyB: RigidBody | null,
+    localAnchorA: Vector3D = Vector3D.zero(),
+    localAnchorB: Vector3D = Vector3D.zero(),
+    stiffness: number = 100,
+    damping: number = 1,
+    restLength?: number
+  ) {
+    if (bodyA === bodyB) {
+      throw new Error('A spring needs two different bodies');
+    }
+
+    this.bodyA = bodyA;
+    this.bodyB = bodyB;
+    this.localAnchorA = localAnchorA.clone();
+    this.localAnchorB = localAnchorB.clone();
+    this.stiffness = stiffness;
+    this.damping = damping;
+    this.restLength = restLength ?? this.getLength();
+    this.force = 0;
+  }
+
+  /**
+   * Get the anchor on body A in world space
+   */
+  getAnchorA(): Vector3D {
+    return this.bodyA.position.add(this.bodyA.rotation.rotateVector(this.localAnchorA));
+  }
+
+  /**
+   * Get the anchor on body B (or the world point) in world space
+   */
+  getAnchorB(): Vector3D {
+    if (!this.bodyB) return this.localAnchorB.clone();
+    return this.bodyB.position.add(this.bodyB.rotation.rotateVector(this.localAnchorB));
+  }
+
+  /**
+   * Get the current distance between the anchors
+   */
+  getLength(): number {
+    return this.getAnchorA().distanceTo(this.getAnchorB());
+  }
+
+  /**
+   * Get the tension applied in the last step (negative when the spring pushed)
+   */
+  getForce(): number {
+    return this.force;
+  }
+
+  /**
+   * Add this step's spring force to the bodies (called by PhysicsWorld)
+   */
+  applyForces(deltaTime: number): void {
+    const anchorA = this.getAnchorA();
+    const anchorB = this.getAnchorB();
+    const delta = anchorB.subtract(anchorA);
+    const length = delta.magnitude();
+    if (length < 1e-9) {
+      this.force = 0;
+      return;
+    }
+
+    const direction = delta.divide(length);
+    const velocityB = this.bodyB ? this.bodyB.getVelocityAtPoint(anchorB) : Vector3D.zero();
+    const accelerationB = this.bodyB ? getAcceleration(this.bodyB) : Vector3D.zero();
+    const speed = direction.dot(velocityB.subtract(this.bodyA.getVelocityAtPoint(anchorA)));
+    // Stretching speed at the end of the step under the other forces (gravity and such);
+    // without it the implicit step would sag below the true rest position
+    const predictedSpeed = speed + direction.dot(accelerationB.subtract(getAcceleration(this.bodyA))) * deltaTime;
+
+    const inverseMass = getInverseMassAlong(this.bodyA, anchorA, direction) +
+      (this.bodyB ? getInverseMassAlong(this.bodyB, anchorB, direction) : 0);
+    if (inverseMass === 0) {
+      this.force = 0;
+      return;
+    }
+
+    // Implicit Euler: solve for the force at the end of the step rather than the start
+    const stiffDamping = this.damping + this.stiffness * deltaTime;
+    this.force = (this.stiffness * (length - this.restLength) + stiffDamping * predictedSpeed) /
+      (1 + deltaTime * stiffDamping * inverseMass);
+
+    const force = direction.multiply(this.force);
+    this.bodyA.addForceAtPoint(force, anchorA);
+    this.bodyB?.addForceAtPoint(force.multiply(-1), anchorB);
+  }
+}
+
+/**
+ * Linear acceleration from the forces added to a body so far this step
+ */
+function getAcceleration(rigidbody: RigidBody): Vector3D {
+  return rigidbody.getNetForce().multiply(rigidbody.inverseMass);
+}
+
+/**
+ * Inverse mass a body shows to a force at a point along a direction
+ */
+function getInverseMassAlong(rigidbody: RigidBody, point: Vector3D, direction: Vector3D): number {
+  if (rigidbody.inverseMass === 0) return 0;
+  const arm = point.subtract(rigidbody.position).cross(direction);
+  return rigidbody.inverseMass + arm.dot(rigidbody.getInverseInertiaTensorWorld().multiplyVector(arm));
+}
@@ -0,0 +1,76 @@
+import { PhysicsWorld } from './PhysicsWorld.js';
+import { WorldSnapshot } from './WorldState.js';
+
+/**
+ * Ring buffer of world states for rollback netcode and rewind gameplay. Record once per
+ * tick after stepping; rewind() goes back a number of ticks so they can be simulated
+ * again with corrected inputs. The snapshots' buffers are reused as the ring wraps, so
+ * recording every tick doesn't allocate once the buffer is full.
+ */
+export class StateHistory {
+  public readonly world: PhysicsWorld;
+  public readonly capacity: number; // Most ticks that can be kept
+
+  private snapshots: (WorldSnapshot | undefined)[];
+  private newest: number; // Slot of the last recorded tick
+  private size: number;
+
+  constructor(world: PhysicsWorld, capacity: number = 60) {
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      throw new Error('StateHistory capacity must be a positive integer');
+    }
+
+    this.world = world;
+    this.capacity = capacity;
+    this.snapshots = new Array(capacity).fill(undefined);
+    this.newest = capacity - 1;
+    this.size = 0;
+  }
+
+  /**
+   * Save the world's current state as the newest tick, dropping the oldest once full
+   */
+  record(): void {
+    this.newest = (this.newest + 1) % this.capacity;
+    this.snapshots[this.newest] = this.world.saveState(this.snapshots[this.newest]);
+    this.size = Math.min(this.size + 1, this.capacity);
+  }
+
+  /**
+   * Restore the state recorded the given number of ticks before the newest one (0 goes
+   * back to the newest). The ticks after it are dropped; record again as they are
+   * simulated anew.
+   */
+  rewind(ticks: number): void {
+    if (!Number.isInteger(ticks) || ticks < 0 || ticks >= this.size) {
+      throw new Error(`Cannot rewind ${ticks} ticks: ${this.size} recorded`);
+    }
+
+    this.newest = (this.newest - ticks + this.capacity) % this.capacity;
+    this.size -= ticks;
+    this.world.restoreState(this.snapshots[this.newest] as WorldSnapshot);
+  }
+
+  /**
+   * Get the snapshot recorded the given number of ticks before the newest one. Its buffer
+   * is reused once the ring wraps around to it.
+   */
+  getSnapshot(ticks: number = 0): WorldSnapshot | null {
+    if (!Number.isInteger(ticks) || ticks < 0 || ticks >= this.size) return null;
+    return this.snapshots[(this.newest - ticks + this.capacity) % this.capacity] ?? null;
+  }
+
+  /**
+   * Get the number of recorded ticks
+   */
+  getSize(): number {
+    return this.size;
+  }
+
+  /**
+   * Forget every recorded tick (the buffers are kept for reuse)
+   */
+  clear(): void {
+    this.size = 0;
+  }
+}
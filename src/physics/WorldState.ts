@@ -0,0 +1,122 @@
+import { Vector3D, Quaternion } from '../math/index.js';
+import { RigidBody } from './RigidBody.js';
+import { Collider } from './Collision.js';
+import { Joint } from './Joint.js';
+import { Spring } from './Spring.js';
+import { RaycastVehicle } from './RaycastVehicle.js';
+
+export const BODY_STRIDE = 27; // Numbers per body in WorldSnapshot.data
+export const WHEEL_STRIDE = 6; // Per wheel, after a wheel count per vehicle
+export const MANIFOLD_HEADER = 6; // Normal, relative speed, touching flag, point count
+export const POINT_STRIDE = 13;
+
+/**
+ * Simulation state of a world at one moment (see PhysicsWorld.saveState). The numbers are
+ * packed into one typed array; the objects they belong to are kept by reference.
+ */
+export interface WorldSnapshot {
+  bodies: RigidBody[];
+  colliders: Collider[];
+  joints: Joint[];
+  springs: Spring[];
+  vehicles: RaycastVehicle[];
+  contactColliders: (Collider | undefined)[]; // Per manifold: both colliders of the pair, then the shapes hit
+  triggerOverlaps: Collider[]; // Overlapping pairs, flattened
+  data: Float64Array;
+}
+
+/**
+ * Write a body's motion state
+ * @returns the offset after the written values
+ */
+export function saveBody(rigidbody: RigidBody, target: Float64Array, offset: number): number {
+  offset = saveVector(rigidbody.position, target, offset);
+  target[offset++] = rigidbody.rotation.w;
+  target[offset++] = rigidbody.rotation.x;
+  target[offset++] = rigidbody.rotation.y;
+  target[offset++] = rigidbody.rotation.z;
+  offset = saveVector(rigidbody.velocity, target, offset);
+  offset = saveVector(rigidbody.angularVelocity, target, offset);
+  offset = saveVector(rigidbody.acceleration, target, offset);
+  offset = saveVector(rigidbody.angularAcceleration, target, offset);
+  offset = saveVector(rigidbody.getNetForce(), target, offset);
+  offset = saveVector(rigidbody.getNetTorque(), target, offset);
+  target[offset++] = rigidbody.sleepTime;
+  target[offset++] = rigidbody.isSleeping ? 1 : 0;
+  return offset;
+}
+
+/**
+ * Read back a body's motion state written by saveBody()
+ * @returns the offset after the read values
+ */
+export function restoreBody(rigidbody: RigidBody, source: Float64Array, offset: number): number {
+  rigidbody.position = readVector(source, offset);
+  rigidbody.rotation = new Quaternion(source[offset + 3], source[offset + 4], source[offset + 5], source[offset + 6]);
+  rigidbody.velocity = readVector(source, offset + 7);
+  rigidbody.angularVelocity = readVector(source, offset + 10);
+  rigidbody.acceleration = readVector(source, offset + 13);
+  rigidbody.angularAcceleration = readVector(source, offset + 16);
+
+  rigidbody.clearForces();
+  const force = readVector(source, offset + 19);
+  const torque = readVector(source, offset + 22);
+  if (force.magnitudeSquared() > 0) rigidbody.addForce(force);
+  if (torque.magnitudeSquared() > 0) rigidbody.addTorque(torque);
+
+  // Set last, since adding forces wakes the body
+  rigidbody.sleepTime = source[offset + 25];
+  rigidbody.isSleeping = source[offset + 26] === 1;
+  return offset + BODY_STRIDE;
+}
+
+/**
+ * Write the state a vehicle carries from step to step
+ * @returns the offset after the written values
+ */
+export function saveVehicle(vehicle: RaycastVehicle, target: Float64Array, offset: number): number {
+  target[offset++] = vehicle.wheels.length;
+  for (const wheel of vehicle.wheels) {
+    target[offset++] = wheel.suspensionLength;
+    target[offset++] = wheel.suspensionForce;
+    target[offset++] = wheel.skid;
+    target[offset++] = wheel.rotation;
+    target[offset++] = wheel.spinSpeed;
+    target[offset++] = wheel.isInContact ? 1 : 0;
+  }
+  return offset;
+}
+
+/**
+ * Read back a vehicle's state written by saveVehicle()
+ * @returns the offset after the read values
+ */
+export function restoreVehicle(vehicle: RaycastVehicle, source: Float64Array, offset: number): number {
+  // Wheels added since the snapshot keep their state
+  const count = source[offset++];
+  for (let i = 0; i < count; i++) {
+    const wheel = vehicle.wheels[i];
+    if (!wheel) {
+      offset += WHEEL_STRIDE;
+      continue;
+    }
+    wheel.suspensionLength = source[offset++];
+    wheel.suspensionForce = source[offset++];
+    wheel.skid = source[offset++];
+    wheel.rotation = source[offset++];
+    wheel.spinSpeed = source[offset++];
+    wheel.isInContact = source[offset++] === 1;
+  }
+  return offset;
+}
+
+export function saveVector(vector: Vector3D, target: Float64Array, offset: number): number {
+  target[offset] = vector.x;
+  target[offset + 1] = vector.y;
+  target[offset + 2] = vector.z;
+  return offset + 3;
+}
+
+export function readVector(source: Float64Array, offset: number): Vector3D {
+  return new Vector3D(source[offset], source[offset + 1], source[offset + 2]);
+}
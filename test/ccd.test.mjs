@@ -0,0 +1,47 @@
+// Run `npm run build` first: the tests use the bundle, like examples/node-example.mjs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vector3D, RigidBody, PhysicsWorld, BoxCollider } from '../dist/index.esm.js';
+
+function createWall(world) {
+  const wall = new RigidBody(0, new Vector3D(5, 0, 0));
+  wall.makeStatic();
+  world.addCollider(new BoxCollider(wall, new Vector3D(0.1, 4, 4)));
+}
+
+function createBullet(world, speed) {
+  const bullet = new RigidBody(1, Vector3D.zero());
+  bullet.ccd = true;
+  bullet.velocity = new Vector3D(speed, 0, 0);
+  bullet.angularVelocity = new Vector3D(0, 50, 0);
+  world.addCollider(new BoxCollider(bullet, new Vector3D(0.2, 0.2, 0.2)));
+  return bullet;
+}
+
+test('a fast body with ccd stops at a thin wall', () => {
+  const world = new PhysicsWorld();
+  world.setGravity(Vector3D.zero());
+  createWall(world);
+  const bullet = createBullet(world, 300);
+
+  for (let i = 0; i < 30; i++) {
+    world.step(1 / 60);
+  }
+
+  assert.ok(bullet.position.x < 5, `ended at x=${bullet.position.x}`);
+});
+
+test('a body with ccd still completes a step at extreme speeds', () => {
+  for (const speed of [1e6, 1e30, Infinity]) {
+    const world = new PhysicsWorld();
+    world.setGravity(Vector3D.zero());
+    createWall(world);
+    // Past the wall's corner, so the whole sweep is sampled, and without the drag that would
+    // slow it down to a few thousand units/s
+    const bullet = createBullet(world, speed);
+    bullet.velocity = new Vector3D(speed, speed, 0);
+    bullet.drag = 0;
+
+    world.step(1 / 60);
+  }
+});
@@ -0,0 +1,46 @@
+// Run `npm run build` first: the tests use the bundle, like examples/node-example.mjs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vector3D, RigidBody, PhysicsWorld, SphereCollider, BoxCollider } from '../dist/index.esm.js';
+
+test('drag only slows down a small, fast-spinning body', () => {
+  const world = new PhysicsWorld();
+  world.setGravity(Vector3D.zero());
+  const body = new RigidBody(1, Vector3D.zero());
+  world.addCollider(new SphereCollider(body, 0.1));
+  body.velocity = new Vector3D(300, 0, 0);
+  body.angularVelocity = new Vector3D(0, 20, 0);
+
+  let speed = body.velocity.magnitude();
+  let spin = body.angularVelocity.magnitude();
+  for (let i = 0; i < 120; i++) {
+    world.step(1 / 60);
+    assert.ok(body.velocity.magnitude() < speed, `speed ${body.velocity.magnitude()} at step ${i}`);
+    assert.ok(body.angularVelocity.magnitude() < spin, `spin ${body.angularVelocity.magnitude()} at step ${i}`);
+    assert.ok(body.angularVelocity.y > 0);
+    speed = body.velocity.magnitude();
+    spin = body.angularVelocity.magnitude();
+  }
+});
+
+test('friction makes a small ball roll', () => {
+  const world = new PhysicsWorld();
+  world.setGravity(new Vector3D(0, -9.81, 0));
+  const ground = new RigidBody(0, new Vector3D(0, -0.5, 0));
+  ground.makeStatic();
+  world.addCollider(new BoxCollider(ground, new Vector3D(100, 1, 100)));
+
+  const radius = 0.1;
+  const ball = new RigidBody(1, new Vector3D(0, radius, 0));
+  world.addCollider(new SphereCollider(ball, radius));
+  ball.velocity = new Vector3D(3, 0, 0);
+
+  for (let i = 0; i < 60; i++) {
+    world.step(1 / 60);
+  }
+
+  // Rolling without slipping: the surface speed matches the speed over the ground
+  const surfaceSpeed = -ball.angularVelocity.z * radius;
+  assert.ok(ball.velocity.x > 1, `speed ${ball.velocity.x}`);
+  assert.ok(Math.abs(surfaceSpeed - ball.velocity.x) < 0.1 * ball.velocity.x, `surface ${surfaceSpeed} vs ${ball.velocity.x}`);
+});
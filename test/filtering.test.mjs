@@ -0,0 +1,40 @@
+// Run `npm run build` first: the tests use the bundle, like examples/node-example.mjs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vector3D, RigidBody, PhysicsWorld, BoxCollider, AABB } from '../dist/index.esm.js';
+
+function createWorld() {
+  const world = new PhysicsWorld();
+  const near = new RigidBody(1, new Vector3D(2, 0, 0));
+  const far = new RigidBody(1, new Vector3D(5, 0, 0));
+  const nearCollider = new BoxCollider(near, new Vector3D(1, 1, 1));
+  const farCollider = new BoxCollider(far, new Vector3D(1, 1, 1));
+  world.addCollider(nearCollider);
+  world.addCollider(farCollider);
+  return { world, near, far, nearCollider, farCollider };
+}
+
+test('queries skip colliders sharing a negative group, like contacts do', () => {
+  const { world, far, nearCollider } = createWorld();
+  nearCollider.collisionGroup = -1;
+
+  const bounds = new AABB(new Vector3D(0, -1, -1), new Vector3D(6, 1, 1));
+  assert.equal(world.queryAABB(bounds, 0xFFFFFFFF, -1).length, 1);
+  assert.equal(world.queryAABB(bounds).length, 2);
+
+  assert.equal(world.raycast(Vector3D.zero(), new Vector3D(1, 0, 0), 10, { group: -1 }).body, far);
+});
+
+test('a shared positive group overrides the query mask', () => {
+  const { world, near, nearCollider, farCollider } = createWorld();
+  nearCollider.collisionCategory = 0x0002;
+  nearCollider.collisionGroup = 3;
+  farCollider.collisionCategory = 0x0002;
+
+  const bounds = new AABB(new Vector3D(0, -1, -1), new Vector3D(6, 1, 1));
+  assert.deepEqual(world.queryAABB(bounds, 0x0001, 3), [near]);
+  assert.equal(world.queryAABB(bounds, 0x0001).length, 0);
+
+  assert.equal(world.raycast(Vector3D.zero(), new Vector3D(1, 0, 0), 10, { mask: 0x0001, group: 3 }).body, near);
+  assert.equal(world.raycast(Vector3D.zero(), new Vector3D(1, 0, 0), 10, { mask: 0x0001 }), null);
+});
@@ -0,0 +1,29 @@
+// Run `npm run build` first: the tests use the bundle, like examples/node-example.mjs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vector3D, RigidBody, PhysicsWorld, CapsuleCollider } from '../dist/index.esm.js';
+
+test('a ray starting inside a capsule does not hit it', () => {
+  const body = new RigidBody(1, Vector3D.zero());
+  const capsule = new CapsuleCollider(body, 1, 2);
+  const direction = new Vector3D(0.3, 0.95, 0).normalize();
+
+  assert.equal(capsule.raycast(Vector3D.zero(), direction), null);
+  assert.equal(capsule.raycast(new Vector3D(0, 2.5, 0), direction), null);
+
+  const world = new PhysicsWorld();
+  world.addCollider(capsule);
+  assert.equal(world.raycast(Vector3D.zero(), direction, 10), null);
+});
+
+test('a ray from outside hits the capsule surface', () => {
+  const capsule = new CapsuleCollider(new RigidBody(1, Vector3D.zero()), 1, 2);
+
+  const side = capsule.raycast(new Vector3D(5, 0, 0), new Vector3D(-1, 0, 0));
+  assert.ok(side);
+  assert.ok(Math.abs(side.distance - 4) < 1e-9);
+
+  const top = capsule.raycast(new Vector3D(0, 10, 0), new Vector3D(0, -1, 0));
+  assert.ok(top);
+  assert.ok(Math.abs(top.distance - 7) < 1e-9);
+});
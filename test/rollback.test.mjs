@@ -0,0 +1,83 @@
+// Run `npm run build` first: the tests use the bundle, like examples/node-example.mjs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  Vector3D,
+  RigidBody,
+  PhysicsWorld,
+  BoxCollider,
+  SphereCollider,
+  AABB,
+  StateHistory
+} from '../dist/index.esm.js';
+
+function createWorld() {
+  const world = new PhysicsWorld();
+  world.setGravity(new Vector3D(0, -9.81, 0));
+
+  const ground = new RigidBody(0, new Vector3D(0, -0.5, 0));
+  ground.makeStatic();
+  world.addCollider(new BoxCollider(ground, new Vector3D(40, 1, 40)));
+  return world;
+}
+
+test('rewinding puts a sleeping body that moved back into the broad phase where it was', () => {
+  const world = createWorld();
+  const box = new RigidBody(1, new Vector3D(0, 0.5, 0));
+  world.addCollider(new BoxCollider(box, new Vector3D(2, 1, 2)));
+  const history = new StateHistory(world, 10);
+
+  for (let i = 0; i < 300 && !box.isSleeping; i++) {
+    world.step(1 / 60);
+  }
+  assert.ok(box.isSleeping, 'box should fall asleep on the ground');
+  const restingPosition = box.position;
+  history.record();
+
+  box.wakeUp();
+  box.setPosition(new Vector3D(15, 0.5, 0));
+  for (let i = 0; i < 5; i++) {
+    world.step(1 / 60);
+    history.record();
+  }
+
+  history.rewind(5);
+  assert.ok(box.isSleeping);
+  assert.deepEqual(box.position.toArray(), restingPosition.toArray());
+  assert.equal(world.queryAABB(new AABB(new Vector3D(-0.5, 0.4, -0.5), new Vector3D(0.5, 0.6, 0.5))).length, 1);
+
+  // A ball dropped onto the restored box lands on it
+  const ball = new RigidBody(1, new Vector3D(0, 3, 0));
+  world.addCollider(new SphereCollider(ball, 0.25));
+  for (let i = 0; i < 120; i++) {
+    world.step(1 / 60);
+  }
+  assert.ok(ball.position.y > 1.2, `ball fell to y ${ball.position.y}`);
+});
+
+test('re-simulating after a rewind reproduces the original steps', () => {
+  const world = createWorld();
+  const boxes = [];
+  for (let i = 0; i < 4; i++) {
+    const box = new RigidBody(1, new Vector3D(0.05 * i, 0.5 + i, 0));
+    world.addCollider(new BoxCollider(box, new Vector3D(1, 1, 1)));
+    boxes.push(box);
+  }
+  const history = new StateHistory(world, 60);
+
+  const hashes = [];
+  for (let tick = 0; tick < 40; tick++) {
+    if (tick === 20) boxes[3].applyImpulse(new Vector3D(1, 0, 0));
+    world.step(1 / 60);
+    history.record();
+    hashes.push(world.computeStateHash());
+  }
+
+  history.rewind(30);
+  assert.equal(world.computeStateHash(), hashes[9]);
+  for (let tick = 10; tick < 40; tick++) {
+    if (tick === 20) boxes[3].applyImpulse(new Vector3D(1, 0, 0));
+    world.step(1 / 60);
+    assert.equal(world.computeStateHash(), hashes[tick], `diverged at tick ${tick}`);
+  }
+});
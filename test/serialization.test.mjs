@@ -0,0 +1,79 @@
+// Run `npm run build` first: the tests use the bundle, like examples/node-example.mjs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  Vector3D,
+  Quaternion,
+  RigidBody,
+  PhysicsWorld,
+  BoxCollider,
+  CompoundCollider,
+  AABB
+} from '../dist/index.esm.js';
+
+test('a loaded sleeping compound is in the broad phase at its saved pose', () => {
+  const world = new PhysicsWorld();
+  world.setGravity(new Vector3D(0, -9.81, 0));
+  const ground = new RigidBody(0, new Vector3D(0, -0.5, 0));
+  ground.makeStatic();
+  world.addCollider(new BoxCollider(ground, new Vector3D(40, 1, 40)));
+
+  const body = new RigidBody(1, new Vector3D(0, 0.5, 0));
+  const compound = new CompoundCollider(body);
+  compound.addChild(new BoxCollider(body, new Vector3D(1, 1, 1)), new Vector3D(0, 0, 0), Quaternion.identity(), 1);
+  compound.addChild(new BoxCollider(body, new Vector3D(1, 1, 1)), new Vector3D(4, 0, 0), Quaternion.identity(), 3);
+  world.addCollider(compound);
+
+  for (let i = 0; i < 300 && !body.isSleeping; i++) {
+    world.step(1 / 60);
+  }
+  assert.ok(body.isSleeping, 'compound should fall asleep on the ground');
+
+  const loaded = PhysicsWorld.fromJSON(JSON.parse(JSON.stringify(world)));
+  const [loadedBody] = loaded.rigidbodies.filter(rigidbody => !rigidbody.isStatic);
+  assert.deepEqual(loadedBody.position.toArray(), body.position.toArray());
+
+  // Only the first child's cube is around the origin
+  const bounds = new AABB(new Vector3D(-0.25, 0.25, -0.25), new Vector3D(0.25, 0.75, 0.25));
+  assert.deepEqual(loaded.queryAABB(bounds), [loadedBody]);
+});
+
+test('version 1 data, saved without ids, still loads', () => {
+  const world = new PhysicsWorld();
+  world.setGravity(new Vector3D(0, -9.81, 0));
+  const ground = new RigidBody(0, new Vector3D(0, -0.5, 0));
+  ground.makeStatic();
+  world.addCollider(new BoxCollider(ground, new Vector3D(40, 1, 40)));
+
+  const body = new RigidBody(1, new Vector3D(0, 2, 0));
+  const compound = new CompoundCollider(body);
+  compound.addChild(new BoxCollider(body, new Vector3D(1, 1, 1)), new Vector3D(-1, 0, 0));
+  compound.addChild(new BoxCollider(body, new Vector3D(1, 1, 1)), new Vector3D(1, 0, 0));
+  world.addCollider(compound);
+
+  // What version 1 wrote: the same data without ids and deterministic mode
+  const data = JSON.parse(JSON.stringify(world));
+  data.version = 1;
+  delete data.deterministic;
+  delete data.nextBodyId;
+  delete data.nextColliderId;
+  for (const bodyData of data.bodies) delete bodyData.id;
+  for (const colliderData of data.colliders) {
+    delete colliderData.id;
+    for (const child of colliderData.children ?? []) delete child.collider.id;
+  }
+
+  const loaded = PhysicsWorld.fromJSON(data);
+  assert.deepEqual(loaded.rigidbodies.map(rigidbody => rigidbody.id), [0, 1]);
+  assert.equal(loaded.isDeterministic(), false);
+
+  const added = new RigidBody(1, new Vector3D(5, 1, 0));
+  loaded.addRigidBody(added);
+  assert.equal(added.id, 2);
+
+  for (let i = 0; i < 120; i++) {
+    loaded.step(1 / 60);
+  }
+  const [loadedBody] = loaded.rigidbodies.filter(rigidbody => !rigidbody.isStatic);
+  assert.ok(Math.abs(loadedBody.position.y - 0.5) < 0.02, `resting at y=${loadedBody.position.y}`);
+});
@@ -0,0 +1,127 @@
+// Run `npm run build` first: the tests use the bundle, like examples/node-example.mjs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  Vector3D,
+  Quaternion,
+  RigidBody,
+  PhysicsWorld,
+  BoxCollider,
+  SphereCollider,
+  MeshCollider,
+  HeightfieldCollider,
+  CompoundCollider
+} from '../dist/index.esm.js';
+
+function flatMesh(body) {
+  const vertices = [
+    new Vector3D(-10, 0, -10),
+    new Vector3D(10, 0, -10),
+    new Vector3D(-10, 0, 10),
+    new Vector3D(10, 0, 10)
+  ];
+  return new MeshCollider(body, vertices, [0, 2, 1, 1, 2, 3]);
+}
+
+function flatHeightfield(body) {
+  return new HeightfieldCollider(body, Array.from({ length: 9 }, () => new Array(9).fill(0)), 2.5);
+}
+
+function createGround(world, createCollider) {
+  const ground = new RigidBody(0, Vector3D.zero());
+  ground.makeStatic();
+  const collider = createCollider(ground);
+  world.addCollider(collider);
+  return collider;
+}
+
+for (const [name, createGroundCollider] of [['mesh', flatMesh], ['heightfield', flatHeightfield]]) {
+  test(`a box and a sphere come to rest on a ${name}`, () => {
+    const world = new PhysicsWorld();
+    world.setGravity(new Vector3D(0, -9.81, 0));
+    createGround(world, createGroundCollider);
+
+    const box = new RigidBody(1, new Vector3D(0.3, 1, -0.2));
+    world.addCollider(new BoxCollider(box, new Vector3D(1, 1, 1)));
+    const sphere = new RigidBody(1, new Vector3D(4, 1, 3));
+    world.addCollider(new SphereCollider(sphere, 0.5));
+
+    for (let i = 0; i < 300; i++) {
+      world.step(1 / 60);
+    }
+
+    for (const body of [box, sphere]) {
+      assert.ok(Math.abs(body.position.y - 0.5) < 0.02, `resting at y=${body.position.y}`);
+    }
+  });
+
+  test(`a box dropped flat on a ${name} lands without turning`, () => {
+    const world = new PhysicsWorld();
+    world.setGravity(new Vector3D(0, -9.81, 0));
+    createGround(world, createGroundCollider);
+
+    const yaw = 0.3;
+    const box = new RigidBody(1, new Vector3D(0.3, 1, -0.2));
+    box.rotation = Quaternion.fromAxisAngle(new Vector3D(0, 1, 0), yaw);
+    world.addCollider(new BoxCollider(box, new Vector3D(1, 1, 1)));
+
+    for (let i = 0; i < 300; i++) {
+      world.step(1 / 60);
+    }
+
+    const turned = Math.abs(2 * Math.atan2(box.rotation.y, box.rotation.w) - yaw);
+    assert.ok(turned < 0.005, `turned ${turned} rad`);
+    assert.ok(Math.abs(box.position.y - 0.5) < 0.01);
+  });
+
+  for (const compoundFirst of [false, true]) {
+    test(`a compound rests on a ${name} added ${compoundFirst ? 'after' : 'before'} it`, () => {
+      const world = new PhysicsWorld();
+      world.setGravity(new Vector3D(0, -9.81, 0));
+
+      const body = new RigidBody(2, new Vector3D(0, 1, 0));
+      const compound = new CompoundCollider(body);
+      compound.addChild(new BoxCollider(body, new Vector3D(1, 1, 1)), new Vector3D(-1, 0, 0));
+      compound.addChild(new BoxCollider(body, new Vector3D(1, 1, 1)), new Vector3D(1, 0, 0));
+
+      if (compoundFirst) world.addCollider(compound);
+      createGround(world, createGroundCollider);
+      if (!compoundFirst) world.addCollider(compound);
+
+      for (let i = 0; i < 300; i++) {
+        world.step(1 / 60);
+      }
+
+      assert.ok(Math.abs(body.position.y - 0.5) < 0.02, `resting at y=${body.position.y}`);
+    });
+  }
+
+  test(`the distance between a compound and a ${name} is measured from either side`, () => {
+    const ground = createGround(new PhysicsWorld(), createGroundCollider);
+
+    const body = new RigidBody(2, new Vector3D(0, 3, 0));
+    const compound = new CompoundCollider(body);
+    compound.addChild(new BoxCollider(body, new Vector3D(1, 1, 1)), new Vector3D(-1, 0, 0));
+    compound.addChild(new BoxCollider(body, new Vector3D(1, 1, 1)), new Vector3D(1, 0, 0));
+
+    for (const [a, b] of [[compound, ground], [ground, compound]]) {
+      const gap = a.distanceTo(b);
+      assert.ok(gap);
+      assert.ok(Math.abs(gap.distance - 2.5) < 1e-6, `distance ${gap.distance}`);
+      assert.ok(Math.abs(gap.pointA.y - (a === ground ? 0 : 2.5)) < 1e-6);
+    }
+  });
+
+  test(`rays hit the ${name} surface`, () => {
+    const world = new PhysicsWorld();
+    const ground = createGround(world, createGroundCollider);
+
+    const hit = ground.raycast(new Vector3D(1, 3, 2), new Vector3D(0, -1, 0));
+    assert.ok(hit);
+    assert.ok(Math.abs(hit.distance - 3) < 1e-9);
+    assert.ok(hit.normal.y > 0.99);
+
+    assert.equal(ground.raycast(new Vector3D(20, 3, 2), new Vector3D(0, -1, 0)), null);
+    assert.equal(world.raycast(new Vector3D(1, 3, 2), new Vector3D(0, -1, 0)).body, ground.rigidbody);
+  });
+}